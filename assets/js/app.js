@@ -4,7 +4,7 @@
  * 功能：
  * - 包含应用的核心业务逻辑和默认数据
  * - 处理应用初始化和事件监听
- * - 管理应用状态和数据
+ * - 管理应用状态和数据，报价状态保存在 quoteStore 中，通过 action 修改
  * - 计算价格和费用明细
  * - 处理机器选择和配置
  * - 管理历史记录和模板
@@ -12,17 +12,49 @@
  * 主要功能：
  * - 初始化应用数据和事件监听器
  * - 更新机器选项（系列、型号、功率）
- * - 更新水冷机和配件选项
+ * - 更新水冷机和配件选项，配件可按每台或每单计算数量，并可手动修改数量
  * - 选择机器并更新机器信息
- * - 计算价格和费用明细
- * - 管理历史记录（添加、保存、加载、清空）
- * - 管理模板（保存、加载）
+ * - 按产品目录中的兼容规则筛选水冷机和配件，选择机器时自动选择必需的水冷机和配件
+ * - 按名称、拼音、首字母、分类和标签搜索配件和其他配件，已选的配件始终显示
+ * - 管理机器明细行：一个报价可包含多台不同型号的机器，每行有自己的数量、水冷机和配件
+ * - 水冷机和配件的选择以应用状态为准，重建选项时按状态勾选；更换机器时保留兼容的选择，取消或更换的产品会提示
+ * - 切换价格来源并按当前来源取价
+ * - 按报价明细行（line items）计算价格和费用明细，计算由 pricing 模块完成（见 pricing.js），本模块读取报价状态并更新页面
+ * - 根据整单CBM和重量自动估算国际运费和国内运费，可手动修改
+ * - 机器达到整柜数量时计算集装箱装箱方案，海运按推荐的集装箱组合计费
+ * - 按贸易术语（Incoterm）决定报价包含的费用项目
+ * - 按目的国家的税率规则计算关税、增值税和消费税，支持含税价和不含税价
+ * - 按客户货币显示报价，货币默认取自国家，汇率可按货币修改
+ * - 维护汇率历史，保存的报价锁定当时的汇率和汇率日期，汇率过期时提示，支持汇率缓冲
+ * - 内部视图按产品成本价显示每行和整单的毛利，毛利率低于最低要求时提示或禁止保存和打印
+ * - 支持明细行折扣和整单折扣（百分比或固定金额，必须填写原因），折扣率超过阈值时标记为需经理审批
+ * - 支持任意数量的附加费用（固定金额、按台、按CBM或按货值百分比），常用费用可保存为预设
+ * - 管理历史记录（添加、保存、加载、清空、恢复）
+ * - 保存报价并跟踪未保存的修改
+ * - 撤销和重做报价的修改，载入历史报价或模板后清空撤销记录
+ * - 管理模板（保存、加载、新增、应用、重命名、删除）
+ * - 管理产品目录（加载、保存、恢复出厂目录）
  * 
  * 默认数据：
+ * - accessoryScalings：配件数量计算方式（每台/每单）
+ * - tierModes：价格阶梯计算方式（按行/按系列合计）
  * - defaultMachines：默认机器数据
  * - defaultWaterCoolers：默认水冷机数据
  * - defaultAccessories：默认配件数据
  * - defaultOtherAccessories：默认其他配件数据
+ * - defaultCompatibilityRules：默认兼容规则，水冷机功率不能低于机器功率
+ * - 价格来源和贸易术语等计价数据见 pricing.js
+ * 
+ * 产品目录：
+ * - catalog：当前使用的产品目录，由默认数据和本地存储中的自定义目录合成
+ * 
+ * 报价状态：
+ * - store：报价状态容器（见 store.js），表单事件分发 action 修改报价状态，不直接修改字段
+ * - 应用订阅报价状态，状态变更后同步字段、更新页面并重新计算价格
+ * - machineLines、currency、feeLines 等报价状态字段是状态的副本，只由 syncState 更新
+ * - view：页面状态容器（见 store.js 中的 createView），价格、费用明细等页面显示的数据通过 setView 更新，由UI模块订阅后显示
+ * - selectedMachine、quantity、selectedWaterCooler、selectedAccessories、selectedOtherAccessories、accessoryQuantities
+ *   是当前编辑的机器明细行的副本
  */
 
 /**
@@ -36,6 +68,13 @@ const appModule = {
         this.initDefaultData();
         this.initEventListeners();
         this.updateMachineOptions();
+        this.updateFeePresetOptions();
+        
+        // 报价状态变更时更新页面并重新计算价格，然后更新未保存修改提示
+        this.store.subscribe((state, action) => this.handleStateChange(state, action));
+        this.store.subscribe(() => this.updateUnsavedIndicator());
+        
+        this.renderState(this.fullRenderParts);
         this.calculatePrice();
     },
     
@@ -43,58 +82,120 @@ const appModule = {
      * 初始化默认数据
      */
     initDefaultData: function() {
-        // 默认汇率
-        this.exchangeRate = 6.5;
+        // 页面状态，UI模块订阅后显示
+        this.view = window.quoteStore.createView();
+        
+        // 汇率历史和汇率过期天数，手动输入尚未记入汇率历史的汇率
+        this.rateHistory = [];
+        this.rateStaleDays = 7;
+        this.pendingRate = null;
         
-        // 默认价格来源
-        this.priceSource = 'tier1';
+        // 内部视图显示成本和毛利，默认关闭
+        this.internalView = false;
         
-        // 默认数量
-        this.quantity = 1;
+        // 最低毛利率（%）及低于最低毛利率时的处理方式：warn 提示，block 禁止保存和打印
+        this.marginSettings = { floor: 15, mode: 'warn' };
         
-        // 默认费用
-        this.internationalShipping = 0;
-        this.domesticShipping = 0;
-        this.otherFees = 0;
+        // 折扣率超过此阈值（%）时需经理审批
+        this.discountSettings = { approvalThreshold: window.discount ? window.discount.defaultApprovalThreshold : 10 };
         
-        // 默认国家
-        this.country = 'US';
+        // 附加费用预设
+        this.feePresets = [];
         
-        // 默认选中的机器
-        this.selectedMachine = null;
+        // 税率规则
+        this.taxRules = [];
         
-        // 默认选中的水冷机
-        this.selectedWaterCooler = null;
+        // 运费估算结果，未手动修改的运费使用估算值
+        this.shippingEstimate = null;
         
-        // 默认选中的配件
-        this.selectedAccessories = [];
+        // 整柜装箱方案，机器数量不足整柜时为 null
+        this.containerPlan = null;
         
-        // 默认选中的其他配件
-        this.selectedOtherAccessories = [];
+        // 配件搜索条件：关键词、分类（accessories / otherAccessories，空为全部）和标签
+        this.accessoryFilter = { query: '', category: '', tag: '' };
         
         // 历史记录
         this.history = [];
         
+        // 最近一次保存或恢复的报价状态，用于判断是否有未保存的修改
+        this.lastSavedState = null;
+        
+        // 最近一次保存或恢复的历史记录ID
+        this.lastSavedHistoryId = null;
+        
         // 默认模板
         this.templates = [];
         
+        // 加载产品目录
+        this.loadCatalog();
+        
         // 加载历史记录
         this.loadHistory();
         
         // 加载模板
         this.loadTemplates();
+        
+        // 加载税率规则
+        this.loadTaxRules();
+        
+        // 加载汇率历史
+        this.loadRateHistory();
+        
+        // 加载内部视图和最低毛利率设置
+        this.loadMarginSettings();
+        
+        // 加载折扣审批设置
+        this.loadDiscountSettings();
+        
+        // 加载附加费用预设
+        this.loadFeePresets();
+        
+        // 创建报价状态，新报价使用最新汇率
+        this.store = window.quoteStore.create(window.quoteStore.createState(Object.assign(
+            { machineLines: [this.createMachineLine()] },
+            this.getLatestRates()
+        )));
+        this.syncState(this.store.getState());
     },
     
     /**
      * 初始化事件监听器
      */
     initEventListeners: function() {
-        // 汇率变更事件
+        // 客户货币变更事件
+        const currencySelect = document.getElementById('currency');
+        if (currencySelect) {
+            currencySelect.addEventListener('change', (e) => {
+                this.setCurrency(e.target.value);
+            });
+        }
+        
+        // 汇率变更事件，修改的是当前客户货币的汇率，无效的汇率不生效
+        // 输入完成后才记入汇率历史
         const exchangeRateInput = document.getElementById('exchangeRate');
         if (exchangeRateInput) {
             exchangeRateInput.addEventListener('input', (e) => {
-                this.exchangeRate = parseFloat(e.target.value) || 6.5;
-                this.calculatePrice();
+                this.setExchangeRate(parseFloat(e.target.value));
+            });
+            exchangeRateInput.addEventListener('change', () => {
+                this.commitExchangeRate();
+            });
+        }
+        
+        // 汇率缓冲变更事件
+        const fxBufferInput = document.getElementById('fxBuffer');
+        if (fxBufferInput) {
+            fxBufferInput.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value) || 0;
+                this.dispatch('setField', { key: 'fxBuffer', value: Math.min(Math.max(value, 0), 50) }, 'fxBuffer');
+            });
+        }
+        
+        // 解锁汇率，改用最新汇率
+        const unlockRateBtn = document.getElementById('unlockRateBtn');
+        if (unlockRateBtn) {
+            unlockRateBtn.addEventListener('click', () => {
+                this.unlockRates();
             });
         }
         
@@ -102,8 +203,7 @@ const appModule = {
         const quantityInput = document.getElementById('quantity');
         if (quantityInput) {
             quantityInput.addEventListener('input', (e) => {
-                this.quantity = parseInt(e.target.value) || 1;
-                this.calculatePrice();
+                this.dispatch('setQuantity', { quantity: parseInt(e.target.value) || 1 }, 'quantity');
             });
         }
         
@@ -111,8 +211,7 @@ const appModule = {
         const internationalShippingInput = document.getElementById('internationalShipping');
         if (internationalShippingInput) {
             internationalShippingInput.addEventListener('input', (e) => {
-                this.internationalShipping = parseFloat(e.target.value) || 0;
-                this.calculatePrice();
+                this.dispatch('setShippingFee', { key: 'internationalShipping', value: parseFloat(e.target.value) || 0 }, 'internationalShipping');
             });
         }
         
@@ -120,25 +219,93 @@ const appModule = {
         const domesticShippingInput = document.getElementById('domesticShipping');
         if (domesticShippingInput) {
             domesticShippingInput.addEventListener('input', (e) => {
-                this.domesticShipping = parseFloat(e.target.value) || 0;
-                this.calculatePrice();
+                this.dispatch('setShippingFee', { key: 'domesticShipping', value: parseFloat(e.target.value) || 0 }, 'domesticShipping');
+            });
+        }
+        
+        // 运输方式变更事件
+        const shippingMethodSelect = document.getElementById('shippingMethod');
+        if (shippingMethodSelect) {
+            shippingMethodSelect.addEventListener('change', (e) => {
+                this.dispatch('setField', { key: 'shippingMethod', value: e.target.value });
+            });
+        }
+        
+        // 恢复估算运费事件
+        document.addEventListener('click', (e) => {
+            const resetButton = e.target.closest('[data-shipping-reset]');
+            if (resetButton) {
+                this.resetShippingOverride(resetButton.getAttribute('data-shipping-reset'));
+            }
+        });
+        
+        // 添加附加费用事件，可选择预设
+        const addFeeLineBtn = document.getElementById('addFeeLineBtn');
+        if (addFeeLineBtn) {
+            addFeeLineBtn.addEventListener('click', () => {
+                const presetSelect = document.getElementById('feePresetSelect');
+                this.addFeeLine(presetSelect ? presetSelect.value : '');
+            });
+        }
+        
+        // 修改和删除附加费用事件
+        if (window.ui && window.ui.module) {
+            window.ui.module.onFeeLineChange = (index, field, value) => {
+                this.updateFeeLine(index, field, value);
+            };
+            window.ui.module.onFeeLineRemove = (index) => {
+                this.removeFeeLine(index);
+            };
+        }
+        
+        // 贸易术语变更事件
+        const incotermSelect = document.getElementById('incoterm');
+        if (incotermSelect) {
+            incotermSelect.addEventListener('change', (e) => {
+                this.setIncoterm(e.target.value);
+            });
+        }
+        
+        // 指定港口/地点变更事件
+        const namedPlaceInput = document.getElementById('namedPlace');
+        if (namedPlaceInput) {
+            namedPlaceInput.addEventListener('input', (e) => {
+                this.dispatch('setField', { key: 'namedPlace', value: e.target.value.trim() }, 'namedPlace');
             });
         }
         
-        // 其他费用变更事件
-        const otherFeesInput = document.getElementById('otherFees');
-        if (otherFeesInput) {
-            otherFeesInput.addEventListener('input', (e) => {
-                this.otherFees = parseFloat(e.target.value) || 0;
-                this.calculatePrice();
+        // 报关费、保险费率和目的地派送费变更事件
+        ['exportClearance', 'insuranceRate', 'localDelivery'].forEach(key => {
+            const input = document.getElementById(key);
+            if (input) {
+                input.addEventListener('input', (e) => {
+                    this.dispatch('setField', { key, value: parseFloat(e.target.value) || 0 }, key);
+                });
+            }
+        });
+        
+        // 计价模式变更事件
+        const taxModeSelect = document.getElementById('taxMode');
+        if (taxModeSelect) {
+            taxModeSelect.addEventListener('change', (e) => {
+                this.dispatch('setField', { key: 'taxMode', value: e.target.value === 'inclusive' ? 'inclusive' : 'exclusive' });
             });
         }
         
-        // 国家变更事件
+        // 国家变更事件，客户货币随国家变更
         const countrySelect = document.getElementById('country');
         if (countrySelect) {
             countrySelect.addEventListener('change', (e) => {
-                this.country = e.target.value;
+                const country = e.target.value;
+                this.dispatch('setCountry', { country, currency: this.getCountryCurrency(country) });
+            });
+        }
+        
+        // 邮编变更事件
+        const zipCodeInput = document.getElementById('zipCode');
+        if (zipCodeInput) {
+            zipCodeInput.addEventListener('input', (e) => {
+                this.dispatch('setField', { key: 'zipCode', value: e.target.value.trim() }, 'zipCode');
             });
         }
         
@@ -147,9 +314,8 @@ const appModule = {
         if (seriesSelect) {
             seriesSelect.addEventListener('change', (e) => {
                 const series = e.target.value;
+                this.selectMachine(null);
                 this.updateModelOptions(series);
-                this.selectedMachine = null;
-                this.calculatePrice();
             });
         }
         
@@ -158,9 +324,8 @@ const appModule = {
         if (modelSelect) {
             modelSelect.addEventListener('change', (e) => {
                 const model = e.target.value;
+                this.selectMachine(null);
                 this.updatePowerOptions(model);
-                this.selectedMachine = null;
-                this.calculatePrice();
             });
         }
         
@@ -168,36 +333,134 @@ const appModule = {
         const powerSelect = document.getElementById('powerSelect');
         if (powerSelect) {
             powerSelect.addEventListener('change', (e) => {
-                const power = e.target.value;
-                this.selectMachine(power);
-                this.calculatePrice();
+                const series = seriesSelect ? seriesSelect.value : '';
+                const model = modelSelect ? modelSelect.value : '';
+                this.selectMachine(this.findMachine(series, model, e.target.value));
             });
         }
         
         // 水冷机选择事件
         document.addEventListener('change', (e) => {
             if (e.target.name === 'waterCooler') {
-                this.selectedWaterCooler = e.target.value;
-                this.calculatePrice();
+                this.selectWaterCooler(e.target.value);
+                this.notifyMissingRequiredItems();
             }
         });
         
         // 配件选择事件
         document.addEventListener('change', (e) => {
             if (e.target.name === 'accessory') {
-                this.updateSelectedAccessories();
-                this.calculatePrice();
+                this.toggleAccessory('accessory', e.target.value, e.target.checked);
+                if (!e.target.checked) {
+                    this.notifyMissingRequiredItems();
+                }
             }
         });
         
         // 其他配件选择事件
         document.addEventListener('change', (e) => {
             if (e.target.name === 'otherAccessory') {
-                this.updateSelectedOtherAccessories();
-                this.calculatePrice();
+                this.toggleAccessory('otherAccessory', e.target.value, e.target.checked);
+                if (!e.target.checked) {
+                    this.notifyMissingRequiredItems();
+                }
+            }
+        });
+        
+        // 配件数量输入事件
+        document.addEventListener('input', (e) => {
+            if (e.target.name === 'accessoryQuantity') {
+                this.setAccessoryQuantity(e.target.getAttribute('data-id'), e.target.value);
+            }
+        });
+        
+        // 配件数量加减按钮事件
+        document.addEventListener('click', (e) => {
+            const stepButton = e.target.closest('[data-quantity-step]');
+            if (stepButton) {
+                const id = stepButton.getAttribute('data-id');
+                const step = parseInt(stepButton.getAttribute('data-quantity-step'));
+                this.setAccessoryQuantity(id, this.getAccessoryQuantity(this.findAccessory(id)) + step);
             }
         });
         
+        // 价格来源变更事件
+        if (window.ui && window.ui.module) {
+            window.ui.module.onPriceSourceChange = (source) => {
+                this.setPriceSource(source);
+            };
+        }
+        
+        // 配件搜索和筛选事件
+        if (window.ui && window.ui.module) {
+            window.ui.module.onAccessorySearch = (query) => {
+                this.setAccessoryFilter({ query });
+            };
+            window.ui.module.onAccessoryFilterChange = (changes) => {
+                this.setAccessoryFilter(changes);
+            };
+        }
+        
+        // 添加机器事件
+        const addMachineLineBtn = document.getElementById('addMachineLineBtn');
+        if (addMachineLineBtn) {
+            addMachineLineBtn.addEventListener('click', () => {
+                this.addMachineLine();
+            });
+        }
+        
+        // 切换和删除机器明细行事件
+        if (window.ui && window.ui.module) {
+            window.ui.module.onMachineLineSelect = (index) => {
+                this.selectMachineLine(index);
+            };
+            window.ui.module.onMachineLineRemove = (index) => {
+                this.removeMachineLine(index);
+            };
+        }
+        
+        // 价格阶梯计算方式变更事件
+        const tierModeSelect = document.getElementById('tierModeSelect');
+        if (tierModeSelect) {
+            tierModeSelect.addEventListener('change', (e) => {
+                this.setTierMode(e.target.value);
+            });
+        }
+        
+        // 保存报价事件
+        const saveQuoteBtn = document.getElementById('saveQuoteBtn');
+        if (saveQuoteBtn) {
+            saveQuoteBtn.addEventListener('click', () => {
+                this.saveQuote();
+            });
+        }
+        
+        // 确认保存报价事件
+        const confirmSaveQuoteBtn = document.getElementById('confirmSaveQuoteBtn');
+        if (confirmSaveQuoteBtn) {
+            confirmSaveQuoteBtn.addEventListener('click', () => {
+                this.confirmSaveQuote();
+            });
+        }
+        
+        // 在保存报价对话框中按回车确认
+        const saveQuoteModal = document.getElementById('saveQuoteModal');
+        if (saveQuoteModal) {
+            saveQuoteModal.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+                    e.preventDefault();
+                    this.confirmSaveQuote();
+                }
+            });
+        }
+        
+        // 历史记录选择事件
+        if (window.ui && window.ui.module) {
+            window.ui.module.onHistorySelect = (id) => {
+                this.restoreHistory(id);
+            };
+        }
+        
         // 清空历史记录事件
         const clearHistoryBtn = document.getElementById('clearHistoryBtn');
         if (clearHistoryBtn) {
@@ -207,8 +470,179 @@ const appModule = {
         }
     },
     
+    /**
+     * 报价状态变更后需要更新的页面部分，键为 action 类型，修改单个报价条件时为 setField:字段名
+     * 表单输入触发的修改不重写输入框，没有列出的 action 只重新计算价格
+     */
+    stateRenderParts: {
+        selectMachine: ['machine'],
+        addMachineLine: ['machineLine'],
+        selectMachineLine: ['machineLine'],
+        removeMachineLine: ['machineLine'],
+        addFeeLine: ['feeLines'],
+        removeFeeLine: ['feeLines'],
+        setCountry: ['currency'],
+        setExchangeRate: ['currency'],
+        setExchangeRates: ['currency'],
+        'setField:currency': ['currency'],
+        'setField:fxBuffer': ['currency'],
+        'setField:rateLockedAt': ['currency'],
+        'setField:priceSource': ['priceSource']
+    },
+    
+    /**
+     * 撤销、重做和载入报价后更新全部页面部分
+     */
+    fullRenderParts: ['inputs', 'currency', 'priceSource', 'feeLines', 'machineLine'],
+    
+    /**
+     * 分发修改报价状态的 action
+     * @param {string} type - action 类型，见 store.js 中的 reducers
+     * @param {Object} payload - action 数据
+     * @param {string} mergeKey - 可选，逐字输入时同一输入框的连续修改合并为一步撤销
+     */
+    dispatch: function(type, payload, mergeKey) {
+        this.store.dispatch({ type, payload, mergeKey });
+    },
+    
+    /**
+     * 修改页面状态，UI模块按修改的字段更新页面
+     * @param {Object} changes - 页面状态字段，见 ui.js 中的 viewRenderers
+     */
+    setView: function(changes) {
+        this.view.dispatch({ type: 'setView', payload: changes });
+    },
+    
+    /**
+     * 撤销上一次修改
+     * @returns {boolean} 是否撤销
+     */
+    undo: function() {
+        return this.store.undo();
+    },
+    
+    /**
+     * 重做上一次撤销的修改
+     * @returns {boolean} 是否重做
+     */
+    redo: function() {
+        return this.store.redo();
+    },
+    
+    /**
+     * 报价状态变更后同步字段、更新页面并重新计算价格
+     * @param {Object} state - 新的报价状态
+     * @param {Object} action - 引起变更的 action
+     */
+    handleStateChange: function(state, action) {
+        this.syncState(state);
+        
+        let parts;
+        if (['undo', 'redo', 'reset'].includes(action.type)) {
+            parts = this.fullRenderParts;
+        } else {
+            const key = action.type === 'setField' ? `setField:${action.payload.key}` : action.type;
+            parts = this.stateRenderParts[key] || [];
+        }
+        this.renderState(parts);
+        this.calculatePrice();
+    },
+    
+    /**
+     * 将报价状态同步到字段
+     * @param {Object} state - 报价状态
+     */
+    syncState: function(state) {
+        Object.keys(state).forEach(key => {
+            this[key] = state[key];
+        });
+        
+        const line = state.machineLines[state.activeLineIndex];
+        this.selectedMachine = this.catalog.machines.find(machine => machine.id === line.machineId) || null;
+        this.quantity = line.quantity;
+        this.selectedWaterCooler = line.waterCoolerId;
+        this.selectedAccessories = line.accessoryIds;
+        this.selectedOtherAccessories = line.otherAccessoryIds;
+        this.accessoryQuantities = line.accessoryQuantities;
+    },
+    
+    /**
+     * 按报价状态更新页面
+     * @param {Array} parts - 页面部分：inputs 输入框，currency 货币和汇率，priceSource 价格来源，
+     *   feeLines 附加费用列表，machineLine 当前机器明细行的机器选择和选项，machine 当前机器的信息和选项
+     */
+    renderState: function(parts) {
+        if (parts.includes('inputs')) {
+            this.renderStateInputs();
+        }
+        if (parts.includes('currency')) {
+            this.updateCurrencyInputs();
+        }
+        if (parts.includes('priceSource')) {
+            this.setView({ priceSource: this.priceSource });
+            this.updateOptionPrices();
+        }
+        if (parts.includes('feeLines')) {
+            this.renderFeeLines();
+        }
+        if (parts.includes('machineLine')) {
+            this.renderMachineLine();
+        }
+        if (parts.includes('machine')) {
+            this.renderSelectedMachine();
+        }
+    },
+    
+    /**
+     * 将报价条件写入输入框
+     * 未手动修改的运费由 updateShippingFees 填入估算值
+     */
+    renderStateInputs: function() {
+        const inputValues = {
+            quantity: this.quantity,
+            tierModeSelect: this.tierMode,
+            shippingMethod: this.shippingMethod,
+            fxBuffer: this.fxBuffer,
+            internationalShipping: this.internationalShipping,
+            domesticShipping: this.domesticShipping,
+            incoterm: this.incoterm,
+            namedPlace: this.namedPlace,
+            exportClearance: this.exportClearance,
+            insuranceRate: this.insuranceRate,
+            localDelivery: this.localDelivery,
+            taxMode: this.taxMode,
+            country: this.country,
+            zipCode: this.zipCode
+        };
+        Object.keys(inputValues).forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = inputValues[id];
+            }
+        });
+    },
+    
+    /**
+     * 配件数量计算方式
+     * perMachine：每台机器一件，数量随机器数量变化；perOrder：每个订单一件
+     */
+    accessoryScalings: [
+        { id: 'perMachine', name: '每台' },
+        { id: 'perOrder', name: '每单' }
+    ],
+    
+    /**
+     * 价格阶梯计算方式
+     * line：每行按本行数量取阶梯；series：同一系列的所有行按合计数量取阶梯
+     */
+    tierModes: [
+        { id: 'line', name: '按行计算阶梯' },
+        { id: 'series', name: '按系列合计阶梯' }
+    ],
+    
     /**
      * 默认机器数据
+     * priceTiers 按价格来源分别维护数量阶梯
      */
     defaultMachines: [
         {
@@ -216,11 +650,23 @@ const appModule = {
             series: 'KH-1390',
             model: '1390',
             power: '50W',
-            priceTiers: [
-                { min: 1, max: 9, price: 10000 },
-                { min: 10, max: 99, price: 9500 },
-                { min: 100, max: null, price: 9000 }
-            ],
+            priceTiers: {
+                tier1: [
+                    { min: 1, max: 9, price: 10000 },
+                    { min: 10, max: 99, price: 9500 },
+                    { min: 100, max: null, price: 9000 }
+                ],
+                tier2: [
+                    { min: 1, max: 9, price: 10800 },
+                    { min: 10, max: 99, price: 10300 },
+                    { min: 100, max: null, price: 9700 }
+                ],
+                tier3: [
+                    { min: 1, max: 9, price: 12000 },
+                    { min: 10, max: 99, price: 11400 },
+                    { min: 100, max: null, price: 10800 }
+                ]
+            },
             packingSize: { length: 150, width: 100, height: 80 },
             cbm: 1.2,
             volumeWeight: 240,
@@ -231,11 +677,23 @@ const appModule = {
             series: 'KH-1390',
             model: '1390',
             power: '80W',
-            priceTiers: [
-                { min: 1, max: 9, price: 12000 },
-                { min: 10, max: 99, price: 11500 },
-                { min: 100, max: null, price: 11000 }
-            ],
+            priceTiers: {
+                tier1: [
+                    { min: 1, max: 9, price: 12000 },
+                    { min: 10, max: 99, price: 11500 },
+                    { min: 100, max: null, price: 11000 }
+                ],
+                tier2: [
+                    { min: 1, max: 9, price: 13000 },
+                    { min: 10, max: 99, price: 12400 },
+                    { min: 100, max: null, price: 11900 }
+                ],
+                tier3: [
+                    { min: 1, max: 9, price: 14400 },
+                    { min: 10, max: 99, price: 13800 },
+                    { min: 100, max: null, price: 13200 }
+                ]
+            },
             packingSize: { length: 150, width: 100, height: 80 },
             cbm: 1.2,
             volumeWeight: 240,
@@ -246,11 +704,23 @@ const appModule = {
             series: 'KH-1390',
             model: '1390',
             power: '100W',
-            priceTiers: [
-                { min: 1, max: 9, price: 14000 },
-                { min: 10, max: 99, price: 13500 },
-                { min: 100, max: null, price: 13000 }
-            ],
+            priceTiers: {
+                tier1: [
+                    { min: 1, max: 9, price: 14000 },
+                    { min: 10, max: 99, price: 13500 },
+                    { min: 100, max: null, price: 13000 }
+                ],
+                tier2: [
+                    { min: 1, max: 9, price: 15100 },
+                    { min: 10, max: 99, price: 14600 },
+                    { min: 100, max: null, price: 14000 }
+                ],
+                tier3: [
+                    { min: 1, max: 9, price: 16800 },
+                    { min: 10, max: 99, price: 16200 },
+                    { min: 100, max: null, price: 15600 }
+                ]
+            },
             packingSize: { length: 150, width: 100, height: 80 },
             cbm: 1.2,
             volumeWeight: 240,
@@ -261,11 +731,23 @@ const appModule = {
             series: 'KH-1610',
             model: '1610',
             power: '50W',
-            priceTiers: [
-                { min: 1, max: 9, price: 12000 },
-                { min: 10, max: 99, price: 11500 },
-                { min: 100, max: null, price: 11000 }
-            ],
+            priceTiers: {
+                tier1: [
+                    { min: 1, max: 9, price: 12000 },
+                    { min: 10, max: 99, price: 11500 },
+                    { min: 100, max: null, price: 11000 }
+                ],
+                tier2: [
+                    { min: 1, max: 9, price: 13000 },
+                    { min: 10, max: 99, price: 12400 },
+                    { min: 100, max: null, price: 11900 }
+                ],
+                tier3: [
+                    { min: 1, max: 9, price: 14400 },
+                    { min: 10, max: 99, price: 13800 },
+                    { min: 100, max: null, price: 13200 }
+                ]
+            },
             packingSize: { length: 180, width: 120, height: 80 },
             cbm: 1.728,
             volumeWeight: 345.6,
@@ -276,11 +758,23 @@ const appModule = {
             series: 'KH-1610',
             model: '1610',
             power: '80W',
-            priceTiers: [
-                { min: 1, max: 9, price: 14000 },
-                { min: 10, max: 99, price: 13500 },
-                { min: 100, max: null, price: 13000 }
-            ],
+            priceTiers: {
+                tier1: [
+                    { min: 1, max: 9, price: 14000 },
+                    { min: 10, max: 99, price: 13500 },
+                    { min: 100, max: null, price: 13000 }
+                ],
+                tier2: [
+                    { min: 1, max: 9, price: 15100 },
+                    { min: 10, max: 99, price: 14600 },
+                    { min: 100, max: null, price: 14000 }
+                ],
+                tier3: [
+                    { min: 1, max: 9, price: 16800 },
+                    { min: 10, max: 99, price: 16200 },
+                    { min: 100, max: null, price: 15600 }
+                ]
+            },
             packingSize: { length: 180, width: 120, height: 80 },
             cbm: 1.728,
             volumeWeight: 345.6,
@@ -291,11 +785,23 @@ const appModule = {
             series: 'KH-1610',
             model: '1610',
             power: '100W',
-            priceTiers: [
-                { min: 1, max: 9, price: 16000 },
-                { min: 10, max: 99, price: 15500 },
-                { min: 100, max: null, price: 15000 }
-            ],
+            priceTiers: {
+                tier1: [
+                    { min: 1, max: 9, price: 16000 },
+                    { min: 10, max: 99, price: 15500 },
+                    { min: 100, max: null, price: 15000 }
+                ],
+                tier2: [
+                    { min: 1, max: 9, price: 17300 },
+                    { min: 10, max: 99, price: 16700 },
+                    { min: 100, max: null, price: 16200 }
+                ],
+                tier3: [
+                    { min: 1, max: 9, price: 19200 },
+                    { min: 10, max: 99, price: 18600 },
+                    { min: 100, max: null, price: 18000 }
+                ]
+            },
             packingSize: { length: 180, width: 120, height: 80 },
             cbm: 1.728,
             volumeWeight: 345.6,
@@ -305,35 +811,204 @@ const appModule = {
     
     /**
      * 默认水冷机数据
+     * price 按价格来源分别维护单价
      */
     defaultWaterCoolers: [
-        { id: 'water-cooler-50w', name: '50W水冷机', price: 800 },
-        { id: 'water-cooler-80w', name: '80W水冷机', price: 1000 },
-        { id: 'water-cooler-100w', name: '100W水冷机', price: 1200 }
+        { id: 'water-cooler-50w', name: '50W水冷机', price: { tier1: 800, tier2: 860, tier3: 960 } },
+        { id: 'water-cooler-80w', name: '80W水冷机', price: { tier1: 1000, tier2: 1080, tier3: 1200 } },
+        { id: 'water-cooler-100w', name: '100W水冷机', price: { tier1: 1200, tier2: 1300, tier3: 1440 } }
     ],
     
     /**
      * 默认配件数据
+     * scaling 为数量计算方式，见 accessoryScalings；tags 为搜索筛选用的标签
      */
     defaultAccessories: [
-        { id: 'accessory-laser-tube', name: '激光管', price: 1500 },
-        { id: 'accessory-mirror', name: '反射镜', price: 200 },
-        { id: 'accessory-lens', name: '聚焦镜', price: 150 },
-        { id: 'accessory-power-supply', name: '电源', price: 800 }
+        { id: 'accessory-laser-tube', name: '激光管', price: { tier1: 1500, tier2: 1620, tier3: 1800 }, scaling: 'perOrder', tags: ['光学', '易损件'] },
+        { id: 'accessory-mirror', name: '反射镜', price: { tier1: 200, tier2: 220, tier3: 240 }, scaling: 'perOrder', tags: ['光学', '易损件'] },
+        { id: 'accessory-lens', name: '聚焦镜', price: { tier1: 150, tier2: 160, tier3: 180 }, scaling: 'perOrder', tags: ['光学', '易损件'] },
+        { id: 'accessory-power-supply', name: '电源', price: { tier1: 800, tier2: 860, tier3: 960 }, scaling: 'perOrder', tags: ['电气'] }
     ],
     
     /**
      * 默认其他配件数据
      */
     defaultOtherAccessories: [
-        { id: 'other-accessory-chiller', name: '冷水机', price: 2000 },
-        { id: 'other-accessory-exhaust-fan', name: '排风扇', price: 300 },
-        { id: 'other-accessory-air-compressor', name: '空压机', price: 1500 },
-        { id: 'other-accessory-software', name: '软件', price: 1000 },
-        { id: 'other-accessory-training', name: '培训', price: 500 },
-        { id: 'other-accessory-warranty', name: '保修', price: 800 }
+        { id: 'other-accessory-chiller', name: '冷水机', price: { tier1: 2000, tier2: 2160, tier3: 2400 }, scaling: 'perMachine', tags: ['冷却'] },
+        { id: 'other-accessory-exhaust-fan', name: '排风扇', price: { tier1: 300, tier2: 320, tier3: 360 }, scaling: 'perMachine', tags: ['辅助设备'] },
+        { id: 'other-accessory-air-compressor', name: '空压机', price: { tier1: 1500, tier2: 1620, tier3: 1800 }, scaling: 'perMachine', tags: ['辅助设备'] },
+        { id: 'other-accessory-software', name: '软件', price: { tier1: 1000, tier2: 1080, tier3: 1200 }, scaling: 'perMachine', tags: ['服务'] },
+        { id: 'other-accessory-training', name: '培训', price: { tier1: 500, tier2: 540, tier3: 600 }, scaling: 'perOrder', tags: ['服务'] },
+        { id: 'other-accessory-warranty', name: '保修', price: { tier1: 800, tier2: 860, tier3: 960 }, scaling: 'perMachine', tags: ['服务'] }
+    ],
+    
+    /**
+     * 默认兼容规则
+     * 功率相同的水冷机为必需，功率低于机器的水冷机不兼容，规则格式见 compatibility.js
+     */
+    defaultCompatibilityRules: [
+        { id: 'water-cooler-50w-required', itemId: 'water-cooler-50w', series: '', model: '', minPower: '50W', maxPower: '50W', level: 'required' },
+        { id: 'water-cooler-50w-forbidden', itemId: 'water-cooler-50w', series: '', model: '', minPower: '51W', maxPower: '', level: 'forbidden' },
+        { id: 'water-cooler-80w-required', itemId: 'water-cooler-80w', series: '', model: '', minPower: '80W', maxPower: '80W', level: 'required' },
+        { id: 'water-cooler-80w-forbidden', itemId: 'water-cooler-80w', series: '', model: '', minPower: '81W', maxPower: '', level: 'forbidden' },
+        { id: 'water-cooler-100w-required', itemId: 'water-cooler-100w', series: '', model: '', minPower: '100W', maxPower: '100W', level: 'required' }
     ],
     
+    /**
+     * 获取出厂产品目录
+     * @returns {Object} 出厂产品目录的副本
+     */
+    getFactoryCatalog: function() {
+        const clone = window.utils && window.utils.deepClone
+            ? window.utils.deepClone
+            : (value) => JSON.parse(JSON.stringify(value));
+        
+        return {
+            machines: clone(this.defaultMachines),
+            waterCoolers: clone(this.defaultWaterCoolers),
+            accessories: clone(this.defaultAccessories),
+            otherAccessories: clone(this.defaultOtherAccessories),
+            compatibilityRules: clone(this.defaultCompatibilityRules)
+        };
+    },
+    
+    /**
+     * 加载产品目录
+     * 本地存储中的自定义目录按分类覆盖出厂目录
+     */
+    loadCatalog: function() {
+        const catalog = this.getFactoryCatalog();
+        
+        if (window.utils && window.utils.getFromLocalStorage) {
+            const savedCatalog = window.utils.getFromLocalStorage('productCatalog', null);
+            if (savedCatalog) {
+                Object.keys(catalog).forEach(key => {
+                    if (Array.isArray(savedCatalog[key])) {
+                        catalog[key] = savedCatalog[key];
+                    }
+                });
+            }
+        }
+        
+        this.catalog = catalog;
+    },
+    
+    /**
+     * 保存产品目录
+     * @param {Object} catalog - 产品目录
+     */
+    saveCatalog: function(catalog) {
+        this.catalog = catalog;
+        
+        if (window.utils && window.utils.saveToLocalStorage) {
+            window.utils.saveToLocalStorage('productCatalog', catalog);
+        }
+        
+        this.refreshCatalogOptions();
+    },
+    
+    /**
+     * 恢复出厂产品目录
+     */
+    resetCatalog: function() {
+        this.catalog = this.getFactoryCatalog();
+        
+        if (window.utils && window.utils.removeFromLocalStorage) {
+            window.utils.removeFromLocalStorage('productCatalog');
+        }
+        
+        this.refreshCatalogOptions();
+    },
+    
+    /**
+     * 获取产品目录中的产品ID
+     * @returns {Object} 产品ID { machines, waterCoolers, accessories, otherAccessories }
+     */
+    getCatalogIds: function() {
+        const ids = {};
+        ['machines', 'waterCoolers', 'accessories', 'otherAccessories'].forEach(key => {
+            ids[key] = this.catalog[key].map(item => item.id);
+        });
+        return ids;
+    },
+    
+    /**
+     * 产品目录变更后重建选项
+     * 只去掉机器明细行中已被删除的产品，其余选择和撤销记录保留；撤销记录中的状态同样去掉这些产品
+     */
+    refreshCatalogOptions: function() {
+        const ids = this.getCatalogIds();
+        const missing = [];
+        this.store.getState().machineLines.forEach(line => {
+            window.quoteStore.removeMissingLineProducts(line, ids, missing);
+        });
+        
+        this.updateMachineOptions();
+        this.store.dispatch({ type: 'removeMissingProducts', payload: { ids }, history: false });
+        this.renderState(this.fullRenderParts);
+        this.calculatePrice();
+        
+        if (missing.length > 0 && window.ui && window.ui.notification) {
+            window.ui.notification.show(`以下产品已不在产品目录中，已从报价中去掉：${missing.join(', ')}`, 'warning');
+        }
+    },
+    
+    /**
+     * 设置价格来源
+     * @param {string} source - 价格来源ID：tier1, tier2, tier3
+     */
+    setPriceSource: function(source) {
+        if (!window.pricing.priceSources.some(item => item.id === source)) {
+            return;
+        }
+        
+        this.dispatch('setField', { key: 'priceSource', value: source });
+    },
+    
+    /**
+     * 获取价格来源名称
+     * @param {string} source - 价格来源ID
+     * @returns {string} 价格来源名称
+     */
+    getPriceSourceName: function(source) {
+        return window.pricing.getPriceSourceName(source);
+    },
+    
+    /**
+     * 获取水冷机或配件在当前价格来源下的单价
+     * @param {Object} item - 水冷机或配件数据
+     * @returns {number} 单价
+     */
+    getItemPrice: function(item) {
+        return window.pricing.getItemPrice(item, this.priceSource);
+    },
+    
+    /**
+     * 更新选项中显示的单价
+     * 只替换价格文本，保留已勾选的状态
+     */
+    updateOptionPrices: function() {
+        const groups = [
+            { containerId: 'waterCoolerOptions', items: this.catalog.waterCoolers },
+            { containerId: 'accessoryOptions', items: this.catalog.accessories },
+            { containerId: 'otherAccessoryOptions', items: this.catalog.otherAccessories }
+        ];
+        
+        groups.forEach(group => {
+            const container = document.getElementById(group.containerId);
+            if (!container) {
+                return;
+            }
+            
+            group.items.forEach(item => {
+                const label = container.querySelector(`label[for="${item.id}"] .accessory-price`);
+                if (label) {
+                    label.textContent = window.utils.formatPrice(this.getItemPrice(item), 'CNY');
+                }
+            });
+        });
+    },
+    
     /**
      * 更新机器选项
      */
@@ -344,7 +1019,7 @@ const appModule = {
             seriesSelect.innerHTML = '<option value="">请选择系列</option>';
             
             // 获取所有唯一的系列
-            const seriesSet = new Set(this.defaultMachines.map(machine => machine.series));
+            const seriesSet = new Set(this.catalog.machines.map(machine => machine.series));
             const seriesList = Array.from(seriesSet);
             
             // 添加系列选项
@@ -370,7 +1045,7 @@ const appModule = {
             
             if (series) {
                 // 获取该系列的所有唯一型号
-                const modelSet = new Set(this.defaultMachines
+                const modelSet = new Set(this.catalog.machines
                     .filter(machine => machine.series === series)
                     .map(machine => machine.model)
                 );
@@ -417,7 +1092,7 @@ const appModule = {
                 const series = seriesSelect.value;
                 
                 // 获取该系列和型号的所有功率
-                const powerList = this.defaultMachines
+                const powerList = this.catalog.machines
                     .filter(machine => machine.series === series && machine.model === model)
                     .map(machine => machine.power);
                 
@@ -441,21 +1116,28 @@ const appModule = {
     
     /**
      * 更新水冷机选项
+     * 不兼容的水冷机不显示，除非已被选中
      */
     updateWaterCoolerOptions: function() {
         const waterCoolerOptions = document.getElementById('waterCoolerOptions');
         if (waterCoolerOptions) {
             waterCoolerOptions.innerHTML = '';
             
-            this.defaultWaterCoolers.forEach(waterCooler => {
+            const levels = this.getCompatibilityLevels();
+            this.catalog.waterCoolers.forEach(waterCooler => {
+                const selected = waterCooler.id === this.selectedWaterCooler;
+                if (levels[waterCooler.id] === 'forbidden' && !selected) {
+                    return;
+                }
+                
                 const option = document.createElement('div');
                 option.className = 'radio-option';
                 option.innerHTML = `
-                    <input type="radio" name="waterCooler" id="${waterCooler.id}" value="${waterCooler.id}">
+                    <input type="radio" name="waterCooler" id="${waterCooler.id}" value="${waterCooler.id}" ${selected ? 'checked' : ''}>
                     <label for="${waterCooler.id}">
                         <div class="checkbox-label-wrapper">
-                            <span>${waterCooler.name}</span>
-                            <span class="accessory-price">¥${waterCooler.price.toFixed(2)}</span>
+                            <span>${waterCooler.name}${this.getCompatibilityTag(levels[waterCooler.id])}</span>
+                            <span class="accessory-price">${window.utils.formatPrice(this.getItemPrice(waterCooler), 'CNY')}</span>
                         </div>
                     </label>
                 `;
@@ -466,25 +1148,17 @@ const appModule = {
     
     /**
      * 更新配件选项
+     * 不兼容或不符合搜索条件的配件不显示，除非已被选中
      */
     updateAccessoryOptions: function() {
         const accessoryOptions = document.getElementById('accessoryOptions');
         if (accessoryOptions) {
             accessoryOptions.innerHTML = '';
             
-            this.defaultAccessories.forEach(accessory => {
-                const option = document.createElement('div');
-                option.className = 'checkbox-option';
-                option.innerHTML = `
-                    <input type="checkbox" name="accessory" id="${accessory.id}" value="${accessory.id}">
-                    <label for="${accessory.id}">
-                        <div class="checkbox-label-wrapper">
-                            <span>${accessory.name}</span>
-                            <span class="accessory-price">¥${accessory.price.toFixed(2)}</span>
-                        </div>
-                    </label>
-                `;
-                accessoryOptions.appendChild(option);
+            const levels = this.getCompatibilityLevels();
+            const { selected, matched } = this.getVisibleAccessories('accessories');
+            this.catalog.accessories.filter(item => selected.includes(item) || matched.includes(item)).forEach(accessory => {
+                accessoryOptions.appendChild(this.createAccessoryOption(accessory, 'accessory', selected.includes(accessory), levels[accessory.id]));
             });
         }
         
@@ -494,140 +1168,1199 @@ const appModule = {
     
     /**
      * 更新其他配件选项
+     * 不兼容或不符合搜索条件的其他配件不显示，除非已被选中；搜索时已选的其他配件单独分组显示在前面
      */
     updateOtherAccessoryOptions: function() {
         const otherAccessoryOptions = document.getElementById('otherAccessoryOptions');
         if (otherAccessoryOptions) {
             otherAccessoryOptions.innerHTML = '';
             
-            this.defaultOtherAccessories.forEach(accessory => {
-                const option = document.createElement('div');
-                option.className = 'checkbox-option';
-                option.innerHTML = `
-                    <input type="checkbox" name="otherAccessory" id="${accessory.id}" value="${accessory.id}">
-                    <label for="${accessory.id}">
-                        <div class="checkbox-label-wrapper">
-                            <span>${accessory.name}</span>
-                            <span class="accessory-price">¥${accessory.price.toFixed(2)}</span>
-                        </div>
-                    </label>
+            const levels = this.getCompatibilityLevels();
+            const filtering = this.isAccessoryFilterActive();
+            const { selected, matched } = this.getVisibleAccessories('otherAccessories');
+            const appendGroup = (items, className, icon, title) => {
+                if (filtering && items.length > 0) {
+                    const groupTitle = document.createElement('div');
+                    groupTitle.className = className;
+                    groupTitle.innerHTML = `<i class="fas ${icon}"></i>${title}`;
+                    otherAccessoryOptions.appendChild(groupTitle);
+                }
+                items.forEach(accessory => {
+                    otherAccessoryOptions.appendChild(this.createAccessoryOption(accessory, 'otherAccessory', selected.includes(accessory), levels[accessory.id]));
+                });
+            };
+            
+            if (filtering) {
+                appendGroup(selected, 'selected-group-title', 'fa-check', '已选配件');
+                appendGroup(matched, 'unselected-group-title', 'fa-search', '搜索结果');
+            } else {
+                appendGroup(this.catalog.otherAccessories.filter(item => selected.includes(item) || matched.includes(item)));
+            }
+            
+            if (filtering && selected.length === 0 && matched.length === 0) {
+                otherAccessoryOptions.innerHTML = `
+                    <div class="no-search-results">
+                        <i class="fas fa-search"></i>
+                        没有符合条件的其他配件
+                    </div>
                 `;
-                otherAccessoryOptions.appendChild(option);
-            });
+            }
         }
+        
+        this.updateAccessoryQuantityInputs();
+        this.updateAccessoryFilters();
     },
     
     /**
-     * 选择机器
-     * @param {string} power - 功率
+     * 获取配件列表中要显示的配件
+     * 已选的配件始终显示；未选的配件需要兼容当前机器并符合搜索条件
+     * @param {string} category - 分类：accessories, otherAccessories
+     * @returns {Object} 要显示的配件 { selected, matched }
      */
-    selectMachine: function(power) {
-        const seriesSelect = document.getElementById('seriesSelect');
-        const modelSelect = document.getElementById('modelSelect');
-        
-        const series = seriesSelect.value;
-        const model = modelSelect.value;
+    getVisibleAccessories: function(category) {
+        const selectedIds = category === 'accessories' ? this.selectedAccessories : this.selectedOtherAccessories;
+        const levels = this.getCompatibilityLevels();
+        const filter = this.accessoryFilter;
+        const selected = [];
+        const matched = [];
         
-        if (series && model && power) {
-            this.selectedMachine = this.defaultMachines.find(machine => 
-                machine.series === series && 
-                machine.model === model && 
-                machine.power === power
-            );
-            
-            if (this.selectedMachine) {
-                // 更新机器信息显示
-                if (window.ui && window.ui.module && window.ui.module.updateMachineInfo) {
-                    window.ui.module.updateMachineInfo(this.selectedMachine);
-                }
+        this.catalog[category].forEach(item => {
+            if (selectedIds.includes(item.id)) {
+                selected.push(item);
+            } else if (levels[item.id] !== 'forbidden'
+                && (!filter.category || filter.category === category)
+                && (!filter.tag || (item.tags || []).includes(filter.tag))
+                && (!window.search || window.search.matches(item, filter.query))) {
+                matched.push(item);
             }
-        }
+        });
+        
+        return { selected, matched };
     },
     
     /**
-     * 更新选中的配件
+     * 是否设置了配件搜索条件
+     * @returns {boolean} 是否正在搜索或筛选
      */
-    updateSelectedAccessories: function() {
-        const checkboxes = document.querySelectorAll('input[name="accessory"]:checked');
-        this.selectedAccessories = Array.from(checkboxes).map(checkbox => checkbox.value);
+    isAccessoryFilterActive: function() {
+        const filter = this.accessoryFilter;
+        return !!(filter.query.trim() || filter.category || filter.tag);
     },
     
     /**
-     * 更新选中的其他配件
+     * 修改配件搜索条件并重建配件选项，已选的配件保持选中
+     * @param {Object} changes - 要修改的条件 { query, category, tag }
      */
-    updateSelectedOtherAccessories: function() {
-        const checkboxes = document.querySelectorAll('input[name="otherAccessory"]:checked');
-        this.selectedOtherAccessories = Array.from(checkboxes).map(checkbox => checkbox.value);
+    setAccessoryFilter: function(changes) {
+        Object.assign(this.accessoryFilter, changes);
+        this.updateAccessoryOptions();
     },
     
     /**
-     * 计算价格
+     * 更新配件筛选条件和搜索结果数量
      */
-    calculatePrice: function() {
-        let machinePrice = 0;
-        let waterCoolerPrice = 0;
-        let accessoriesPrice = 0;
-        let otherAccessoriesPrice = 0;
-        
-        // 计算机器价格
-        if (this.selectedMachine) {
-            const price = this.selectedMachine.priceTiers.find(tier => 
-                this.quantity >= tier.min && (tier.max === null || this.quantity <= tier.max)
-            )?.price || this.selectedMachine.priceTiers[0].price;
-            machinePrice = price * this.quantity;
-        }
-        
-        // 计算水冷机价格
-        if (this.selectedWaterCooler) {
-            const waterCooler = this.defaultWaterCoolers.find(wc => wc.id === this.selectedWaterCooler);
-            if (waterCooler) {
-                waterCoolerPrice = waterCooler.price * this.quantity;
-            }
-        }
-        
-        // 计算配件价格
-        this.selectedAccessories.forEach(accessoryId => {
-            const accessory = this.defaultAccessories.find(acc => acc.id === accessoryId);
-            if (accessory) {
-                accessoriesPrice += accessory.price;
-            }
+    updateAccessoryFilters: function() {
+        const tags = [];
+        this.catalog.accessories.concat(this.catalog.otherAccessories).forEach(item => {
+            (item.tags || []).forEach(tag => {
+                if (!tags.includes(tag)) {
+                    tags.push(tag);
+                }
+            });
         });
         
-        // 计算其他配件价格
-        this.selectedOtherAccessories.forEach(accessoryId => {
-            const accessory = this.defaultOtherAccessories.find(acc => acc.id === accessoryId);
-            if (accessory) {
-                otherAccessoriesPrice += accessory.price;
-            }
+        // 搜索结果数量不含始终显示的已选配件
+        let summary = null;
+        if (this.isAccessoryFilterActive()) {
+            const accessories = this.getVisibleAccessories('accessories').matched.length;
+            const otherAccessories = this.getVisibleAccessories('otherAccessories').matched.length;
+            summary = `找到 ${accessories + otherAccessories} 个配件（配件 ${accessories}，其他配件 ${otherAccessories}）`;
+        }
+        
+        this.setView({ accessoryFilters: { tags, filter: this.accessoryFilter, summary } });
+    },
+    
+    /**
+     * 创建配件选项，包含复选框和数量加减器
+     * @param {Object} accessory - 配件数据
+     * @param {string} inputName - 复选框名称：accessory, otherAccessory
+     * @param {boolean} selected - 是否已选中
+     * @param {string} level - 兼容级别，见 compatibility.levels
+     * @returns {HTMLElement} 配件选项元素
+     */
+    createAccessoryOption: function(accessory, inputName, selected, level) {
+        const option = document.createElement('div');
+        option.className = 'checkbox-option';
+        option.innerHTML = `
+            <input type="checkbox" name="${inputName}" id="${accessory.id}" value="${accessory.id}" ${selected ? 'checked' : ''}>
+            <label for="${accessory.id}">
+                <div class="checkbox-label-wrapper">
+                    <span>${accessory.name}<span class="accessory-scaling">${this.getAccessoryScalingName(accessory)}</span>${this.getCompatibilityTag(level)}</span>
+                    <span class="accessory-price">${window.utils.formatPrice(this.getItemPrice(accessory), 'CNY')}</span>
+                </div>
+            </label>
+            <div class="quantity-stepper">
+                <button type="button" class="quantity-step-btn" data-quantity-step="-1" data-id="${accessory.id}" title="减少" disabled><i class="fas fa-minus"></i></button>
+                <input type="number" name="accessoryQuantity" data-id="${accessory.id}" min="1" step="1" value="${this.getAccessoryQuantity(accessory)}" disabled>
+                <button type="button" class="quantity-step-btn" data-quantity-step="1" data-id="${accessory.id}" title="增加" disabled><i class="fas fa-plus"></i></button>
+            </div>
+        `;
+        return option;
+    },
+    
+    /**
+     * 按系列、型号和功率查找机器
+     * @param {string} series - 系列
+     * @param {string} model - 型号
+     * @param {string} power - 功率
+     * @returns {Object|null} 机器数据，没有选全或找不到时返回 null
+     */
+    findMachine: function(series, model, power) {
+        if (!series || !model || !power) {
+            return null;
+        }
+        
+        return this.catalog.machines.find(machine => 
+            machine.series === series && 
+            machine.model === model && 
+            machine.power === power
+        ) || null;
+    },
+    
+    /**
+     * 选择当前机器明细行的机器
+     * 原来的水冷机和配件按新机器的兼容规则保留、取消或更换，并提示变更
+     * @param {Object|null} machine - 机器数据，为 null 时取消选择机器，保留水冷机和配件
+     */
+    selectMachine: function(machine) {
+        const machineId = machine ? machine.id : null;
+        if (machineId === (this.selectedMachine ? this.selectedMachine.id : null)) {
+            return;
+        }
+        
+        const changes = machine ? this.getCompatibleSelections(machine) : null;
+        this.dispatch('selectMachine', Object.assign({ machineId }, changes ? changes.selections : {}));
+        if (changes) {
+            this.notifyCompatibilityChanges(changes);
+        }
+    },
+    
+    /**
+     * 更新当前机器的信息，并按它的兼容规则重建水冷机和配件选项
+     */
+    renderSelectedMachine: function() {
+        this.setView({ machineInfo: this.selectedMachine });
+        
+        this.updateWaterCoolerOptions();
+        this.updateAccessoryOptions();
+    },
+    
+    /**
+     * 获取机器下各产品的兼容级别
+     * @param {Object} machine - 机器数据，默认为当前机器
+     * @returns {Object} 兼容级别，键为产品ID，未选择机器时为空
+     */
+    getCompatibilityLevels: function(machine = this.selectedMachine) {
+        if (!machine || !window.compatibility) {
+            return {};
+        }
+        
+        return window.compatibility.getLevels(this.catalog.compatibilityRules || [], machine);
+    },
+    
+    /**
+     * 生成选项中显示的兼容级别标签
+     * @param {string} level - 兼容级别
+     * @returns {string} 标签HTML，可选的产品不显示标签
+     */
+    getCompatibilityTag: function(level) {
+        if (!level || level === 'allowed' || !window.compatibility) {
+            return '';
+        }
+        
+        return `<span class="compatibility-tag compatibility-${level}">${window.compatibility.getLevelName(level)}</span>`;
+    },
+    
+    /**
+     * 按ID查找水冷机、配件或其他配件
+     * @param {string} id - 产品ID
+     * @returns {Object|undefined} 产品数据
+     */
+    findCompatibilityItem: function(id) {
+        return this.catalog.waterCoolers.find(item => item.id === id) || this.findAccessory(id);
+    },
+    
+    /**
+     * 按机器的兼容规则计算当前机器明细行的水冷机和配件
+     * 保留兼容的选择，取消不兼容的水冷机和配件，自动选择必需的水冷机和配件
+     * 已选的水冷机不是该机器必需的水冷机时更换为必需的水冷机
+     * @param {Object} machine - 机器数据
+     * @returns {Object} 结果 { selections: { waterCoolerId, accessoryIds, otherAccessoryIds }, removed, added, replacedWaterCooler }
+     */
+    getCompatibleSelections: function(machine) {
+        const levels = this.getCompatibilityLevels(machine);
+        const isForbidden = (id) => levels[id] === 'forbidden';
+        const isRequired = (item) => levels[item.id] === 'required';
+        const removed = [];
+        const added = [];
+        let replacedWaterCooler = null;
+        let waterCoolerId = this.selectedWaterCooler;
+        
+        if (waterCoolerId && isForbidden(waterCoolerId)) {
+            removed.push(waterCoolerId);
+            waterCoolerId = null;
+        }
+        removed.push(...this.selectedAccessories.filter(isForbidden), ...this.selectedOtherAccessories.filter(isForbidden));
+        
+        const requiredWaterCoolers = this.catalog.waterCoolers.filter(isRequired);
+        if (requiredWaterCoolers.length > 0 && !requiredWaterCoolers.some(item => item.id === waterCoolerId)) {
+            if (waterCoolerId) {
+                replacedWaterCooler = waterCoolerId;
+            } else {
+                added.push(requiredWaterCoolers[0].id);
+            }
+            waterCoolerId = requiredWaterCoolers[0].id;
+        }
+        
+        // 配件按产品目录中的顺序保存
+        const [accessoryIds, otherAccessoryIds] = [
+            { items: this.catalog.accessories, selected: this.selectedAccessories },
+            { items: this.catalog.otherAccessories, selected: this.selectedOtherAccessories }
+        ].map(group => group.items
+            .filter(item => {
+                if (isForbidden(item.id)) {
+                    return false;
+                }
+                if (isRequired(item) && !group.selected.includes(item.id)) {
+                    added.push(item.id);
+                    return true;
+                }
+                return group.selected.includes(item.id);
+            })
+            .map(item => item.id));
+        
+        return {
+            selections: { waterCoolerId, accessoryIds, otherAccessoryIds },
+            removed,
+            added,
+            replacedWaterCooler
+        };
+    },
+    
+    /**
+     * 提示按兼容规则取消、更换或自动选择的产品
+     * @param {Object} changes - getCompatibleSelections 的结果
+     */
+    notifyCompatibilityChanges: function(changes) {
+        if (!window.ui || !window.ui.notification) {
+            return;
+        }
+        
+        const names = (ids) => ids.map(id => this.findCompatibilityItem(id).name).join('、');
+        if (changes.removed.length > 0) {
+            window.ui.notification.show(`已取消与该机器不兼容的产品：${names(changes.removed)}`, 'warning');
+        }
+        if (changes.replacedWaterCooler) {
+            window.ui.notification.show(`已将水冷机由 ${names([changes.replacedWaterCooler])} 更换为该机器必需的 ${names([changes.selections.waterCoolerId])}`, 'warning');
+        }
+        if (changes.added.length > 0) {
+            window.ui.notification.show(`已自动选择必需的产品：${names(changes.added)}`, 'success');
+        }
+    },
+    
+    /**
+     * 当前机器缺少必需的水冷机或配件时提示
+     */
+    notifyMissingRequiredItems: function() {
+        const levels = this.getCompatibilityLevels();
+        const isRequired = (item) => levels[item.id] === 'required';
+        const missing = [];
+        
+        const requiredWaterCoolers = this.catalog.waterCoolers.filter(isRequired);
+        if (requiredWaterCoolers.length > 0 && !requiredWaterCoolers.some(item => item.id === this.selectedWaterCooler)) {
+            missing.push(requiredWaterCoolers.map(item => item.name).join(' 或 '));
+        }
+        this.catalog.accessories.filter(item => isRequired(item) && !this.selectedAccessories.includes(item.id))
+            .concat(this.catalog.otherAccessories.filter(item => isRequired(item) && !this.selectedOtherAccessories.includes(item.id)))
+            .forEach(item => missing.push(item.name));
+        
+        if (missing.length > 0 && window.ui && window.ui.notification) {
+            const machine = this.selectedMachine;
+            window.ui.notification.show(`${machine.series} ${machine.model} ${machine.power} 必须搭配：${missing.join('、')}`, 'warning');
+        }
+    },
+    
+    /**
+     * 选择水冷机
+     * @param {string|null} id - 水冷机ID，为 null 时不选水冷机
+     */
+    selectWaterCooler: function(id) {
+        this.dispatch('selectWaterCooler', { id: this.catalog.waterCoolers.some(item => item.id === id) ? id : null });
+    },
+    
+    /**
+     * 勾选或取消配件，选中的配件按产品目录中的顺序保存
+     * @param {string} inputName - 复选框名称：accessory, otherAccessory
+     * @param {string} id - 配件ID
+     * @param {boolean} selected - 是否选中
+     */
+    toggleAccessory: function(inputName, id, selected) {
+        const items = inputName === 'otherAccessory' ? this.catalog.otherAccessories : this.catalog.accessories;
+        this.dispatch('toggleAccessory', {
+            key: inputName === 'otherAccessory' ? 'otherAccessoryIds' : 'accessoryIds',
+            id,
+            selected,
+            order: items.map(item => item.id)
+        });
+    },
+    
+    /**
+     * 按ID查找配件或其他配件
+     * @param {string} id - 配件ID
+     * @returns {Object|undefined} 配件数据
+     */
+    findAccessory: function(id) {
+        return this.catalog.accessories.find(item => item.id === id)
+            || this.catalog.otherAccessories.find(item => item.id === id);
+    },
+    
+    /**
+     * 获取配件数量计算方式的名称
+     * 未设置计算方式的配件按每单计算
+     * @param {Object} accessory - 配件数据
+     * @returns {string} 计算方式名称
+     */
+    getAccessoryScalingName: function(accessory) {
+        const scaling = this.accessoryScalings.find(item => item.id === accessory.scaling);
+        return scaling ? scaling.name : this.accessoryScalings.find(item => item.id === 'perOrder').name;
+    },
+    
+    /**
+     * 获取配件数量
+     * 手动修改过的数量优先，否则每台配件与该行机器数量相同，每单配件为一件
+     * @param {Object} accessory - 配件数据
+     * @param {Object} line - 机器明细行，默认为当前编辑的行
+     * @returns {number} 配件数量
+     */
+    getAccessoryQuantity: function(accessory, line) {
+        return window.pricing.getAccessoryQuantity(accessory, line || {
+            quantity: this.quantity,
+            accessoryQuantities: this.accessoryQuantities
+        });
+    },
+    
+    /**
+     * 手动修改配件数量
+     * @param {string} id - 配件ID
+     * @param {number|string} value - 数量，小于1或无法解析时忽略
+     */
+    setAccessoryQuantity: function(id, value) {
+        const quantity = parseInt(value);
+        if (!this.findAccessory(id) || !(quantity >= 1)) {
+            return;
+        }
+        
+        this.dispatch('setAccessoryQuantity', { id, quantity }, `accessoryQuantity:${id}`);
+    },
+    
+    /**
+     * 更新配件数量加减器的数值和可用状态
+     * 只有选中的配件可以修改数量，正在输入的输入框不会被覆盖
+     */
+    updateAccessoryQuantityInputs: function() {
+        document.querySelectorAll('input[name="accessoryQuantity"]').forEach(input => {
+            const id = input.getAttribute('data-id');
+            const selected = this.selectedAccessories.includes(id) || this.selectedOtherAccessories.includes(id);
+            const quantity = this.getAccessoryQuantity(this.findAccessory(id));
+            
+            if (input !== document.activeElement) {
+                input.value = quantity;
+            }
+            input.disabled = !selected;
+            
+            input.parentElement.querySelectorAll('[data-quantity-step]').forEach(button => {
+                button.disabled = !selected || (button.getAttribute('data-quantity-step') === '-1' && quantity <= 1);
+            });
+        });
+    },
+    
+    /**
+     * 创建机器明细行
+     * @param {Object} values - 初始值
+     * @returns {Object} 机器明细行
+     */
+    createMachineLine: function(values = {}) {
+        return Object.assign({
+            id: window.utils && window.utils.generateUniqueId ? window.utils.generateUniqueId() : Date.now().toString(),
+            machineId: null,
+            quantity: 1,
+            waterCoolerId: null,
+            accessoryIds: [],
+            otherAccessoryIds: [],
+            accessoryQuantities: {}
+        }, values);
+    },
+    
+    /**
+     * 将当前编辑的机器明细行显示到表单
+     * 依次重建系列、型号、功率选项，水冷机和配件选项按明细行中的选择勾选
+     */
+    renderMachineLine: function() {
+        const quantityInput = document.getElementById('quantity');
+        if (quantityInput) {
+            quantityInput.value = this.quantity;
+        }
+        
+        const machine = this.selectedMachine;
+        const seriesSelect = document.getElementById('seriesSelect');
+        const modelSelect = document.getElementById('modelSelect');
+        const powerSelect = document.getElementById('powerSelect');
+        
+        if (machine && seriesSelect && modelSelect && powerSelect) {
+            seriesSelect.value = machine.series;
+            this.updateModelOptions(machine.series);
+            modelSelect.value = machine.model;
+            this.updatePowerOptions(machine.model);
+            powerSelect.value = machine.power;
+            this.renderSelectedMachine();
+        } else {
+            if (seriesSelect) {
+                seriesSelect.value = '';
+            }
+            this.updateModelOptions('');
+            
+            this.setView({ machineInfo: null });
+        }
+    },
+    
+    /**
+     * 去掉机器明细行中已不在产品目录中的产品
+     * @param {Object} line - 机器明细行
+     * @param {Array} missing - 收集已不存在的产品ID
+     * @returns {Object} 新的机器明细行
+     */
+    sanitizeMachineLine: function(line, missing) {
+        const filtered = window.quoteStore.removeMissingLineProducts(line, this.getCatalogIds(), missing);
+        const sanitized = this.createMachineLine({
+            machineId: filtered.machineId || null,
+            quantity: line.quantity || 1,
+            waterCoolerId: filtered.waterCoolerId || null,
+            accessoryIds: (filtered.accessoryIds || []).slice(),
+            otherAccessoryIds: (filtered.otherAccessoryIds || []).slice(),
+            accessoryQuantities: Object.assign({}, filtered.accessoryQuantities)
+        });
+        
+        // 旧格式转换来的明细行没有ID，使用新生成的ID
+        if (line.id) {
+            sanitized.id = line.id;
+        }
+        return sanitized;
+    },
+    
+    /**
+     * 添加机器明细行，并切换到新行进行编辑
+     */
+    addMachineLine: function() {
+        this.dispatch('addMachineLine', { line: this.createMachineLine() });
+    },
+    
+    /**
+     * 切换正在编辑的机器明细行
+     * @param {number} index - 明细行索引
+     */
+    selectMachineLine: function(index) {
+        this.dispatch('selectMachineLine', { index });
+    },
+    
+    /**
+     * 删除机器明细行及该行货物的折扣
+     * 只剩一行时清空该行
+     * @param {number} index - 明细行索引
+     */
+    removeMachineLine: function(index) {
+        this.dispatch('removeMachineLine', { index, emptyLine: this.createMachineLine() });
+    },
+    
+    /**
+     * 设置价格阶梯计算方式
+     * @param {string} mode - 计算方式：line, series
+     */
+    setTierMode: function(mode) {
+        if (!this.tierModes.some(item => item.id === mode)) {
+            return;
+        }
+        
+        this.dispatch('setField', { key: 'tierMode', value: mode });
+    },
+    
+    /**
+     * 判断报价中是否至少选择了一台机器
+     * @returns {boolean} 是否已选择机器
+     */
+    hasMachine: function() {
+        return this.machineLines.some(line => this.catalog.machines.some(machine => machine.id === line.machineId));
+    },
+    
+    /**
+     * 获取机器明细行列表的显示数据
+     * @returns {Array} 显示数据，每项为 { label, quantity, active }
+     */
+    getMachineLineSummaries: function() {
+        return this.machineLines.map((line, index) => {
+            const machine = this.catalog.machines.find(item => item.id === line.machineId);
+            return {
+                label: machine ? `${machine.series} ${machine.model} ${machine.power}` : '未选择机器',
+                quantity: line.quantity,
+                active: index === this.activeLineIndex
+            };
+        });
+    },
+    
+    /**
+     * 获取货币注册表中的默认汇率
+     * @returns {Object} 汇率，键为货币代码，值为1单位货币兑换的CNY
+     */
+    getDefaultExchangeRates: function() {
+        const rates = {};
+        const currencies = window.utils && window.utils.currencies ? window.utils.currencies : [];
+        currencies.forEach(currency => {
+            if (currency.code !== 'CNY') {
+                rates[currency.code] = currency.rate;
+            }
         });
+        return rates;
+    },
+    
+    /**
+     * 获取报价状态中的汇率
+     * 旧格式的报价只保存了美元汇率
+     * @param {Object} state - 报价状态
+     * @returns {Object} 汇率
+     */
+    getStateExchangeRates: function(state) {
+        if (state.exchangeRates) {
+            return Object.assign(this.getDefaultExchangeRates(), state.exchangeRates);
+        }
+        return Object.assign(this.getDefaultExchangeRates(), state.exchangeRate ? { USD: state.exchangeRate } : {});
+    },
+    
+    /**
+     * 获取国家默认的客户货币
+     * @param {string} country - 国家代码
+     * @returns {string} 货币代码
+     */
+    getCountryCurrency: function(country) {
+        return window.pricing.getCountryCurrency(country);
+    },
+    
+    /**
+     * 获取货币的汇率
+     * @param {string} code - 货币代码，默认为当前客户货币
+     * @param {Object} rates - 汇率，默认为当前报价的汇率
+     * @returns {number} 1单位货币兑换的CNY
+     */
+    getExchangeRate: function(code = this.currency, rates = this.exchangeRates) {
+        return window.pricing.getExchangeRate(code, rates);
+    },
+    
+    /**
+     * 获取扣除汇率缓冲后的汇率
+     * @param {string} code - 货币代码，默认为当前客户货币
+     * @param {Object} rates - 汇率，默认为当前报价的汇率
+     * @param {number} fxBuffer - 汇率缓冲（%），默认为当前报价的汇率缓冲
+     * @returns {number} 换算使用的汇率
+     */
+    getEffectiveExchangeRate: function(code = this.currency, rates = this.exchangeRates, fxBuffer = this.fxBuffer) {
+        return window.pricing.getEffectiveExchangeRate(code, rates, fxBuffer);
+    },
+    
+    /**
+     * 将CNY金额换算为客户货币，汇率按汇率缓冲下调
+     * @param {number} amount - CNY金额
+     * @param {string} code - 货币代码，默认为当前客户货币
+     * @param {Object} rates - 汇率，默认为当前报价的汇率
+     * @param {number} fxBuffer - 汇率缓冲（%），默认为当前报价的汇率缓冲
+     * @returns {number} 客户货币金额
+     */
+    convertFromCny: function(amount, code = this.currency, rates = this.exchangeRates, fxBuffer = this.fxBuffer) {
+        return window.pricing.convertFromCny(amount, code, rates, fxBuffer);
+    },
+    
+    /**
+     * 手动设置当前客户货币的汇率
+     * 无效的汇率不生效，并提示输入错误；有效的汇率由 commitExchangeRate 记入汇率历史
+     * @param {number} rate - 1单位货币兑换的CNY
+     * @returns {boolean} 是否设置成功
+     */
+    setExchangeRate: function(rate) {
+        const valid = this.currency !== 'CNY' && !this.rateLockedAt && isFinite(rate) && rate > 0;
+        this.setView({ exchangeRateInvalid: !valid && this.currency !== 'CNY' });
+        if (!valid) {
+            return false;
+        }
+        
+        const date = window.rates.formatDate(new Date());
+        this.pendingRate = { date, currency: this.currency, rate, source: 'manual' };
+        this.dispatch('setExchangeRate', { currency: this.currency, rate, date }, `exchangeRate:${this.currency}`);
+        return true;
+    },
+    
+    /**
+     * 将手动输入的汇率以今天的日期记入汇率历史
+     * 汇率输入完成或保存报价时调用，输入过程中的中间值不记入
+     */
+    commitExchangeRate: function() {
+        if (!this.pendingRate) {
+            return;
+        }
+        
+        this.rateHistory = window.rates.merge(this.rateHistory, [this.pendingRate]).history;
+        this.pendingRate = null;
+        this.saveRateHistory();
+    },
+    
+    /**
+     * 获取汇率历史中的最新汇率，没有记录的货币使用货币注册表中的默认汇率
+     * @returns {Object} 汇率 { exchangeRates, exchangeRateDates }
+     */
+    getLatestRates: function() {
+        const exchangeRates = this.getDefaultExchangeRates();
+        const exchangeRateDates = {};
+        
+        Object.keys(exchangeRates).forEach(code => {
+            const latest = window.rates ? window.rates.getLatest(this.rateHistory, code) : null;
+            if (latest) {
+                exchangeRates[code] = latest.rate;
+                exchangeRateDates[code] = latest.date;
+            }
+        });
+        
+        return { exchangeRates, exchangeRateDates };
+    },
+    
+    /**
+     * 解锁报价的汇率，改用最新汇率
+     */
+    unlockRates: function() {
+        this.dispatch('setExchangeRates', Object.assign({ rateLockedAt: null }, this.getLatestRates()));
+        
+        if (window.ui && window.ui.notification) {
+            window.ui.notification.show('已改用最新汇率', 'success');
+        }
+    },
+    
+    /**
+     * 获取当前客户货币的汇率状态
+     * @returns {Object} 汇率状态 { date, age, stale, staleDays, lockedAt, fxBuffer, effectiveRate }
+     */
+    getRateStatus: function() {
+        const date = this.exchangeRateDates[this.currency] || null;
+        const age = date && window.rates ? window.rates.getAgeInDays(date) : null;
+        
+        return {
+            date,
+            age,
+            // 没有日期的汇率（默认汇率或旧报价）同样视为过期
+            stale: this.currency !== 'CNY' && (age === null || age > this.rateStaleDays),
+            staleDays: this.rateStaleDays,
+            lockedAt: this.rateLockedAt,
+            fxBuffer: this.fxBuffer,
+            effectiveRate: this.getEffectiveExchangeRate()
+        };
+    },
+    
+    /**
+     * 加载汇率历史和汇率过期天数
+     */
+    loadRateHistory: function() {
+        if (!window.utils || !window.utils.getFromLocalStorage) {
+            return;
+        }
+        
+        const history = window.utils.getFromLocalStorage('exchangeRateHistory', []);
+        const settings = window.utils.getFromLocalStorage('exchangeRateSettings', {});
+        this.rateHistory = Array.isArray(history) ? history : [];
+        this.rateStaleDays = settings.staleDays >= 1 ? settings.staleDays : (window.rates ? window.rates.defaultStaleDays : 7);
+    },
+    
+    /**
+     * 保存汇率历史
+     */
+    saveRateHistory: function() {
+        if (window.utils && window.utils.saveToLocalStorage) {
+            window.utils.saveToLocalStorage('exchangeRateHistory', this.rateHistory);
+        }
+    },
+    
+    /**
+     * 导入汇率文件
+     * 文件中有错误时不导入任何记录；未锁定汇率的报价改用最新汇率
+     * @param {string} filename - 文件名
+     * @param {string} text - 文件内容
+     * @returns {Object} 导入结果 { errors, added, updated }
+     */
+    importRates: function(filename, text) {
+        const currencies = Object.keys(this.getDefaultExchangeRates());
+        const result = window.rates.parseFile(filename, text, currencies);
+        if (result.errors.length > 0) {
+            return { errors: result.errors, added: 0, updated: 0 };
+        }
+        
+        const merged = window.rates.merge(this.rateHistory, result.records);
+        this.rateHistory = merged.history;
+        this.saveRateHistory();
+        
+        if (this.rateLockedAt) {
+            this.updateCurrencyInputs();
+        } else {
+            this.dispatch('setExchangeRates', this.getLatestRates());
+        }
+        
+        return { errors: [], added: merged.added, updated: merged.updated };
+    },
+    
+    /**
+     * 设置汇率过期天数
+     * @param {number} days - 天数
+     */
+    setRateStaleDays: function(days) {
+        this.rateStaleDays = days;
+        
+        if (window.utils && window.utils.saveToLocalStorage) {
+            window.utils.saveToLocalStorage('exchangeRateSettings', { staleDays: days });
+        }
+        
+        this.updateCurrencyInputs();
+    },
+    
+    /**
+     * 设置客户货币
+     * @param {string} code - 货币代码
+     */
+    setCurrency: function(code) {
+        if (!window.utils.getCurrency(code)) {
+            return;
+        }
+        
+        this.dispatch('setField', { key: 'currency', value: code });
+    },
+    
+    /**
+     * 更新客户货币选择和汇率输入框，并清除汇率输入错误提示
+     */
+    updateCurrencyInputs: function() {
+        this.setView({
+            currencyInputs: {
+                currencies: window.utils.currencies,
+                currency: this.currency,
+                rate: this.getExchangeRate(),
+                status: this.getRateStatus()
+            },
+            exchangeRateInvalid: false
+        });
+    },
+    
+    /**
+     * 获取贸易术语
+     * @param {string} id - 贸易术语ID
+     * @returns {Object} 贸易术语，未知的ID返回 CFR
+     */
+    getIncoterm: function(id) {
+        return window.pricing.getIncoterm(id);
+    },
+    
+    /**
+     * 获取贸易术语不包含的费用项目名称
+     * @param {string} id - 贸易术语ID
+     * @returns {Array} 费用项目名称
+     */
+    getExcludedComponentNames: function(id) {
+        return window.pricing.getExcludedComponentNames(id);
+    },
+    
+    /**
+     * 设置贸易术语
+     * @param {string} id - 贸易术语ID
+     */
+    setIncoterm: function(id) {
+        if (!window.pricing.incoterms.some(item => item.id === id)) {
+            return;
+        }
+        
+        this.dispatch('setField', { key: 'incoterm', value: id });
+    },
+    
+    /**
+     * 显示估算的运费，并填入未手动修改的运费
+     * @param {Object} breakdown - 价格明细，见 pricing.calculate
+     */
+    updateShippingFees: function(breakdown) {
+        this.updateContainerPlan(breakdown.containerPlan);
+        this.shippingEstimate = breakdown.shippingEstimate;
+        if (!this.shippingEstimate) {
+            return;
+        }
+        
+        ['internationalShipping', 'domesticShipping'].forEach(key => {
+            if (this.shippingOverrides[key]) {
+                return;
+            }
+            
+            this[key] = breakdown.shippingFees[key];
+            const input = document.getElementById(key);
+            if (input) {
+                input.value = this[key];
+            }
+        });
+        
+        this.setView({ shippingEstimate: { estimate: this.shippingEstimate, overrides: this.shippingOverrides } });
+    },
+    
+    /**
+     * 显示整柜装箱方案
+     * @param {Object|null} containerPlan - 装箱方案，机器数量不足整柜时为 null
+     */
+    updateContainerPlan: function(containerPlan) {
+        const containerLoad = window.containerLoad;
+        this.containerPlan = containerPlan;
+        
+        this.setView({ containerPlan: { plan: this.containerPlan, containerTypes: containerLoad ? containerLoad.containerTypes : [] } });
+    },
+    
+    /**
+     * 取消手动修改的运费，恢复为估算运费
+     * @param {string} key - 费用键名：internationalShipping, domesticShipping
+     */
+    resetShippingOverride: function(key) {
+        if (!(key in this.shippingOverrides)) {
+            return;
+        }
+        
+        this.dispatch('resetShippingOverride', { key });
+    },
+    
+    /**
+     * 最低毛利率的处理方式
+     */
+    marginFloorModes: [
+        { id: 'warn', name: '提示' },
+        { id: 'block', name: '禁止保存和打印' }
+    ],
+    
+    /**
+     * 按当前报价状态计算价格明细
+     * @returns {Object} 价格明细，见 pricing.calculate
+     */
+    getPriceBreakdown: function() {
+        return window.pricing.calculate(this.store.getState(), this.catalog, {
+            taxRules: this.taxRules,
+            approvalThreshold: this.discountSettings.approvalThreshold
+        });
+    },
+    
+    /**
+     * 根据所有机器明细行生成报价明细行
+     * 未手动修改的运费按估算值计算，明细行格式见 pricing.buildLineItems
+     * @returns {Array} 报价明细行数组
+     */
+    buildLineItems: function() {
+        return this.getPriceBreakdown().lineItems;
+    },
+    
+    /**
+     * 添加附加费用
+     * @param {string} presetId - 预设ID，为空时添加空白的固定金额费用
+     */
+    addFeeLine: function(presetId) {
+        const preset = this.feePresets.find(item => item.id === presetId);
+        this.dispatch('addFeeLine', {
+            fee: {
+                id: window.utils && window.utils.generateUniqueId ? window.utils.generateUniqueId() : Date.now().toString(),
+                name: preset ? preset.name : '',
+                type: preset ? preset.type : 'fixed',
+                value: preset ? preset.value : 0
+            }
+        });
+    },
+    
+    /**
+     * 修改附加费用
+     * @param {number} index - 费用索引
+     * @param {string} field - 字段：name, type, value
+     * @param {string} value - 输入值
+     */
+    updateFeeLine: function(index, field, value) {
+        const changes = {};
+        if (field === 'name') {
+            changes.name = value.trim();
+        } else if (field === 'type') {
+            changes.type = window.fees ? window.fees.getType(value).id : 'fixed';
+        } else if (field === 'value') {
+            // 折扣请使用折扣功能，费用不能为负数
+            const number = parseFloat(value) || 0;
+            if (number < 0 && window.ui && window.ui.notification) {
+                window.ui.notification.show('费用不能为负数，请使用折扣并填写原因', 'warning');
+            }
+            changes.value = Math.max(number, 0);
+        }
+        
+        this.dispatch('updateFeeLine', { index, changes }, `feeLine:${index}:${field}`);
+    },
+    
+    /**
+     * 删除附加费用
+     * @param {number} index - 费用索引
+     */
+    removeFeeLine: function(index) {
+        this.dispatch('removeFeeLine', { index });
+    },
+    
+    /**
+     * 更新附加费用列表
+     */
+    renderFeeLines: function() {
+        if (window.fees) {
+            this.setView({ feeLines: { feeLines: this.feeLines, types: window.fees.types } });
+        }
+    },
+    
+    /**
+     * 更新附加费用预设选项
+     */
+    updateFeePresetOptions: function() {
+        this.setView({ feePresets: this.feePresets });
+    },
+    
+    /**
+     * 获取默认的附加费用预设
+     * @returns {Array} 费用预设的副本
+     */
+    getDefaultFeePresets: function() {
+        return window.fees ? JSON.parse(JSON.stringify(window.fees.defaultPresets)) : [];
+    },
+    
+    /**
+     * 加载附加费用预设
+     * 本地存储中没有自定义预设时使用默认预设
+     */
+    loadFeePresets: function() {
+        const savedPresets = window.utils && window.utils.getFromLocalStorage
+            ? window.utils.getFromLocalStorage('feePresets', null)
+            : null;
         
-        // 计算总价格
-        const totalPrice = machinePrice + waterCoolerPrice + accessoriesPrice + otherAccessoriesPrice + 
-                          this.internationalShipping + this.domesticShipping + this.otherFees;
-        
-        // 计算美元价格
-        const usdPrice = totalPrice / this.exchangeRate;
-        
-        // 更新价格显示
-        if (window.ui && window.ui.module && window.ui.module.updatePriceDisplay) {
-            window.ui.module.updatePriceDisplay(totalPrice, usdPrice);
-        }
-        
-        // 更新费用明细
-        if (window.ui && window.ui.module && window.ui.module.updatePriceDetails) {
-            window.ui.module.updatePriceDetails({
-                machinePrice,
-                waterCoolerPrice,
-                accessoriesPrice,
-                otherAccessoriesPrice,
-                internationalShipping: this.internationalShipping,
-                domesticShipping: this.domesticShipping,
-                otherFees: this.otherFees,
-                quantity: this.quantity,
-                total: totalPrice
-            });
+        this.feePresets = Array.isArray(savedPresets) ? savedPresets : this.getDefaultFeePresets();
+    },
+    
+    /**
+     * 保存附加费用预设
+     * @param {Array} presets - 费用预设
+     */
+    saveFeePresets: function(presets) {
+        this.feePresets = presets;
+        
+        if (window.utils && window.utils.saveToLocalStorage) {
+            window.utils.saveToLocalStorage('feePresets', presets);
+        }
+        
+        this.updateFeePresetOptions();
+    },
+    
+    /**
+     * 计算报价明细行的合计
+     * @param {Array} lineItems - 报价明细行
+     * @returns {Object} 合计 { goodsTotal, discountTotal, feesTotal, taxTotal, total }，见 pricing.getLineItemTotals
+     */
+    getLineItemTotals: function(lineItems) {
+        return window.pricing.getLineItemTotals(lineItems);
+    },
+    
+    /**
+     * 按当前产品目录的成本价计算报价的成本和毛利
+     * @param {Array} lineItems - 报价明细行
+     * @returns {Object} 毛利，见 pricing.getMarginSummary
+     */
+    getMarginSummary: function(lineItems) {
+        return window.pricing.getMarginSummary(lineItems, this.catalog);
+    },
+    
+    /**
+     * 检查毛利率是否低于最低毛利率
+     * @param {Object} summary - 毛利
+     * @returns {boolean} 是否低于最低毛利率
+     */
+    isBelowMarginFloor: function(summary) {
+        return summary.percent !== null && summary.percent < this.marginSettings.floor;
+    },
+    
+    /**
+     * 检查当前报价是否因毛利率过低而禁止保存和打印，禁止时显示通知
+     * @returns {boolean} 是否禁止
+     */
+    isMarginBlocked: function() {
+        const blocked = this.marginSettings.mode === 'block'
+            && this.isBelowMarginFloor(this.getMarginSummary(this.buildLineItems()));
+        
+        if (blocked && window.ui && window.ui.notification) {
+            window.ui.notification.show('毛利率低于最低要求，请调整价格后再保存或打印', 'danger');
+        }
+        return blocked;
+    },
+    
+    /**
+     * 切换内部视图
+     * @param {boolean} visible - 是否显示成本和毛利，默认切换
+     */
+    setInternalView: function(visible = !this.internalView) {
+        this.internalView = visible;
+        
+        if (window.utils && window.utils.saveToLocalStorage) {
+            window.utils.saveToLocalStorage('internalView', visible);
+        }
+        
+        this.calculatePrice();
+    },
+    
+    /**
+     * 加载内部视图和最低毛利率设置
+     */
+    loadMarginSettings: function() {
+        if (!window.utils || !window.utils.getFromLocalStorage) {
+            return;
+        }
+        
+        this.internalView = window.utils.getFromLocalStorage('internalView', false) === true;
+        this.marginSettings = Object.assign({}, this.marginSettings, window.utils.getFromLocalStorage('marginSettings', {}));
+    },
+    
+    /**
+     * 保存最低毛利率设置
+     * @param {Object} settings - 设置 { floor, mode }
+     */
+    saveMarginSettings: function(settings) {
+        this.marginSettings = settings;
+        
+        if (window.utils && window.utils.saveToLocalStorage) {
+            window.utils.saveToLocalStorage('marginSettings', settings);
+        }
+        
+        this.calculatePrice();
+    },
+    
+    /**
+     * 汇总报价的折扣
+     * @param {Array} lineItems - 报价明细行
+     * @returns {Object|null} 折扣汇总，见 discount.summarize，折扣模块不可用时返回 null
+     */
+    getDiscountSummary: function(lineItems) {
+        return window.discount ? window.discount.summarize(lineItems, this.discountSettings.approvalThreshold) : null;
+    },
+    
+    /**
+     * 获取可以设置折扣的货物明细行
+     * @returns {Array} 货物明细行 { key, name, amount, discount }，amount 为折扣前的金额
+     */
+    getDiscountTargets: function() {
+        return this.buildLineItems()
+            .filter(item => item.key)
+            .map(item => ({
+                key: item.key,
+                name: item.name,
+                amount: item.amount + (item.discount ? item.discount.amount : 0),
+                discount: this.lineDiscounts[item.key] || null
+            }));
+    },
+    
+    /**
+     * 设置折扣
+     * @param {string|null} key - 货物明细行的键，为 null 时设置整单折扣
+     * @param {Object|null} discount - 折扣 { type, value, reason }，为 null 时取消折扣
+     * @returns {string|null} 错误信息，设置成功返回 null
+     */
+    setDiscount: function(key, discount) {
+        if (discount) {
+            const error = window.discount ? window.discount.validate(discount) : '折扣模块不可用';
+            if (error) {
+                return error;
+            }
+            discount = { type: discount.type, value: discount.value, reason: discount.reason.trim() };
+        }
+        
+        this.dispatch('setDiscount', { key, discount });
+        return null;
+    },
+    
+    /**
+     * 加载折扣审批设置
+     */
+    loadDiscountSettings: function() {
+        if (window.utils && window.utils.getFromLocalStorage) {
+            this.discountSettings = Object.assign({}, this.discountSettings, window.utils.getFromLocalStorage('discountSettings', {}));
+        }
+    },
+    
+    /**
+     * 保存折扣审批设置
+     * @param {Object} settings - 设置 { approvalThreshold }
+     */
+    saveDiscountSettings: function(settings) {
+        this.discountSettings = settings;
+        
+        if (window.utils && window.utils.saveToLocalStorage) {
+            window.utils.saveToLocalStorage('discountSettings', settings);
         }
         
+        this.calculatePrice();
+    },
+    
+    /**
+     * 计算价格
+     * @returns {number} 总价格（CNY）
+     */
+    calculatePrice: function() {
+        const breakdown = this.getPriceBreakdown();
+        const { lineItems, goodsTotal, discountTotal, feesTotal, taxTotal, total: totalPrice, packingSummary } = breakdown;
+        
+        // 填入估算的运费
+        this.updateShippingFees(breakdown);
+        
+        // 毛利只在内部视图中显示，低于最低毛利率时只提示不显示金额
+        const marginSummary = breakdown.margin;
+        const marginAlert = this.isBelowMarginFloor(marginSummary)
+            ? { floor: this.marginSettings.floor, mode: this.marginSettings.mode }
+            : null;
+        
+        // 更新价格显示、费用明细、附加费用的金额、贸易术语相关的输入项、机器明细行和包装汇总
+        this.setView({
+            priceDisplay: { cnyPrice: totalPrice, customerPrice: breakdown.customerTotal, currency: this.currency },
+            priceDetails: {
+                lineItems,
+                goodsTotal,
+                discountTotal,
+                discountSummary: breakdown.discountSummary,
+                feesTotal,
+                taxTotal,
+                taxModeName: window.tax ? window.tax.getModeName(this.taxMode) : '',
+                quantity: packingSummary.machines,
+                priceSource: this.priceSource,
+                priceSourceName: this.getPriceSourceName(this.priceSource),
+                incoterm: this.getIncoterm(this.incoterm),
+                namedPlace: this.namedPlace,
+                excludedComponents: this.getExcludedComponentNames(this.incoterm),
+                margin: this.internalView ? marginSummary : null,
+                marginAlert,
+                total: totalPrice
+            },
+            feeLineAmounts: this.feeLines.map(fee => {
+                const item = lineItems.find(lineItem => lineItem.category === 'fee' && lineItem.sku === fee.id);
+                return item ? item.amount : 0;
+            }),
+            incoterm: this.getIncoterm(this.incoterm),
+            machineLines: this.getMachineLineSummaries(),
+            packingSummary: { summary: packingSummary, lineCount: this.machineLines.length }
+        });
+        
+        this.updateAccessoryQuantityInputs();
+        
         return totalPrice;
     },
     
@@ -649,33 +2382,276 @@ const appModule = {
         }
         
         // 更新历史记录显示
-        if (window.ui && window.ui.module && window.ui.module.updateHistoryList) {
-            window.ui.module.updateHistoryList(this.history);
+        this.setView({ history: this.history });
+    },
+    
+    /**
+     * 获取当前报价状态，用于保存到历史记录和判断未保存的修改
+     * 未手动修改的运费保存估算值
+     * @returns {Object} 报价状态的副本，不包含当前编辑的明细行索引
+     */
+    getQuoteState: function() {
+        const state = JSON.parse(JSON.stringify(this.store.getState()));
+        delete state.activeLineIndex;
+        
+        state.internationalShipping = this.internationalShipping;
+        state.domesticShipping = this.domesticShipping;
+        return state;
+    },
+    
+    /**
+     * 将旧格式的报价状态转换为机器明细行格式
+     * 旧格式只有一台机器，机器、数量、水冷机和配件直接保存在报价状态中
+     * @param {Object} state - 报价状态或模板配置
+     * @returns {Object} 包含 machineLines 的报价状态
+     */
+    normalizeQuoteState: function(state) {
+        if (Array.isArray(state.machineLines)) {
+            return state;
         }
+        
+        return Object.assign({}, state, {
+            machineLines: [{
+                machineId: state.machineId || null,
+                quantity: state.quantity || 1,
+                waterCoolerId: state.waterCoolerId || null,
+                accessoryIds: state.accessoryIds || [],
+                otherAccessoryIds: state.otherAccessoryIds || [],
+                accessoryQuantities: state.accessoryQuantities || {}
+            }],
+            tierMode: state.tierMode || 'line'
+        });
     },
     
     /**
-     * 添加历史记录
+     * 将保存的报价状态转换为当前格式
+     * 转换旧格式，去掉已不在产品目录中的产品，无效的报价条件使用默认值
+     * @param {Object} state - 保存的报价状态或模板配置
+     * @returns {Object} 结果 { quote, missing }，missing 为当前产品目录中已不存在的产品ID
+     */
+    prepareQuoteState: function(state) {
+        const missing = [];
+        state = this.normalizeQuoteState(state);
+        
+        // 运输方式，旧格式的报价没有运输方式，运费均视为手动填写
+        const shippingMethods = window.shipping ? window.shipping.methods : [];
+        
+        const quote = window.quoteStore.createState({
+            // 机器明细行：去掉已不存在的产品，编辑第一行
+            machineLines: state.machineLines.map(line => this.sanitizeMachineLine(line, missing)),
+            tierMode: this.tierModes.some(item => item.id === state.tierMode) ? state.tierMode : 'line',
+            shippingMethod: shippingMethods.some(item => item.id === state.shippingMethod) ? state.shippingMethod : 'sea',
+            shippingOverrides: state.shippingOverrides
+                ? Object.assign({ internationalShipping: false, domesticShipping: false }, state.shippingOverrides)
+                : { internationalShipping: true, domesticShipping: true },
+            internationalShipping: state.internationalShipping || 0,
+            domesticShipping: state.domesticShipping || 0,
+            // 附加费用，旧格式的报价只有一项其他费用，转换为固定金额的附加费用
+            feeLines: Array.isArray(state.feeLines) ? state.feeLines.map(fee => Object.assign({}, fee)) : [],
+            // 贸易术语，旧格式的报价包含国内运费和国际运费，按 CFR 处理
+            incoterm: window.pricing.incoterms.some(item => item.id === state.incoterm) ? state.incoterm : 'CFR',
+            namedPlace: state.namedPlace || '',
+            exportClearance: state.exportClearance || 0,
+            insuranceRate: state.insuranceRate !== undefined ? state.insuranceRate : 0.3,
+            localDelivery: state.localDelivery || 0,
+            taxMode: state.taxMode === 'inclusive' ? 'inclusive' : 'exclusive',
+            // 客户货币和汇率，旧格式的报价按美元报价
+            currency: state.currency && window.utils.getCurrency(state.currency) ? state.currency : 'USD',
+            exchangeRates: this.getStateExchangeRates(state),
+            exchangeRateDates: Object.assign({}, state.exchangeRateDates),
+            fxBuffer: state.fxBuffer || 0,
+            rateLockedAt: state.rateLockedAt || null,
+            lineDiscounts: JSON.parse(JSON.stringify(state.lineDiscounts || {})),
+            orderDiscount: state.orderDiscount ? Object.assign({}, state.orderDiscount) : null,
+            priceSource: window.pricing.priceSources.some(item => item.id === state.priceSource) ? state.priceSource : 'tier1',
+            country: state.country || 'US',
+            zipCode: state.zipCode || ''
+        });
+        
+        if (quote.machineLines.length === 0) {
+            quote.machineLines.push(this.createMachineLine());
+        }
+        if (state.otherFees > 0 && !Array.isArray(state.feeLines)) {
+            quote.feeLines.push({ id: 'otherFees', name: '其他费用', type: 'fixed', value: state.otherFees });
+        }
+        
+        // 折扣，旧格式的报价用负数的其他费用表示折扣，转换为整单折扣
+        if (state.otherFees < 0 && !quote.orderDiscount) {
+            quote.orderDiscount = { type: 'amount', value: -state.otherFees, reason: '旧报价中以负数其他费用表示的折扣' };
+        }
+        
+        return { quote, missing };
+    },
+    
+    /**
+     * 载入报价状态，替换当前报价并清空撤销记录
+     * @param {Object} state - 保存的报价状态
+     * @returns {Array} 当前产品目录中已不存在的产品ID
+     */
+    applyQuoteState: function(state) {
+        const { quote, missing } = this.prepareQuoteState(state);
+        this.store.reset(quote);
+        return missing;
+    },
+    
+    /**
+     * 从历史记录恢复报价
+     * 恢复后清空撤销记录，不能撤销到恢复前的报价
+     * @param {string} id - 历史记录ID
+     */
+    restoreHistory: function(id) {
+        const historyItem = this.history.find(item => item.id === id);
+        if (!historyItem) {
+            return;
+        }
+        
+        // 旧版本的历史记录只保存了文本，无法恢复
+        if (!historyItem.quote) {
+            if (window.ui && window.ui.notification) {
+                window.ui.notification.show('该历史记录为旧格式，无法恢复', 'warning');
+            }
+            return;
+        }
+        
+        const { quote, missing } = this.prepareQuoteState(historyItem.quote);
+        // 旧格式的报价没有记录锁定时间，按保存时间锁定汇率
+        if (!quote.rateLockedAt && historyItem.createdAt) {
+            quote.rateLockedAt = historyItem.createdAt;
+        }
+        this.store.reset(quote);
+        
+        // 旧格式的报价状态在恢复时已转换，产品都存在时以转换后的状态作为已保存状态
+        this.lastSavedState = missing.length === 0 ? JSON.stringify(this.getQuoteState()) : JSON.stringify(historyItem.quote);
+        this.lastSavedHistoryId = historyItem.id;
+        this.updateUnsavedIndicator();
+        const total = this.getLineItemTotals(this.buildLineItems()).total;
+        
+        this.setView({ historyPanelOpen: false });
+        
+        if (window.ui && window.ui.notification) {
+            if (missing.length > 0) {
+                window.ui.notification.show(`以下产品已不在产品目录中：${missing.join(', ')}`, 'warning');
+            } else if (Math.abs(total - historyItem.total) >= 0.01) {
+                window.ui.notification.show(`已恢复报价，按当前价格重新计算的总价与保存时（${window.utils.formatPrice(historyItem.total, 'CNY')}）不同`, 'warning');
+            } else {
+                window.ui.notification.show('已恢复报价', 'success');
+            }
+        }
+    },
+    
+    /**
+     * 保存报价
+     * 打开保存对话框，填写可选的客户名称和报价参考号
      */
-    addHistory: function() {
-        if (!this.selectedMachine) {
+    saveQuote: function() {
+        if (!this.hasMachine()) {
+            if (window.ui && window.ui.notification) {
+                window.ui.notification.show('请先选择机器再保存报价', 'warning');
+            }
+            return;
+        }
+        
+        if (this.isMarginBlocked()) {
             return;
         }
         
+        this.setView({ modal: 'saveQuoteModal' });
+        
+        const customerNameInput = document.getElementById('quoteCustomerName');
+        if (customerNameInput) {
+            customerNameInput.focus();
+            customerNameInput.select();
+        }
+    },
+    
+    /**
+     * 确认保存报价
+     */
+    confirmSaveQuote: function() {
+        const customerNameInput = document.getElementById('quoteCustomerName');
+        const referenceInput = document.getElementById('quoteReference');
+        
+        const historyItem = this.addHistory({
+            customerName: customerNameInput ? customerNameInput.value.trim() : '',
+            reference: referenceInput ? referenceInput.value.trim() : ''
+        });
+        
+        this.setView({ modal: null });
+        
+        if (historyItem && window.ui && window.ui.notification) {
+            window.ui.notification.show('报价已保存到历史记录', 'success');
+        }
+    },
+    
+    /**
+     * 判断当前报价是否有未保存的修改
+     * 尚未保存过且未选择机器时视为没有修改
+     * @returns {boolean} 是否有未保存的修改
+     */
+    hasUnsavedChanges: function() {
+        if (this.lastSavedState === null) {
+            return this.hasMachine();
+        }
+        
+        return JSON.stringify(this.getQuoteState()) !== this.lastSavedState;
+    },
+    
+    /**
+     * 更新未保存修改提示
+     */
+    updateUnsavedIndicator: function() {
+        this.setView({ unsaved: this.hasUnsavedChanges() });
+    },
+    
+    /**
+     * 添加历史记录
+     * 保存完整的报价状态和报价明细行，明细行记录了所用的单价，便于恢复、重新计价和审核
+     * @param {Object} meta - 附加信息 { customerName, reference }
+     * @returns {Object|null} 新增的历史记录，未选择机器时返回 null
+     */
+    addHistory: function(meta = {}) {
+        if (!this.hasMachine()) {
+            return null;
+        }
+        
+        // 只在历史记录中锁定当前汇率，恢复报价时才使用锁定的汇率，正在编辑的报价不锁定
+        // 从历史记录恢复的报价已锁定时保留原来的锁定时间
+        this.commitExchangeRate();
+        const now = new Date();
+        const quote = this.getQuoteState();
+        quote.rateLockedAt = quote.rateLockedAt || now.toISOString();
+        
+        const lineItems = this.buildLineItems();
+        const total = this.getLineItemTotals(lineItems).total;
+        const discountSummary = this.getDiscountSummary(lineItems);
         const historyItem = {
             id: window.utils && window.utils.generateUniqueId ? window.utils.generateUniqueId() : Date.now().toString(),
-            date: window.utils && window.utils.formatDateTime ? window.utils.formatDateTime(new Date()) : new Date().toLocaleString(),
-            total: `¥${this.calculatePrice().toFixed(2)}`,
-            details: `${this.selectedMachine.series} ${this.selectedMachine.model} ${this.selectedMachine.power} × ${this.quantity}`
+            date: window.utils && window.utils.formatDateTime ? window.utils.formatDateTime(now) : now.toLocaleString(),
+            createdAt: now.toISOString(),
+            quote,
+            lineItems,
+            total,
+            discountPercent: discountSummary ? discountSummary.percent : 0,
+            needsApproval: discountSummary ? discountSummary.needsApproval : false,
+            currency: this.currency,
+            currencyTotal: this.convertFromCny(total),
+            priceSource: this.priceSource,
+            priceSourceName: this.getPriceSourceName(this.priceSource),
+            customerName: meta.customerName || '',
+            reference: meta.reference || ''
         };
         
         this.history.unshift(historyItem);
         this.saveHistory();
         
+        this.lastSavedState = JSON.stringify(this.getQuoteState());
+        this.lastSavedHistoryId = historyItem.id;
+        this.updateUnsavedIndicator();
+        
         // 更新历史记录显示
-        if (window.ui && window.ui.module && window.ui.module.updateHistoryList) {
-            window.ui.module.updateHistoryList(this.history);
-        }
+        this.setView({ history: this.history });
+        
+        return historyItem;
     },
     
     /**
@@ -686,9 +2662,7 @@ const appModule = {
         this.saveHistory();
         
         // 更新历史记录显示
-        if (window.ui && window.ui.module && window.ui.module.updateHistoryList) {
-            window.ui.module.updateHistoryList(this.history);
-        }
+        this.setView({ history: this.history });
         
         // 显示通知
         if (window.ui && window.ui.notification) {
@@ -696,6 +2670,129 @@ const appModule = {
         }
     },
     
+    /**
+     * 获取当前产品配置，用于保存为模板
+     * 模板只包含产品组合和数量，不包含费用、汇率等报价条件
+     * @returns {Object} 产品配置
+     */
+    getTemplateConfig: function() {
+        const state = this.getQuoteState();
+        return {
+            machineLines: state.machineLines,
+            tierMode: state.tierMode
+        };
+    },
+    
+    /**
+     * 获取产品配置的摘要
+     * @param {Object} config - 产品配置
+     * @returns {string} 摘要，每个产品一行
+     */
+    getConfigSummary: function(config) {
+        const lines = [];
+        const findName = (items, id) => {
+            const item = items.find(entry => entry.id === id);
+            return item ? item.name : id;
+        };
+        
+        // 配件数量：手动修改的数量优先，否则按每台/每单计算
+        const findAccessoryLine = (items, id, line) => {
+            const item = items.find(entry => entry.id === id);
+            return item ? `${item.name} × ${this.getAccessoryQuantity(item, line)}` : id;
+        };
+        
+        this.normalizeQuoteState(config).machineLines.forEach(line => {
+            const machine = this.catalog.machines.find(item => item.id === line.machineId);
+            if (machine) {
+                lines.push(`${machine.series} ${machine.model} ${machine.power} × ${line.quantity}`);
+            }
+            
+            if (line.waterCoolerId) {
+                lines.push(findName(this.catalog.waterCoolers, line.waterCoolerId));
+            }
+            (line.accessoryIds || []).forEach(id => lines.push(findAccessoryLine(this.catalog.accessories, id, line)));
+            (line.otherAccessoryIds || []).forEach(id => lines.push(findAccessoryLine(this.catalog.otherAccessories, id, line)));
+        });
+        
+        return lines.join('\n');
+    },
+    
+    /**
+     * 将当前产品配置保存为模板
+     * 同名模板会被覆盖
+     * @param {string} name - 模板名称
+     * @returns {Object|null} 保存的模板，未选择机器时返回 null
+     */
+    addTemplate: function(name) {
+        if (!this.hasMachine() || !name) {
+            return null;
+        }
+        
+        const now = new Date().toISOString();
+        const config = this.getTemplateConfig();
+        let template = this.templates.find(item => item.name === name);
+        
+        if (template) {
+            template.config = config;
+            template.updatedAt = now;
+        } else {
+            template = {
+                id: window.utils && window.utils.generateUniqueId ? window.utils.generateUniqueId() : Date.now().toString(),
+                name,
+                config,
+                createdAt: now,
+                updatedAt: now
+            };
+            this.templates.unshift(template);
+        }
+        
+        this.saveTemplates();
+        return template;
+    },
+    
+    /**
+     * 应用模板到表单
+     * 保留当前的费用、汇率、价格来源等报价条件，应用后清空撤销记录
+     * @param {string} id - 模板ID
+     * @returns {Array|null} 当前产品目录中已不存在的产品ID，模板不存在时返回 null
+     */
+    applyTemplate: function(id) {
+        const template = this.templates.find(item => item.id === id);
+        if (!template) {
+            return null;
+        }
+        
+        // 模板的机器明细行与当前报价不同，明细行折扣不再适用
+        return this.applyQuoteState(Object.assign(this.getQuoteState(), { lineDiscounts: {} }, this.normalizeQuoteState(template.config)));
+    },
+    
+    /**
+     * 重命名模板
+     * @param {string} id - 模板ID
+     * @param {string} name - 新名称
+     * @returns {boolean} 是否重命名成功，名称为空或与其他模板重名时失败
+     */
+    renameTemplate: function(id, name) {
+        const template = this.templates.find(item => item.id === id);
+        if (!template || !name || this.templates.some(item => item.id !== id && item.name === name)) {
+            return false;
+        }
+        
+        template.name = name;
+        template.updatedAt = new Date().toISOString();
+        this.saveTemplates();
+        return true;
+    },
+    
+    /**
+     * 删除模板
+     * @param {string} id - 模板ID
+     */
+    deleteTemplate: function(id) {
+        this.templates = this.templates.filter(item => item.id !== id);
+        this.saveTemplates();
+    },
+    
     /**
      * 保存模板
      */
@@ -712,6 +2809,40 @@ const appModule = {
         if (window.utils && window.utils.getFromLocalStorage) {
             this.templates = window.utils.getFromLocalStorage('quoteTemplates', []);
         }
+    },
+    
+    /**
+     * 获取默认税率规则
+     * @returns {Array} 默认税率规则的副本
+     */
+    getDefaultTaxRules: function() {
+        return window.tax ? JSON.parse(JSON.stringify(window.tax.defaultRules)) : [];
+    },
+    
+    /**
+     * 加载税率规则
+     * 本地存储中没有自定义规则时使用默认规则
+     */
+    loadTaxRules: function() {
+        const savedRules = window.utils && window.utils.getFromLocalStorage
+            ? window.utils.getFromLocalStorage('taxRules', null)
+            : null;
+        
+        this.taxRules = Array.isArray(savedRules) ? savedRules : this.getDefaultTaxRules();
+    },
+    
+    /**
+     * 保存税率规则
+     * @param {Array} rules - 税率规则
+     */
+    saveTaxRules: function(rules) {
+        this.taxRules = rules;
+        
+        if (window.utils && window.utils.saveToLocalStorage) {
+            window.utils.saveToLocalStorage('taxRules', rules);
+        }
+        
+        this.calculatePrice();
     }
 };
 
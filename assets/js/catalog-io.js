@@ -0,0 +1,640 @@
+/**
+ * catalog-io.js - 产品目录导入导出模块
+ * 
+ * 功能：
+ * - 将产品目录导出为带版本号的JSON文件和CSV文件
+ * - 从JSON或CSV文件导入产品目录
+ * - 校验导入数据的每一行（ID、价格、价格阶梯）
+ * - 对比导入数据与当前目录，生成新增、修改、删除的差异
+ * 
+ * 主要函数：
+ * - toJSON / fromJSON：JSON格式的导出和解析
+ * - toCSV / fromCSV：CSV格式的导出和解析
+ * - validateCatalog：校验产品目录
+ * - validateTiers：校验价格阶梯是否重叠或存在空档
+ * - diffCatalog：对比两个产品目录
+ * 
+ * CSV格式：
+ * - 每个价格一行：机器按价格来源和数量阶梯展开，其他产品按价格来源展开
+ * - 同一产品的多行共享 category 和 id，产品属性取该产品的第一行
+ * - scaling 列只用于配件和其他配件（perMachine / perOrder），留空按每单计算
+ * - cost 列为内部成本价，只用于内部视图计算毛利，留空表示未设置
+ * - tags 列只用于配件和其他配件，多个标签用 | 分隔
+ * - 兼容规则只在JSON文件中导出和导入
+ */
+
+/**
+ * 产品目录导入导出模块
+ */
+const catalogIOModule = {
+    /**
+     * JSON文件格式标识
+     */
+    format: 'kh-laser-catalog',
+    
+    /**
+     * 当前导出的文件版本
+     */
+    version: 1,
+    
+    /**
+     * 产品目录分类
+     */
+    categories: [
+        { key: 'machines', name: '机器', type: 'machine' },
+        { key: 'waterCoolers', name: '水冷机', type: 'item' },
+        { key: 'accessories', name: '配件', type: 'item', scalable: true },
+        { key: 'otherAccessories', name: '其他配件', type: 'item', scalable: true }
+    ],
+    
+    /**
+     * CSV列
+     */
+    csvColumns: ['category', 'id', 'name', 'series', 'model', 'power', 'source', 'min', 'max', 'price',
+        'scaling', 'length', 'width', 'height', 'cbm', 'volumeWeight', 'actualWeight', 'stackLimit', 'hsCode', 'cost', 'tags'],
+    
+    /**
+     * 配件数量计算方式
+     */
+    scalings: ['perMachine', 'perOrder'],
+    
+    /**
+     * 导出为JSON字符串
+     * @param {Object} catalog - 产品目录
+     * @param {Array} priceSources - 价格来源列表
+     * @returns {string} JSON字符串
+     */
+    toJSON(catalog, priceSources) {
+        const data = {
+            format: this.format,
+            version: this.version,
+            exportedAt: new Date().toISOString(),
+            priceSources: priceSources.map(source => source.id)
+        };
+        
+        this.categories.forEach(category => {
+            data[category.key] = catalog[category.key] || [];
+        });
+        data.compatibilityRules = catalog.compatibilityRules || [];
+        
+        return JSON.stringify(data, null, 2);
+    },
+    
+    /**
+     * 解析JSON字符串
+     * @param {string} text - JSON字符串
+     * @returns {Object} 解析结果 { catalog, errors }，catalog 只包含文件中存在的分类
+     */
+    fromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { catalog: null, errors: ['JSON格式错误：' + error.message] };
+        }
+        
+        if (!data || data.format !== this.format) {
+            return { catalog: null, errors: ['不是有效的产品目录文件'] };
+        }
+        
+        if (typeof data.version !== 'number' || data.version > this.version) {
+            return { catalog: null, errors: [`不支持的文件版本：${data.version}`] };
+        }
+        
+        const catalog = {};
+        const errors = [];
+        this.categories.forEach(category => {
+            if (data[category.key] === undefined) {
+                return;
+            }
+            
+            if (!Array.isArray(data[category.key])) {
+                errors.push(`${category.name}必须是数组`);
+                return;
+            }
+            
+            catalog[category.key] = data[category.key];
+        });
+        
+        if (data.compatibilityRules !== undefined) {
+            if (Array.isArray(data.compatibilityRules)) {
+                catalog.compatibilityRules = data.compatibilityRules;
+            } else {
+                errors.push('兼容规则必须是数组');
+            }
+        }
+        
+        if (errors.length === 0 && Object.keys(catalog).length === 0) {
+            errors.push('文件中没有产品数据');
+        }
+        
+        return { catalog: errors.length === 0 ? catalog : null, errors };
+    },
+    
+    /**
+     * 导出为CSV字符串
+     * @param {Object} catalog - 产品目录
+     * @param {Array} priceSources - 价格来源列表
+     * @returns {string} CSV字符串
+     */
+    toCSV(catalog, priceSources) {
+        const rows = [this.csvColumns];
+        
+        this.categories.forEach(category => {
+            (catalog[category.key] || []).forEach(item => {
+                priceSources.forEach(source => {
+                    if (category.type === 'machine') {
+                        const tiers = Array.isArray(item.priceTiers) ? item.priceTiers : (item.priceTiers[source.id] || []);
+                        tiers.forEach(tier => {
+                            rows.push(this.toCSVRow(category.key, item, source.id, tier.min, tier.max, tier.price));
+                        });
+                    } else {
+                        const price = typeof item.price === 'number' ? item.price : item.price[source.id];
+                        rows.push(this.toCSVRow(category.key, item, source.id, '', '', price));
+                    }
+                });
+            });
+        });
+        
+        return rows.map(row => row.map(value => this.escapeCSVValue(value)).join(',')).join('\r\n');
+    },
+    
+    /**
+     * 生成一行CSV数据
+     * @param {string} category - 分类键名
+     * @param {Object} item - 产品数据
+     * @param {string} source - 价格来源ID
+     * @param {number|string} min - 最小数量
+     * @param {number|null|string} max - 最大数量
+     * @param {number} price - 价格
+     * @returns {Array} CSV行
+     */
+    toCSVRow(category, item, source, min, max, price) {
+        const packingSize = item.packingSize || {};
+        const values = {
+            category,
+            id: item.id,
+            name: item.name,
+            series: item.series,
+            model: item.model,
+            power: item.power,
+            source,
+            min,
+            max,
+            price,
+            scaling: item.scaling,
+            length: packingSize.length,
+            width: packingSize.width,
+            height: packingSize.height,
+            cbm: item.cbm,
+            volumeWeight: item.volumeWeight,
+            actualWeight: item.actualWeight,
+            stackLimit: item.stackLimit,
+            hsCode: item.hsCode,
+            cost: item.cost,
+            tags: (item.tags || []).join('|')
+        };
+        
+        return this.csvColumns.map(column => values[column]);
+    },
+    
+    /**
+     * 转义CSV单元格
+     * @param {*} value - 单元格值
+     * @returns {string} 转义后的值
+     */
+    escapeCSVValue(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+    
+    /**
+     * 将CSV文本拆分为行和单元格
+     * @param {string} text - CSV文本
+     * @returns {Array} 二维数组
+     */
+    splitCSV(text) {
+        const rows = [];
+        let row = [];
+        let value = '';
+        let inQuotes = false;
+        
+        text = text.replace(/^\uFEFF/, '');
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+        
+        if (value !== '' || row.length > 0) {
+            row.push(value);
+            rows.push(row);
+        }
+        
+        // 忽略空行
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    },
+    
+    /**
+     * 解析CSV字符串
+     * @param {string} text - CSV字符串
+     * @param {Array} priceSources - 价格来源列表
+     * @returns {Object} 解析结果 { catalog, errors }，catalog 只包含文件中存在的分类
+     */
+    fromCSV(text, priceSources) {
+        const rows = this.splitCSV(text);
+        if (rows.length < 2) {
+            return { catalog: null, errors: ['CSV文件中没有产品数据'] };
+        }
+        
+        const header = rows[0].map(cell => cell.trim());
+        const missingColumns = ['category', 'id', 'source', 'price'].filter(column => !header.includes(column));
+        if (missingColumns.length > 0) {
+            return { catalog: null, errors: [`CSV缺少必需的列：${missingColumns.join(', ')}`] };
+        }
+        
+        const catalog = {};
+        const itemMap = {};
+        const errors = [];
+        const sourceIds = priceSources.map(source => source.id);
+        
+        rows.slice(1).forEach((cells, rowIndex) => {
+            // 行号从1开始，并计入表头
+            const line = rowIndex + 2;
+            const record = {};
+            header.forEach((column, index) => {
+                record[column] = (cells[index] || '').trim();
+            });
+            
+            const category = this.categories.find(item => item.key === record.category);
+            if (!category) {
+                errors.push(`第${line}行：未知的分类 ${record.category}`);
+                return;
+            }
+            
+            if (!record.id) {
+                errors.push(`第${line}行：缺少产品ID`);
+                return;
+            }
+            
+            if (!sourceIds.includes(record.source)) {
+                errors.push(`第${line}行：未知的价格来源 ${record.source}`);
+                return;
+            }
+            
+            const price = this.toNumber(record.price);
+            if (price === null) {
+                errors.push(`第${line}行：价格必须是数字`);
+                return;
+            }
+            
+            const key = `${category.key}:${record.id}`;
+            let item = itemMap[key];
+            if (!item) {
+                if (category.scalable && record.scaling && !this.scalings.includes(record.scaling)) {
+                    errors.push(`第${line}行：未知的数量计算方式 ${record.scaling}`);
+                    return;
+                }
+                
+                item = this.createItemFromRecord(category, record);
+                itemMap[key] = item;
+                (catalog[category.key] = catalog[category.key] || []).push(item);
+            }
+            
+            if (category.type === 'machine') {
+                const min = this.toNumber(record.min);
+                const max = record.max === '' ? null : this.toNumber(record.max);
+                if (min === null || (record.max !== '' && max === null)) {
+                    errors.push(`第${line}行：数量阶梯必须是数字`);
+                    return;
+                }
+                
+                (item.priceTiers[record.source] = item.priceTiers[record.source] || []).push({ min, max, price });
+            } else {
+                if (item.price[record.source] !== undefined) {
+                    errors.push(`第${line}行：${record.id} 的 ${record.source} 价格重复`);
+                    return;
+                }
+                
+                item.price[record.source] = price;
+            }
+        });
+        
+        return { catalog: errors.length === 0 ? catalog : null, errors };
+    },
+    
+    /**
+     * 根据CSV行创建产品
+     * @param {Object} category - 分类信息
+     * @param {Object} record - CSV行数据
+     * @returns {Object} 产品数据
+     */
+    createItemFromRecord(category, record) {
+        if (category.type === 'machine') {
+            const machine = {
+                id: record.id,
+                series: record.series,
+                model: record.model,
+                power: record.power,
+                priceTiers: {},
+                packingSize: {
+                    length: this.toNumber(record.length) || 0,
+                    width: this.toNumber(record.width) || 0,
+                    height: this.toNumber(record.height) || 0
+                },
+                cbm: this.toNumber(record.cbm) || 0,
+                volumeWeight: this.toNumber(record.volumeWeight) || 0,
+                actualWeight: this.toNumber(record.actualWeight) || 0
+            };
+            
+            // 未填写堆叠层数时使用装箱计算的默认值
+            if (record.stackLimit) {
+                machine.stackLimit = this.toNumber(record.stackLimit);
+            }
+            
+            // 未填写HS编码时按税费计算的默认HS编码匹配税率规则
+            if (record.hsCode) {
+                machine.hsCode = String(record.hsCode).trim();
+            }
+            
+            this.applyCost(machine, record);
+            return machine;
+        }
+        
+        const item = { id: record.id, name: record.name, price: {} };
+        if (category.scalable) {
+            item.scaling = record.scaling || 'perOrder';
+            
+            const tags = String(record.tags || '').split('|').map(tag => tag.trim()).filter(tag => tag);
+            if (tags.length > 0) {
+                item.tags = tags;
+            }
+        }
+        this.applyCost(item, record);
+        return item;
+    },
+    
+    /**
+     * 设置产品的成本价，未填写时不设置
+     * @param {Object} item - 产品数据
+     * @param {Object} record - CSV行数据
+     */
+    applyCost(item, record) {
+        if (record.cost) {
+            item.cost = this.toNumber(record.cost);
+        }
+    },
+    
+    /**
+     * 将字符串转换为数字
+     * @param {string} value - 字符串
+     * @returns {number|null} 数字，无法转换时返回 null
+     */
+    toNumber(value) {
+        if (typeof value === 'number') {
+            return isFinite(value) ? value : null;
+        }
+        
+        if (typeof value !== 'string' || value.trim() === '') {
+            return null;
+        }
+        
+        const number = Number(value);
+        return isFinite(number) ? number : null;
+    },
+    
+    /**
+     * 校验价格阶梯
+     * 阶梯需从1开始依次衔接，不能重叠或存在空档，最后一个阶梯不限上限
+     * @param {Array} tiers - 价格阶梯数组
+     * @returns {Array} 错误信息数组
+     */
+    validateTiers(tiers) {
+        const errors = [];
+        
+        if (!Array.isArray(tiers) || tiers.length === 0) {
+            return ['缺少价格阶梯'];
+        }
+        
+        for (const tier of tiers) {
+            if (!Number.isInteger(tier.min) || tier.min < 1) {
+                errors.push(`最小数量 ${tier.min} 无效`);
+            }
+            if (tier.max !== null && (!Number.isInteger(tier.max) || tier.max < tier.min)) {
+                errors.push(`最大数量 ${tier.max} 无效`);
+            }
+            if (typeof tier.price !== 'number' || !isFinite(tier.price) || tier.price < 0) {
+                errors.push(`价格 ${tier.price} 无效`);
+            }
+        }
+        
+        if (errors.length > 0) {
+            return errors;
+        }
+        
+        const sorted = tiers.slice().sort((a, b) => a.min - b.min);
+        if (sorted[0].min !== 1) {
+            errors.push(`数量 1-${sorted[0].min - 1} 没有价格`);
+        }
+        
+        for (let i = 1; i < sorted.length; i++) {
+            const previous = sorted[i - 1];
+            const current = sorted[i];
+            
+            if (previous.max === null || current.min <= previous.max) {
+                errors.push(`数量阶梯 ${this.formatTierRange(previous)} 与 ${this.formatTierRange(current)} 重叠`);
+            } else if (current.min > previous.max + 1) {
+                errors.push(`数量 ${previous.max + 1}-${current.min - 1} 没有价格`);
+            }
+        }
+        
+        const lastTier = sorted[sorted.length - 1];
+        if (lastTier.max !== null) {
+            errors.push(`数量 ${lastTier.max + 1} 以上没有价格`);
+        }
+        
+        return errors;
+    },
+    
+    /**
+     * 格式化阶梯数量范围
+     * @param {Object} tier - 价格阶梯
+     * @returns {string} 数量范围
+     */
+    formatTierRange(tier) {
+        return tier.max === null ? `${tier.min}+` : `${tier.min}-${tier.max}`;
+    },
+    
+    /**
+     * 校验产品目录
+     * @param {Object} catalog - 产品目录，只校验其中存在的分类
+     * @param {Array} priceSources - 价格来源列表
+     * @returns {Array} 错误信息数组
+     */
+    validateCatalog(catalog, priceSources) {
+        const errors = [];
+        const ids = {};
+        
+        this.categories.forEach(category => {
+            (catalog[category.key] || []).forEach((item, index) => {
+                const label = `${category.name} ${item && item.id ? item.id : `#${index + 1}`}`;
+                
+                if (!item || typeof item !== 'object') {
+                    errors.push(`${label}：数据格式错误`);
+                    return;
+                }
+                
+                if (!item.id || typeof item.id !== 'string') {
+                    errors.push(`${label}：缺少产品ID`);
+                } else if (ids[item.id]) {
+                    errors.push(`${label}：产品ID与${ids[item.id]}重复`);
+                } else {
+                    ids[item.id] = category.name;
+                }
+                
+                if (item.cost !== undefined && item.cost !== null
+                    && !(typeof item.cost === 'number' && isFinite(item.cost) && item.cost >= 0)) {
+                    errors.push(`${label}：成本价必须是不小于0的数字`);
+                }
+                
+                if (category.type === 'machine') {
+                    if (!item.series || !item.model || !item.power) {
+                        errors.push(`${label}：缺少系列、型号或功率`);
+                    }
+                    
+                    if (item.stackLimit !== undefined && item.stackLimit !== null
+                        && !(Number.isInteger(item.stackLimit) && item.stackLimit >= 1)) {
+                        errors.push(`${label}：堆叠层数必须是大于0的整数`);
+                    }
+                    
+                    if (!item.priceTiers || typeof item.priceTiers !== 'object') {
+                        errors.push(`${label}：缺少价格阶梯`);
+                        return;
+                    }
+                    
+                    priceSources.forEach(source => {
+                        const tiers = Array.isArray(item.priceTiers) ? item.priceTiers : item.priceTiers[source.id];
+                        this.validateTiers(tiers).forEach(error => {
+                            errors.push(`${label}（${source.name}）：${error}`);
+                        });
+                    });
+                } else {
+                    if (!item.name) {
+                        errors.push(`${label}：缺少名称`);
+                    }
+                    
+                    if (category.scalable && item.scaling !== undefined && !this.scalings.includes(item.scaling)) {
+                        errors.push(`${label}：未知的数量计算方式 ${item.scaling}`);
+                    }
+                    if (item.tags !== undefined && !(Array.isArray(item.tags) && item.tags.every(tag => typeof tag === 'string'))) {
+                        errors.push(`${label}：标签必须是字符串数组`);
+                    }
+                    
+                    priceSources.forEach(source => {
+                        const price = typeof item.price === 'number' ? item.price : (item.price && item.price[source.id]);
+                        if (typeof price !== 'number' || !isFinite(price) || price < 0) {
+                            errors.push(`${label}（${source.name}）：价格必须是数字`);
+                        }
+                    });
+                }
+            });
+        });
+        
+        return errors;
+    },
+    
+    /**
+     * 对比两个产品目录
+     * @param {Object} current - 当前产品目录
+     * @param {Object} incoming - 导入的产品目录，只对比其中存在的分类
+     * @returns {Array} 差异数组，每项为 { category, name, added, changed, removed }
+     */
+    diffCatalog(current, incoming) {
+        return this.categories
+            .filter(category => Array.isArray(incoming[category.key]))
+            .map(category => {
+                const currentItems = current[category.key] || [];
+                const incomingItems = incoming[category.key];
+                const currentMap = new Map(currentItems.map(item => [item.id, item]));
+                const incomingMap = new Map(incomingItems.map(item => [item.id, item]));
+                
+                const added = incomingItems.filter(item => !currentMap.has(item.id));
+                const removed = currentItems.filter(item => !incomingMap.has(item.id));
+                const changed = incomingItems
+                    .filter(item => currentMap.has(item.id))
+                    .map(item => ({
+                        item,
+                        fields: this.getChangedFields(currentMap.get(item.id), item)
+                    }))
+                    .filter(change => change.fields.length > 0);
+                
+                return { category: category.key, name: category.name, added, changed, removed };
+            });
+    },
+    
+    /**
+     * 获取两个产品之间变化的字段
+     * @param {Object} before - 原产品
+     * @param {Object} after - 新产品
+     * @returns {Array} 变化的字段名
+     */
+    getChangedFields(before, after) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        return Array.from(keys).filter(key => this.stableStringify(before[key]) !== this.stableStringify(after[key]));
+    },
+    
+    /**
+     * 按键名排序后序列化，用于比较对象
+     * @param {*} value - 要序列化的值
+     * @returns {string} 序列化结果
+     */
+    stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+        }
+        
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+        }
+        
+        return JSON.stringify(value === undefined ? null : value);
+    }
+};
+
+/**
+ * 导出产品目录导入导出模块
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = catalogIOModule;
+} else if (typeof window !== 'undefined') {
+    window.catalogIO = catalogIOModule;
+}
\ No newline at end of file
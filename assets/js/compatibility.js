@@ -0,0 +1,147 @@
+/**
+ * compatibility.js - 兼容规则模块
+ * 
+ * 功能：
+ * - 按机器的系列、型号和功率范围，规定水冷机、配件和其他配件是必需、推荐、可选还是不兼容
+ * - 计算某台机器下每个产品的兼容级别
+ * - 校验兼容规则
+ * 
+ * 主要函数：
+ * - matches：判断规则是否适用于机器
+ * - getLevels：计算机器下各产品的兼容级别
+ * - validate：校验兼容规则
+ * 
+ * 规则格式：
+ * - { id, itemId, series, model, minPower, maxPower, level }
+ * - series、model 为空表示不限；minPower、maxPower 为功率字符串（例如“80W”），为空表示不限，包含边界
+ * - 功率通过 utils.extractPowerFromString 提取数值后比较
+ * 
+ * 说明：
+ * - 同一产品有多条规则适用时，按 不兼容 > 必需 > 推荐 > 可选 取最严格的级别
+ * - 没有规则适用的产品为可选
+ * - 本模块不访问页面元素，规则作为产品目录的一部分由 appModule 保存
+ */
+
+/**
+ * 兼容规则模块
+ */
+const compatibilityModule = {
+    /**
+     * 兼容级别，按从严到宽排列
+     */
+    levels: [
+        { id: 'forbidden', name: '不兼容' },
+        { id: 'required', name: '必需' },
+        { id: 'recommended', name: '推荐' },
+        { id: 'allowed', name: '可选' }
+    ],
+    
+    /**
+     * 获取兼容级别名称
+     * @param {string} level - 兼容级别ID
+     * @returns {string} 兼容级别名称
+     */
+    getLevelName(level) {
+        const item = this.levels.find(entry => entry.id === level);
+        return item ? item.name : level;
+    },
+    
+    /**
+     * 提取功率数值
+     * @param {string} power - 功率字符串，例如“80W”
+     * @returns {number} 功率数值，为空时返回 0
+     */
+    parsePower(power) {
+        return window.utils.extractPowerFromString(String(power || '').trim());
+    },
+    
+    /**
+     * 判断规则是否适用于机器
+     * @param {Object} rule - 兼容规则
+     * @param {Object} machine - 机器数据 { series, model, power }
+     * @returns {boolean} 是否适用
+     */
+    matches(rule, machine) {
+        if (!machine) {
+            return false;
+        }
+        if (rule.series && rule.series !== machine.series) {
+            return false;
+        }
+        if (rule.model && rule.model !== machine.model) {
+            return false;
+        }
+        
+        const power = this.parsePower(machine.power);
+        if (rule.minPower && power < this.parsePower(rule.minPower)) {
+            return false;
+        }
+        if (rule.maxPower && power > this.parsePower(rule.maxPower)) {
+            return false;
+        }
+        return true;
+    },
+    
+    /**
+     * 计算机器下各产品的兼容级别
+     * @param {Array} rules - 兼容规则
+     * @param {Object} machine - 机器数据，为空时所有产品均为可选
+     * @returns {Object} 兼容级别，键为产品ID，只包含有规则适用的产品
+     */
+    getLevels(rules, machine) {
+        const rank = (level) => this.levels.findIndex(item => item.id === level);
+        const levels = {};
+        
+        (rules || []).forEach(rule => {
+            if (rank(rule.level) < 0 || !this.matches(rule, machine)) {
+                return;
+            }
+            
+            const current = levels[rule.itemId];
+            if (!current || rank(rule.level) < rank(current)) {
+                levels[rule.itemId] = rule.level;
+            }
+        });
+        
+        return levels;
+    },
+    
+    /**
+     * 校验兼容规则
+     * @param {Array} rules - 兼容规则
+     * @param {Array} itemIds - 产品目录中水冷机、配件和其他配件的ID
+     * @returns {Array} 错误信息列表
+     */
+    validate(rules, itemIds) {
+        const errors = [];
+        
+        rules.forEach((rule, index) => {
+            const label = `第 ${index + 1} 行`;
+            if (!itemIds.includes(rule.itemId)) {
+                errors.push(`${label}：请选择产品`);
+            }
+            if (!this.levels.some(level => level.id === rule.level)) {
+                errors.push(`${label}：兼容级别无效`);
+            }
+            
+            const minPower = this.parsePower(rule.minPower);
+            const maxPower = this.parsePower(rule.maxPower);
+            if ((rule.minPower && minPower <= 0) || (rule.maxPower && maxPower <= 0)) {
+                errors.push(`${label}：功率必须包含大于0的数字，例如 80W`);
+            } else if (rule.minPower && rule.maxPower && minPower > maxPower) {
+                errors.push(`${label}：最小功率不能大于最大功率`);
+            }
+        });
+        
+        return errors;
+    }
+};
+
+/**
+ * 导出兼容规则模块
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = compatibilityModule;
+} else if (typeof window !== 'undefined') {
+    window.compatibility = compatibilityModule;
+}
@@ -0,0 +1,352 @@
+/**
+ * container.js - 集装箱装箱计算模块
+ * 
+ * 功能：
+ * - 维护 20GP / 40GP / 40HQ 集装箱的内部尺寸、最大载重和海运费（CNY）
+ * - 根据木箱打包尺寸计算每种集装箱可装的木箱数量，允许木箱在地面上旋转90度，并受堆叠层数限制
+ * - 推荐总运费最低的集装箱组合，并计算拖车费
+ * 
+ * 主要函数：
+ * - getCratesPerContainer：计算一种木箱在一种集装箱中最多可装多少箱
+ * - plan：根据所有木箱计算装箱方案
+ * 
+ * 说明：
+ * - 多种木箱混装时按每箱占用的集装箱容量比例估算，结果为估算值
+ * - 集装箱组合从单一箱型等初始方案出发逐步换成更便宜的相邻组合，不枚举所有组合，推荐结果不保证全局最优
+ * - 本模块不访问页面元素，装箱方案由 appModule 用于估算运费
+ */
+
+/**
+ * 集装箱装箱计算模块
+ */
+const containerModule = {
+    /**
+     * 整柜运输的最低机器数量
+     */
+    minQuantity: 10,
+    
+    /**
+     * 木箱默认最大堆叠层数
+     */
+    defaultStackLimit: 2,
+    
+    /**
+     * 集装箱类型，尺寸为内部尺寸 (cm)，maxPayload 为最大载重 (kg)
+     */
+    containerTypes: [
+        { id: '20GP', name: '20GP', length: 589, width: 235, height: 239, maxPayload: 28000 },
+        { id: '40GP', name: '40GP', length: 1203, width: 235, height: 239, maxPayload: 26500 },
+        { id: '40HQ', name: '40HQ', length: 1203, width: 235, height: 269, maxPayload: 26500 }
+    ],
+    
+    /**
+     * 每个集装箱的海运费，国家代码与页面上的国家选项一致，未列出的国家使用 other
+     */
+    freightRates: {
+        US: { '20GP': 16500, '40GP': 24000, '40HQ': 25500 },
+        DE: { '20GP': 14000, '40GP': 21000, '40HQ': 22000 },
+        JP: { '20GP': 6500, '40GP': 10500, '40HQ': 11000 },
+        other: { '20GP': 18000, '40GP': 27000, '40HQ': 28500 }
+    },
+    
+    /**
+     * 每个集装箱的拖车费（工厂到港口）
+     */
+    truckingRates: { '20GP': 1600, '40GP': 2300, '40HQ': 2400 },
+    
+    /**
+     * 计算一层最多可放的木箱数量
+     * 先按一个方向排满，剩余的长度再按旋转90度的方向排放
+     * @param {number} length - 集装箱内部长度
+     * @param {number} width - 集装箱内部宽度
+     * @param {number} crateLength - 木箱长度
+     * @param {number} crateWidth - 木箱宽度
+     * @returns {number} 每层木箱数量
+     */
+    getCratesPerLayer(length, width, crateLength, crateWidth) {
+        const fill = (l, w) => {
+            const rows = Math.floor(length / l);
+            const perRow = Math.floor(width / w);
+            if (rows === 0 || perRow === 0) {
+                return 0;
+            }
+            
+            // 剩余长度旋转后继续排放
+            const remaining = length - rows * l;
+            return rows * perRow + Math.floor(remaining / w) * Math.floor(width / l);
+        };
+        
+        return Math.max(fill(crateLength, crateWidth), fill(crateWidth, crateLength));
+    },
+    
+    /**
+     * 计算一种木箱在一种集装箱中最多可装多少箱
+     * @param {Object} crate - 木箱 { length, width, height, weight, stackLimit }
+     * @param {Object} containerType - 集装箱类型
+     * @returns {number} 可装木箱数量，装不下时为 0
+     */
+    getCratesPerContainer(crate, containerType) {
+        if (!crate.length || !crate.width || !crate.height) {
+            return 0;
+        }
+        
+        const perLayer = this.getCratesPerLayer(containerType.length, containerType.width, crate.length, crate.width);
+        const layers = Math.min(Math.floor(containerType.height / crate.height), crate.stackLimit || this.defaultStackLimit);
+        const byVolume = perLayer * layers;
+        const byWeight = crate.weight > 0 ? Math.floor(containerType.maxPayload / crate.weight) : byVolume;
+        
+        return Math.min(byVolume, byWeight);
+    },
+    
+    /**
+     * 检查一组集装箱能否装下所有木箱
+     * 按每箱占用容量从大到小依次放入剩余空间最多的集装箱
+     * 相邻且装载相同的集装箱合为一组，连续的同种木箱一次放入一组中的多个集装箱，结果与逐箱放入相同
+     * @param {Array} containers - 集装箱类型数组，每个元素代表一个集装箱
+     * @param {Array} crates - 展开后的木箱数组，每个元素为 { fits, weight }，同种木箱共用同一个 fits 对象
+     * @returns {boolean} 是否能装下
+     */
+    canLoad(containers, crates) {
+        const groups = [];
+        containers.forEach(containerType => {
+            const last = groups[groups.length - 1];
+            if (last && last.containerType === containerType) {
+                last.count++;
+            } else {
+                groups.push({ containerType, count: 1, used: 0, weight: 0 });
+            }
+        });
+        
+        let start = 0;
+        while (start < crates.length) {
+            const crate = crates[start];
+            let end = start + 1;
+            while (end < crates.length && crates[end].fits === crate.fits && crates[end].weight === crate.weight) {
+                end++;
+            }
+            let remaining = end - start;
+            start = end;
+            
+            while (remaining > 0) {
+                let best = -1;
+                groups.forEach((group, index) => {
+                    const fit = crate.fits[group.containerType.id];
+                    if (!fit) {
+                        return;
+                    }
+                    
+                    const enoughSpace = group.used + 1 / fit <= 1 + 1e-9;
+                    const enoughPayload = group.weight + crate.weight <= group.containerType.maxPayload;
+                    if (enoughSpace && enoughPayload && (best === -1 || group.used < groups[best].used)) {
+                        best = index;
+                    }
+                });
+                
+                if (best === -1) {
+                    return false;
+                }
+                
+                // 组内前面的集装箱各放一箱，拆成新的一组
+                const group = groups[best];
+                const placed = Math.min(remaining, group.count);
+                const loaded = {
+                    containerType: group.containerType,
+                    count: placed,
+                    used: group.used + 1 / crate.fits[group.containerType.id],
+                    weight: group.weight + crate.weight
+                };
+                group.count -= placed;
+                groups.splice(best, group.count > 0 ? 0 : 1, loaded);
+                remaining -= placed;
+            }
+        }
+        return true;
+    },
+    
+    /**
+     * 计算装箱方案
+     * @param {Array} items - 木箱列表，每项为 { name, count, length, width, height, weight, stackLimit }
+     * @param {string} country - 目的国家代码
+     * @returns {Object} 装箱方案 { fits, containers, freight, trucking, error }
+     */
+    plan(items, country) {
+        const rates = this.freightRates[country] || this.freightRates.other;
+        const fits = items.map(item => {
+            const perContainer = {};
+            this.containerTypes.forEach(containerType => {
+                perContainer[containerType.id] = this.getCratesPerContainer(item, containerType);
+            });
+            return { name: item.name, count: item.count, perContainer };
+        });
+        
+        const result = { fits, containers: [], freight: 0, trucking: 0, error: null };
+        
+        const unfit = fits.filter(fit => this.containerTypes.every(containerType => fit.perContainer[containerType.id] === 0));
+        if (unfit.length > 0) {
+            result.error = `以下机器的木箱无法装入集装箱：${unfit.map(fit => fit.name).join(', ')}`;
+            return result;
+        }
+        
+        // 展开为单个木箱，占用容量大的先放
+        const crates = [];
+        fits.forEach((fit, index) => {
+            for (let i = 0; i < fit.count; i++) {
+                crates.push({ fits: fit.perContainer, weight: items[index].weight || 0 });
+            }
+        });
+        const largestShare = (crate) => Math.max(...this.containerTypes.map(containerType =>
+            crate.fits[containerType.id] ? 1 / crate.fits[containerType.id] : 0
+        ));
+        crates.sort((a, b) => largestShare(b) - largestShare(a));
+        
+        const unitCost = (containerType) => rates[containerType.id] + this.truckingRates[containerType.id];
+        const createOption = (counts) => {
+            const option = { counts: counts.slice(), freight: 0, trucking: 0, total: 0, count: 0 };
+            this.containerTypes.forEach((containerType, index) => {
+                option.freight += rates[containerType.id] * counts[index];
+                option.trucking += this.truckingRates[containerType.id] * counts[index];
+                option.count += counts[index];
+            });
+            option.total = option.freight + option.trucking;
+            return option;
+        };
+        
+        const isBetter = (option, other) => !other || option.total < other.total ||
+            (option.total === other.total && option.count < other.count);
+        // 同一组合可能被多次检查，结果按数量缓存
+        const loadable = {};
+        const canLoadCounts = (counts) => {
+            const key = counts.join(',');
+            if (!(key in loadable)) {
+                const containers = [];
+                this.containerTypes.forEach((containerType, index) => {
+                    for (let i = 0; i < counts[index]; i++) {
+                        containers.push(containerType);
+                    }
+                });
+                loadable[key] = containers.length > 0 && this.canLoad(containers, crates);
+            }
+            return loadable[key];
+        };
+        
+        // 初始方案：每种集装箱单独使用，以及每个木箱都放入单箱费用最低的集装箱类型
+        // 数量从按容量计算的最少数量开始
+        const startCounts = [];
+        this.containerTypes.forEach((containerType, typeIndex) => {
+            if (crates.some(crate => !crate.fits[containerType.id])) {
+                return;
+            }
+            
+            const share = crates.reduce((sum, crate) => sum + 1 / crate.fits[containerType.id], 0);
+            startCounts.push(this.containerTypes.map((other, index) => (index === typeIndex ? Math.max(1, Math.ceil(share - 1e-9)) : 0)));
+        });
+        const shares = this.containerTypes.map(() => 0);
+        crates.forEach(crate => {
+            const costPerCrate = this.containerTypes.map(containerType =>
+                crate.fits[containerType.id] ? unitCost(containerType) / crate.fits[containerType.id] : Infinity
+            );
+            const preferred = costPerCrate.indexOf(Math.min(...costPerCrate));
+            shares[preferred] += 1 / crate.fits[this.containerTypes[preferred].id];
+        });
+        if (shares.some(share => share > 0)) {
+            startCounts.push(shares.map(share => Math.ceil(share - 1e-9)));
+        }
+        
+        // 装不下时每种已用的集装箱按 1、2、4… 个增加，再二分找到能装下的最少增加数量
+        const complete = (counts) => {
+            const grow = (extra) => counts.map(count => (count > 0 ? count + extra : 0));
+            if (canLoadCounts(counts)) {
+                return counts;
+            }
+            
+            let low = 0;
+            let high = 1;
+            while (!canLoadCounts(grow(high))) {
+                low = high;
+                high *= 2;
+            }
+            while (high - low > 1) {
+                const middle = Math.floor((low + high) / 2);
+                if (canLoadCounts(grow(middle))) {
+                    high = middle;
+                } else {
+                    low = middle;
+                }
+            }
+            return grow(high);
+        };
+        
+        // 相邻组合：减少一个集装箱，或把一两个集装箱换成另一种
+        const moves = [];
+        this.containerTypes.forEach((containerType, from) => {
+            moves.push(this.containerTypes.map((other, index) => (index === from ? -1 : 0)));
+            this.containerTypes.forEach((other, to) => {
+                if (to !== from) {
+                    [[-1, 1], [-2, 1], [-1, 2]].forEach(([removed, added]) => {
+                        moves.push(this.containerTypes.map((type, index) => (index === from ? removed : index === to ? added : 0)));
+                    });
+                }
+            });
+        });
+        
+        // 从每个初始方案出发，每次换成费用最低且能装下的相邻组合，直到费用无法再降低
+        // 换成功后沿同一方向按 2、4、8… 倍继续尝试，不枚举所有组合，大批量时也能很快算完
+        const apply = (counts, move, times) => {
+            const next = counts.map((count, index) => count + move[index] * times);
+            return next.every(count => count >= 0) ? createOption(next) : null;
+        };
+        let best = null;
+        startCounts.forEach(counts => {
+            let current = createOption(complete(counts));
+            while (current) {
+                const from = current;
+                if (isBetter(from, best)) {
+                    best = from;
+                }
+                const step = moves
+                    .map(move => ({ move, option: apply(from.counts, move, 1) }))
+                    .filter(candidate => candidate.option && isBetter(candidate.option, from))
+                    .sort((a, b) => a.option.total - b.option.total || a.option.count - b.option.count)
+                    .find(candidate => canLoadCounts(candidate.option.counts));
+                current = step && step.option;
+                for (let times = 2; step; times *= 2) {
+                    const option = apply(from.counts, step.move, times);
+                    if (!option || !isBetter(option, current) || !canLoadCounts(option.counts)) {
+                        break;
+                    }
+                    current = option;
+                }
+            }
+        });
+        
+        if (!best) {
+            result.error = '无法计算装箱方案';
+            return result;
+        }
+        
+        result.containers = this.containerTypes
+            .map((containerType, index) => ({ type: containerType.id, name: containerType.name, count: best.counts[index] }))
+            .filter(container => container.count > 0);
+        result.freight = best.freight;
+        result.trucking = best.trucking;
+        return result;
+    },
+    
+    /**
+     * 生成集装箱组合的描述
+     * @param {Array} containers - 集装箱组合
+     * @returns {string} 描述，例如“1×40HQ + 1×20GP”
+     */
+    describe(containers) {
+        return containers.map(container => `${container.count}×${container.name}`).join(' + ');
+    }
+};
+
+/**
+ * 导出集装箱装箱计算模块
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = containerModule;
+} else if (typeof window !== 'undefined') {
+    window.containerLoad = containerModule;
+}
@@ -0,0 +1,214 @@
+/**
+ * discount-editor.js - 折扣设置模块
+ * 
+ * 功能：
+ * - 提供折扣模态框，设置整单折扣或某个货物明细行的折扣
+ * - 折扣方式为百分比或固定金额，必须填写折扣原因
+ * - 点击费用明细中的货物行时直接打开该行的折扣
+ * 
+ * 折扣数据由 appModule 管理，本模块只负责界面交互
+ */
+
+/**
+ * 折扣设置模块
+ */
+const discountEditorModule = {
+    /**
+     * 整单折扣在折扣对象下拉框中的值
+     */
+    orderTarget: 'order',
+    
+    /**
+     * 初始化折扣设置模块
+     */
+    init() {
+        // 打开折扣设置
+        const openDiscountBtn = document.getElementById('openDiscountBtn');
+        if (openDiscountBtn) {
+            openDiscountBtn.addEventListener('click', () => {
+                this.open(null);
+            });
+        }
+        
+        // 点击费用明细中的货物行
+        if (window.ui && window.ui.module) {
+            window.ui.module.onLineItemDiscount = (key) => {
+                this.open(key);
+            };
+        }
+        
+        // 切换折扣对象时显示该对象当前的折扣
+        const targetSelect = document.getElementById('discountTarget');
+        if (targetSelect) {
+            targetSelect.addEventListener('change', () => {
+                this.fillForm();
+            });
+        }
+        
+        // 应用折扣
+        const applyDiscountBtn = document.getElementById('applyDiscountBtn');
+        if (applyDiscountBtn) {
+            applyDiscountBtn.addEventListener('click', () => {
+                this.apply();
+            });
+        }
+        
+        const reasonInput = document.getElementById('discountReason');
+        if (reasonInput) {
+            reasonInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.apply();
+                }
+            });
+        }
+        
+        // 取消折扣
+        const removeDiscountBtn = document.getElementById('removeDiscountBtn');
+        if (removeDiscountBtn) {
+            removeDiscountBtn.addEventListener('click', () => {
+                this.remove();
+            });
+        }
+    },
+    
+    /**
+     * 打开折扣模态框
+     * @param {string|null} key - 货物明细行的键，为 null 时设置整单折扣
+     */
+    open(key) {
+        const app = window.app;
+        if (!app.hasMachine()) {
+            this.notify('请先选择机器再设置折扣', 'warning');
+            return;
+        }
+        
+        const escape = window.utils.escapeHtml;
+        const formatPrice = window.utils.formatPrice;
+        const targets = app.getDiscountTargets();
+        
+        const targetSelect = document.getElementById('discountTarget');
+        if (targetSelect) {
+            targetSelect.innerHTML = `
+                <option value="${this.orderTarget}">整单</option>
+                ${targets.map(target => `
+                    <option value="${escape(target.key)}">${escape(target.name)}（${formatPrice(target.amount, 'CNY')}）</option>
+                `).join('')}
+            `;
+            targetSelect.value = key && targets.some(target => target.key === key) ? key : this.orderTarget;
+        }
+        
+        const typeSelect = document.getElementById('discountType');
+        if (typeSelect) {
+            typeSelect.innerHTML = window.discount.types.map(type => `
+                <option value="${type.id}">${type.name}</option>
+            `).join('');
+        }
+        
+        this.fillForm();
+        
+        if (window.ui && window.ui.module && window.ui.module.showModal) {
+            window.ui.module.showModal('discountModal');
+        }
+        
+        const valueInput = document.getElementById('discountValue');
+        if (valueInput) {
+            valueInput.focus();
+        }
+    },
+    
+    /**
+     * 关闭折扣模态框
+     */
+    close() {
+        if (window.ui && window.ui.module && window.ui.module.hideModal) {
+            window.ui.module.hideModal('discountModal');
+        }
+    },
+    
+    /**
+     * 获取当前选择的折扣对象
+     * @returns {string|null} 货物明细行的键，整单折扣为 null
+     */
+    getTargetKey() {
+        const targetSelect = document.getElementById('discountTarget');
+        return targetSelect && targetSelect.value !== this.orderTarget ? targetSelect.value : null;
+    },
+    
+    /**
+     * 将当前选择对象的折扣填入表单
+     */
+    fillForm() {
+        const key = this.getTargetKey();
+        const state = window.app.store.getState();
+        const discount = key === null ? state.orderDiscount : state.lineDiscounts[key];
+        
+        const values = {
+            discountType: discount ? discount.type : 'percent',
+            discountValue: discount ? discount.value : '',
+            discountReason: discount ? discount.reason : ''
+        };
+        Object.keys(values).forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = values[id];
+            }
+        });
+        
+        const removeDiscountBtn = document.getElementById('removeDiscountBtn');
+        if (removeDiscountBtn) {
+            removeDiscountBtn.style.display = discount ? '' : 'none';
+        }
+    },
+    
+    /**
+     * 应用表单中的折扣
+     */
+    apply() {
+        const typeSelect = document.getElementById('discountType');
+        const valueInput = document.getElementById('discountValue');
+        const reasonInput = document.getElementById('discountReason');
+        
+        const error = window.app.setDiscount(this.getTargetKey(), {
+            type: typeSelect ? typeSelect.value : 'percent',
+            value: valueInput ? parseFloat(valueInput.value) : NaN,
+            reason: reasonInput ? reasonInput.value : ''
+        });
+        if (error) {
+            this.notify(error, 'warning');
+            return;
+        }
+        
+        this.close();
+        this.notify('折扣已应用', 'success');
+    },
+    
+    /**
+     * 取消当前选择对象的折扣
+     */
+    remove() {
+        window.app.setDiscount(this.getTargetKey(), null);
+        this.close();
+        this.notify('折扣已取消', 'success');
+    },
+    
+    /**
+     * 显示通知
+     * @param {string} message - 通知消息
+     * @param {string} type - 通知类型
+     */
+    notify(message, type) {
+        if (window.ui && window.ui.notification) {
+            window.ui.notification.show(message, type);
+        }
+    }
+};
+
+/**
+ * 导出折扣设置模块
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = discountEditorModule;
+} else if (typeof window !== 'undefined') {
+    window.discountEditor = discountEditorModule;
+}
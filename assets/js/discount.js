@@ -0,0 +1,117 @@
+/**
+ * discount.js - 折扣计算模块
+ * 
+ * 功能：
+ * - 支持按百分比或固定金额给报价明细行或整单打折，每个折扣必须填写原因
+ * - 计算折扣金额，折扣不超过折扣前的金额
+ * - 汇总报价的折扣，折扣率超过审批阈值时标记为需经理审批
+ * 
+ * 主要函数：
+ * - validate：校验折扣
+ * - calculateAmount：计算折扣金额
+ * - describe：生成折扣的描述
+ * - summarize：汇总报价明细行的折扣
+ * 
+ * 说明：
+ * - 明细行折扣直接减少该行金额，整单折扣按明细行折扣后的货物金额计算，生成单独的折扣行
+ * - 折扣率 = 折扣合计 / 折扣前的货物金额
+ * - 本模块不访问页面元素，折扣由 appModule 保存在报价状态中
+ */
+
+/**
+ * 折扣计算模块
+ */
+const discountModule = {
+    /**
+     * 折扣方式
+     */
+    types: [
+        { id: 'percent', name: '百分比 (%)' },
+        { id: 'amount', name: '固定金额 (CNY)' }
+    ],
+    
+    /**
+     * 默认的经理审批阈值（折扣率 %）
+     */
+    defaultApprovalThreshold: 10,
+    
+    /**
+     * 校验折扣
+     * @param {Object} discount - 折扣 { type, value, reason }
+     * @returns {string|null} 错误信息，校验通过返回 null
+     */
+    validate(discount) {
+        if (!discount || !this.types.some(type => type.id === discount.type)) {
+            return '请选择折扣方式';
+        }
+        if (typeof discount.value !== 'number' || !isFinite(discount.value) || discount.value <= 0) {
+            return '折扣必须是大于0的数字';
+        }
+        if (discount.type === 'percent' && discount.value > 100) {
+            return '折扣百分比不能超过100%';
+        }
+        if (!discount.reason || !String(discount.reason).trim()) {
+            return '请填写折扣原因';
+        }
+        return null;
+    },
+    
+    /**
+     * 计算折扣金额
+     * @param {Object} discount - 折扣 { type, value }
+     * @param {number} base - 折扣前的金额
+     * @returns {number} 折扣金额，不超过折扣前的金额，折扣无效时为 0
+     */
+    calculateAmount(discount, base) {
+        if (this.validate(discount) || base <= 0) {
+            return 0;
+        }
+        
+        const amount = discount.type === 'percent' ? base * discount.value / 100 : discount.value;
+        return Math.round(Math.min(amount, base) * 100) / 100;
+    },
+    
+    /**
+     * 生成折扣的描述
+     * @param {Object} discount - 折扣 { type, value }
+     * @param {Function} formatPrice - 金额格式化函数，由调用方传入，例如 pricing.formatAmount
+     * @returns {string} 描述，例如“5%”或“¥500.00”
+     */
+    describe(discount, formatPrice) {
+        return discount.type === 'percent' ? `${discount.value}%` : formatPrice(discount.value);
+    },
+    
+    /**
+     * 汇总报价明细行的折扣
+     * @param {Array} lineItems - 报价明细行，明细行折扣为 item.discount，整单折扣为分类为 discount 的明细行
+     * @param {number} threshold - 经理审批阈值（折扣率 %）
+     * @returns {Object} 汇总 { gross, lineTotal, orderTotal, total, percent, threshold, needsApproval }
+     */
+    summarize(lineItems, threshold = this.defaultApprovalThreshold) {
+        const summary = { gross: 0, lineTotal: 0, orderTotal: 0, total: 0, percent: 0, threshold, needsApproval: false };
+        
+        lineItems.forEach(item => {
+            if (item.category === 'discount') {
+                summary.orderTotal -= item.amount;
+            } else if (item.category !== 'fee' && item.category !== 'tax') {
+                const discountAmount = item.discount ? item.discount.amount : 0;
+                summary.gross += item.amount + discountAmount;
+                summary.lineTotal += discountAmount;
+            }
+        });
+        
+        summary.total = summary.lineTotal + summary.orderTotal;
+        summary.percent = summary.gross > 0 ? summary.total / summary.gross * 100 : 0;
+        summary.needsApproval = summary.total > 0 && summary.percent > threshold;
+        return summary;
+    }
+};
+
+/**
+ * 导出折扣计算模块
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = discountModule;
+} else if (typeof window !== 'undefined') {
+    window.discount = discountModule;
+}
@@ -0,0 +1,129 @@
+/**
+ * fees.js - 附加费用模块
+ * 
+ * 功能：
+ * - 报价可以添加任意数量的附加费用，每项费用有名称、计费方式和费率
+ * - 计费方式：固定金额、按机器台数、按CBM、按货值百分比
+ * - 维护默认的费用预设，预设可在系统设置中编辑，保存在本地存储中
+ * 
+ * 主要函数：
+ * - calculate：计算一项费用的金额
+ * - describe：生成费用的计算依据
+ * - validate：校验费用或费用预设
+ * 
+ * 说明：
+ * - 附加费用不受贸易术语影响，按货值百分比计费时以折扣后的货物金额为基数
+ * - 本模块不访问页面元素，费用由 appModule 生成报价明细行
+ */
+
+/**
+ * 附加费用模块
+ */
+const feesModule = {
+    /**
+     * 计费方式
+     */
+    types: [
+        { id: 'fixed', name: '固定金额', unit: 'CNY' },
+        { id: 'perMachine', name: '每台机器', unit: 'CNY/台' },
+        { id: 'perCbm', name: '每CBM', unit: 'CNY/CBM' },
+        { id: 'percentGoods', name: '货值百分比', unit: '%' }
+    ],
+    
+    /**
+     * 默认的费用预设
+     */
+    defaultPresets: [
+        { id: 'inspection', name: '商检费', type: 'fixed', value: 500 },
+        { id: 'fumigation', name: '熏蒸费', type: 'perCbm', value: 80 },
+        { id: 'crating', name: '木箱加固费', type: 'perMachine', value: 300 },
+        { id: 'bank-charge', name: '银行手续费', type: 'percentGoods', value: 0.1 }
+    ],
+    
+    /**
+     * 获取计费方式
+     * @param {string} type - 计费方式ID
+     * @returns {Object} 计费方式，未知的计费方式按固定金额处理
+     */
+    getType(type) {
+        return this.types.find(item => item.id === type) || this.types[0];
+    },
+    
+    /**
+     * 计算费用金额
+     * @param {Object} fee - 费用 { name, type, value }
+     * @param {Object} basis - 计费基数 { machines, cbm, goodsTotal }
+     * @returns {number} 金额
+     */
+    calculate(fee, basis) {
+        const value = fee.value || 0;
+        let amount;
+        switch (this.getType(fee.type).id) {
+            case 'perMachine':
+                amount = value * basis.machines;
+                break;
+            case 'perCbm':
+                amount = value * basis.cbm;
+                break;
+            case 'percentGoods':
+                amount = basis.goodsTotal * value / 100;
+                break;
+            default:
+                amount = value;
+        }
+        return Math.round(amount * 100) / 100;
+    },
+    
+    /**
+     * 生成费用的计算依据
+     * @param {Object} fee - 费用 { type, value }
+     * @param {Object} basis - 计费基数 { machines, cbm, goodsTotal }
+     * @param {Function} formatPrice - 金额格式化函数，由调用方传入，例如 pricing.formatAmount
+     * @returns {string} 计算依据，固定金额为空
+     */
+    describe(fee, basis, formatPrice) {
+        switch (this.getType(fee.type).id) {
+            case 'perMachine':
+                return `${basis.machines} 台 × ${formatPrice(fee.value)}`;
+            case 'perCbm':
+                return `${basis.cbm.toFixed(3)} CBM × ${formatPrice(fee.value)}`;
+            case 'percentGoods':
+                return `货值 × ${fee.value}%`;
+            default:
+                return '';
+        }
+    },
+    
+    /**
+     * 校验费用或费用预设
+     * @param {Array} fees - 费用列表
+     * @returns {Array} 错误信息列表
+     */
+    validate(fees) {
+        const errors = [];
+        
+        fees.forEach((fee, index) => {
+            const label = `第 ${index + 1} 行`;
+            if (!fee.name || !String(fee.name).trim()) {
+                errors.push(`${label}：请填写费用名称`);
+            }
+            if (!this.types.some(type => type.id === fee.type)) {
+                errors.push(`${label}：计费方式无效`);
+            }
+            if (typeof fee.value !== 'number' || !isFinite(fee.value) || fee.value < 0) {
+                errors.push(`${label}：费率必须是不小于0的数字`);
+            }
+        });
+        
+        return errors;
+    }
+};
+
+/**
+ * 导出附加费用模块
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = feesModule;
+} else if (typeof window !== 'undefined') {
+    window.fees = feesModule;
+}
@@ -9,10 +9,11 @@
  * - 提供工具函数（延迟执行、防抖、节流）
  * 
  * 主要功能：
- * - 初始化UI模块和应用模块
+ * - 初始化UI模块、应用模块、设置模块、模板模块、折扣设置模块和打印模块，UI模块订阅应用的页面状态
  * - 绑定DOMContentLoaded事件，确保DOM加载完成后初始化
  * - 绑定历史记录面板事件
  * - 绑定全局事件（键盘事件、窗口大小变化事件、页面卸载事件）
+ * - 绑定快捷键：Ctrl+S 保存报价，Ctrl+Z 撤销，Ctrl+Shift+Z 重做，Ctrl+Alt+M 切换内部视图（成本和毛利）
  * - 设置全局错误处理（捕获未处理的错误和Promise拒绝）
  * - 提供工具函数：delay（延迟执行）、debounce（防抖）、throttle（节流）
  * 
@@ -21,8 +22,12 @@
  * 2. 绑定事件监听器
  * 3. 等待DOM加载完成
  * 4. 初始化UI模块
- * 5. 初始化应用模块
- * 6. 显示初始化成功通知
+ * 5. 初始化应用模块，UI模块订阅应用的页面状态
+ * 6. 初始化设置模块、模板模块、折扣设置模块和打印模块
+ * 7. 显示初始化成功通知
+ * 
+ * 说明：
+ * - 历史记录面板的打开和关闭、ESC键关闭模态框和面板由UI模块处理
  */
 
 /**
@@ -33,14 +38,39 @@ const mainModule = {
      * 主应用初始化
      */
     initApp: () => {
+        const uiModule = window.ui ? window.ui.module : null;
+        
         // 初始化UI模块
-        if (window.ui && window.ui.module && window.ui.module.init) {
-            window.ui.module.init();
+        if (uiModule) {
+            uiModule.init();
         }
         
-        // 初始化应用模块
+        // 初始化应用模块，UI模块订阅应用的页面状态后按页面状态更新页面
         if (window.app && window.app.init) {
             window.app.init();
+            if (uiModule) {
+                uiModule.connect(window.app.view);
+            }
+        }
+        
+        // 初始化设置模块
+        if (window.settings && window.settings.init) {
+            window.settings.init();
+        }
+        
+        // 初始化模板模块
+        if (window.templates && window.templates.init) {
+            window.templates.init();
+        }
+        
+        // 初始化折扣设置模块
+        if (window.discountEditor && window.discountEditor.init) {
+            window.discountEditor.init();
+        }
+        
+        // 初始化打印模块
+        if (window.quotePrint && window.quotePrint.init) {
+            window.quotePrint.init();
         }
         
         // 显示初始化成功通知
@@ -67,36 +97,6 @@ const mainModule = {
      * 绑定历史记录面板事件
      */
     bindHistoryPanelEvents: () => {
-        // 打开历史记录面板
-        const openHistoryPanelBtn = document.getElementById('openHistoryPanel');
-        if (openHistoryPanelBtn) {
-            openHistoryPanelBtn.addEventListener('click', () => {
-                if (window.ui && window.ui.module && window.ui.module.showHistoryPanel) {
-                    window.ui.module.showHistoryPanel();
-                }
-            });
-        }
-        
-        // 关闭历史记录面板
-        const closeHistoryPanelBtn = document.getElementById('closeHistoryPanel');
-        if (closeHistoryPanelBtn) {
-            closeHistoryPanelBtn.addEventListener('click', () => {
-                if (window.ui && window.ui.module && window.ui.module.hideHistoryPanel) {
-                    window.ui.module.hideHistoryPanel();
-                }
-            });
-        }
-        
-        // 历史记录面板遮罩点击事件
-        const historyPanelOverlay = document.getElementById('historyPanelOverlay');
-        if (historyPanelOverlay) {
-            historyPanelOverlay.addEventListener('click', () => {
-                if (window.ui && window.ui.module && window.ui.module.hideHistoryPanel) {
-                    window.ui.module.hideHistoryPanel();
-                }
-            });
-        }
-        
         // 清空历史记录
         const clearHistoryBtn = document.getElementById('clearHistoryBtn');
         if (clearHistoryBtn) {
@@ -114,18 +114,41 @@ const mainModule = {
     bindGlobalEvents: () => {
         // 键盘事件
         window.addEventListener('keydown', (e) => {
-            // ESC键关闭所有模态框和面板
-            if (e.key === 'Escape') {
-                // 关闭历史记录面板
-                if (window.ui && window.ui.module && window.ui.module.hideHistoryPanel) {
-                    window.ui.module.hideHistoryPanel();
+            // Ctrl+S（Mac上为Cmd+S）保存报价
+            if ((e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey && e.key.toLowerCase() === 's') {
+                e.preventDefault();
+                if (window.app && window.app.saveQuote) {
+                    window.app.saveQuote();
+                }
+                return;
+            }
+            
+            // Ctrl+Z 撤销，Ctrl+Shift+Z 重做（Mac上为Cmd）
+            // 模态框中的输入框和配件搜索框不属于报价，保留浏览器自带的撤销
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'z') {
+                const target = e.target;
+                if (target.closest && (target.closest('.modal') || target.id === 'otherAccessoriesSearch')) {
+                    return;
                 }
                 
-                // 关闭所有模态框
-                const modals = document.querySelectorAll('.modal');
-                modals.forEach(modal => {
-                    modal.style.display = 'none';
-                });
+                e.preventDefault();
+                if (window.app && window.app.undo && window.app.redo) {
+                    if (e.shiftKey) {
+                        window.app.redo();
+                    } else {
+                        window.app.undo();
+                    }
+                }
+                return;
+            }
+            
+            // Ctrl+Alt+M 切换内部视图，只供内部人员使用，页面上不显示入口
+            if ((e.ctrlKey || e.metaKey) && e.altKey && e.code === 'KeyM') {
+                e.preventDefault();
+                if (window.app && window.app.setInternalView) {
+                    window.app.setInternalView();
+                }
+                return;
             }
         });
         
@@ -0,0 +1,778 @@
+/**
+ * pricing.js - 报价计价模块
+ * 
+ * 功能：
+ * - 按报价状态和产品目录计算完整的价格明细：报价明细行、小计、总价、客户货币金额、包装汇总、运费估算、折扣和毛利
+ * - 维护价格来源和贸易术语，按价格来源和数量阶梯取价
+ * - 浏览器页面和 Node 脚本（ERP对接、单元测试）使用同一套计算，结果相同
+ * 
+ * 主要函数：
+ * - calculate：计算报价的价格明细
+ * - buildLineItems：生成报价明细行
+ * - getLineItemTotals：计算报价明细行的合计
+ * - getMarginSummary：计算报价的成本和毛利
+ * - estimateShipping：根据整单包装数据估算运费
+ * - convertFromCny：将CNY金额换算为客户货币
+ * 
+ * 说明：
+ * - 报价为 quoteStore.createState 格式的报价状态，与保存到历史记录的报价相同，缺少的字段使用默认值；旧格式的报价由 appModule 转换
+ * - 机器明细行只需要 machineId，其余字段使用默认值；没有ID的明细行按序号使用 line-1、line-2 等，明细行折扣的键以此ID开头
+ * - 产品目录为 { machines, waterCoolers, accessories, otherAccessories }，与 appModule.catalog 相同，缺少的分类按空数组处理
+ * - 报价没有客户货币时使用国家默认的客户货币，与页面上选择国家时相同
+ * - 未手动修改的运费按估算值计算，报价中保存的运费只在手动修改后使用
+ * - 运费、装箱、折扣、附加费用、税费和货币模块在浏览器中取页面已加载的模块，在 Node 中按文件加载
+ * - Node 中使用（产品目录可取自系统设置导出的JSON文件）：
+ *     const pricing = require('./assets/js/pricing.js');
+ *     const result = pricing.calculate({
+ *         machineLines: [{ machineId: 'kh-1390-80w', quantity: 2, accessoryIds: ['accessory-mirror'] }],
+ *         incoterm: 'FOB',
+ *         country: 'US'
+ *     }, catalog, { taxRules });
+ *     console.log(result.total, result.customerTotal, result.lineItems);
+ * - 本模块不访问页面元素，价格显示由 appModule 更新
+ */
+
+/**
+ * 报价计价模块
+ */
+const pricingModule = {
+    /**
+     * 价格来源
+     * 每个产品按来源维护独立的价格表：阶梯一（经销商）、阶梯二（代理商）、阶梯三（终端客户）
+     */
+    priceSources: [
+        { id: 'tier1', name: '阶梯一' },
+        { id: 'tier2', name: '阶梯二' },
+        { id: 'tier3', name: '阶梯三' }
+    ],
+    
+    /**
+     * 贸易术语费用项目
+     * key 与报价中的费用字段一致，insurance 按保险费率计算
+     */
+    incotermComponents: [
+        { key: 'domesticShipping', name: '国内运费' },
+        { key: 'exportClearance', name: '出口报关费' },
+        { key: 'internationalShipping', name: '国际运费' },
+        { key: 'insurance', name: '保险费' },
+        { key: 'destinationDuties', name: '目的国关税及进口税' },
+        { key: 'localDelivery', name: '目的地派送费' }
+    ],
+    
+    /**
+     * 贸易术语
+     * components 为报价包含的费用项目，placeLabel 为指定港口/地点的含义
+     */
+    incoterms: [
+        { id: 'EXW', name: 'EXW 工厂交货', placeLabel: '交货地点', components: [] },
+        { id: 'FOB', name: 'FOB 船上交货', placeLabel: '装运港', components: ['domesticShipping', 'exportClearance'] },
+        { id: 'CFR', name: 'CFR 成本加运费', placeLabel: '目的港', components: ['domesticShipping', 'exportClearance', 'internationalShipping'] },
+        { id: 'CIF', name: 'CIF 成本、保险费加运费', placeLabel: '目的港', components: ['domesticShipping', 'exportClearance', 'internationalShipping', 'insurance'] },
+        { id: 'DAP', name: 'DAP 目的地交货', placeLabel: '目的地', components: ['domesticShipping', 'exportClearance', 'internationalShipping', 'insurance', 'localDelivery'] },
+        { id: 'DDP', name: 'DDP 完税后交货', placeLabel: '目的地', components: ['domesticShipping', 'exportClearance', 'internationalShipping', 'insurance', 'destinationDuties', 'localDelivery'] }
+    ],
+    
+    /**
+     * 各国家默认的客户货币，国家代码与页面上的国家选项一致，未列出的国家使用 other
+     */
+    countryCurrencies: {
+        US: 'USD',
+        CN: 'CNY',
+        DE: 'EUR',
+        JP: 'JPY',
+        other: 'USD'
+    },
+    
+    /**
+     * 报价明细行分类
+     */
+    lineItemCategories: {
+        machine: '机器',
+        waterCooler: '水冷机',
+        accessory: '配件',
+        otherAccessory: '其他配件',
+        fee: '费用',
+        tax: '税费',
+        discount: '折扣'
+    },
+    
+    /**
+     * 报价明细行分类对应的产品目录分类
+     */
+    lineItemCatalogKeys: {
+        machine: 'machines',
+        waterCooler: 'waterCoolers',
+        accessory: 'accessories',
+        otherAccessory: 'otherAccessories'
+    },
+    
+    /**
+     * 获取依赖的模块
+     * 浏览器中取页面已加载的模块，Node 中按文件加载
+     * @param {string} name - 模块在 window 上的名称
+     * @param {string} file - 模块文件名（不含扩展名）
+     * @returns {Object|null} 模块，不可用时返回 null
+     */
+    getModule(name, file) {
+        if (typeof window !== 'undefined') {
+            return window[name] || null;
+        }
+        return typeof require === 'function' ? require(`./${file}`) : null;
+    },
+    
+    /**
+     * 格式化报价金额，用于明细行名称、折扣和运费的计算依据
+     * 报价中的金额均为CNY，格式与页面和报价单中的金额相同
+     * @param {number} amount - CNY金额
+     * @returns {string} 格式化后的金额
+     */
+    formatAmount(amount) {
+        return this.getModule('utils', 'utils').formatPrice(amount, 'CNY');
+    },
+    
+    /**
+     * 获取国家默认的客户货币
+     * @param {string} country - 国家代码
+     * @returns {string} 货币代码
+     */
+    getCountryCurrency(country) {
+        return this.countryCurrencies[country] || this.countryCurrencies.other;
+    },
+    
+    /**
+     * 补全报价中缺少的字段
+     * 机器明细行按 appModule.createMachineLine 的默认值补全，没有ID的明细行按序号生成ID
+     * 没有客户货币时与页面相同，使用国家默认的客户货币
+     * @param {Object} quote - 报价状态
+     * @returns {Object} 补全后的报价状态，不修改传入的报价
+     */
+    normalizeQuote(quote) {
+        const store = this.getModule('quoteStore', 'store');
+        const normalized = store ? store.createState(quote) : Object.assign({}, quote);
+        if (!quote.currency) {
+            normalized.currency = this.getCountryCurrency(normalized.country);
+        }
+        
+        normalized.machineLines = (normalized.machineLines || []).map((line, index) => ({
+            id: line.id || `line-${index + 1}`,
+            machineId: line.machineId || null,
+            quantity: line.quantity || 1,
+            waterCoolerId: line.waterCoolerId || null,
+            accessoryIds: line.accessoryIds || [],
+            otherAccessoryIds: line.otherAccessoryIds || [],
+            accessoryQuantities: line.accessoryQuantities || {}
+        }));
+        normalized.feeLines = normalized.feeLines || [];
+        normalized.lineDiscounts = normalized.lineDiscounts || {};
+        normalized.shippingOverrides = normalized.shippingOverrides || {};
+        normalized.exchangeRates = normalized.exchangeRates || {};
+        return normalized;
+    },
+    
+    /**
+     * 补全产品目录中缺少的分类
+     * @param {Object} catalog - 产品目录
+     * @returns {Object} 补全后的产品目录，缺少的分类为空数组，不修改传入的产品目录
+     */
+    normalizeCatalog(catalog) {
+        const normalized = Object.assign({}, catalog);
+        Object.values(this.lineItemCatalogKeys).forEach(key => {
+            normalized[key] = Array.isArray(normalized[key]) ? normalized[key] : [];
+        });
+        return normalized;
+    },
+    
+    /**
+     * 获取价格来源名称
+     * @param {string} source - 价格来源ID
+     * @returns {string} 价格来源名称
+     */
+    getPriceSourceName(source) {
+        const priceSource = this.priceSources.find(item => item.id === source);
+        return priceSource ? priceSource.name : source;
+    },
+    
+    /**
+     * 获取贸易术语，未知的贸易术语按 CFR 处理
+     * @param {string} id - 贸易术语ID
+     * @returns {Object} 贸易术语
+     */
+    getIncoterm(id) {
+        return this.incoterms.find(item => item.id === id) || this.incoterms.find(item => item.id === 'CFR');
+    },
+    
+    /**
+     * 获取贸易术语不包含的费用项目名称
+     * @param {string} id - 贸易术语ID
+     * @returns {Array} 费用项目名称
+     */
+    getExcludedComponentNames(id) {
+        const incoterm = this.getIncoterm(id);
+        return this.incotermComponents
+            .filter(component => !incoterm.components.includes(component.key))
+            .map(component => component.name);
+    },
+    
+    /**
+     * 获取机器在价格来源下的价格阶梯
+     * 兼容旧数据中不区分来源的阶梯数组
+     * @param {Object} machine - 机器数据
+     * @param {string} priceSource - 价格来源ID
+     * @returns {Array} 价格阶梯数组
+     */
+    getPriceTiers(machine, priceSource) {
+        if (!machine || !machine.priceTiers) {
+            return [];
+        }
+        
+        if (Array.isArray(machine.priceTiers)) {
+            return machine.priceTiers;
+        }
+        
+        return machine.priceTiers[priceSource] || machine.priceTiers.tier1 || [];
+    },
+    
+    /**
+     * 获取机器在价格来源下适用的价格阶梯
+     * @param {Object} machine - 机器数据
+     * @param {number} quantity - 数量
+     * @param {string} priceSource - 价格来源ID
+     * @returns {Object|null} 价格阶梯，没有价格阶梯时返回 null
+     */
+    getMachinePriceTier(machine, quantity, priceSource) {
+        const priceTiers = this.getPriceTiers(machine, priceSource);
+        if (priceTiers.length === 0) {
+            return null;
+        }
+        
+        return priceTiers.find(tier =>
+            quantity >= tier.min && (tier.max === null || quantity <= tier.max)
+        ) || priceTiers[0];
+    },
+    
+    /**
+     * 获取水冷机或配件在价格来源下的单价
+     * 兼容旧数据中不区分来源的数值价格
+     * @param {Object} item - 水冷机或配件数据
+     * @param {string} priceSource - 价格来源ID
+     * @returns {number} 单价
+     */
+    getItemPrice(item, priceSource) {
+        if (!item || item.price === undefined || item.price === null) {
+            return 0;
+        }
+        
+        if (typeof item.price === 'number') {
+            return item.price;
+        }
+        
+        const price = item.price[priceSource];
+        return typeof price === 'number' ? price : (item.price.tier1 || 0);
+    },
+    
+    /**
+     * 获取配件数量
+     * 手动修改过的数量优先，否则每台配件与该行机器数量相同，每单配件为一件
+     * @param {Object} accessory - 配件数据
+     * @param {Object} line - 机器明细行 { quantity, accessoryQuantities }
+     * @returns {number} 配件数量
+     */
+    getAccessoryQuantity(accessory, line) {
+        if (!accessory) {
+            return 1;
+        }
+        
+        const quantities = line.accessoryQuantities || {};
+        if (quantities[accessory.id]) {
+            return quantities[accessory.id];
+        }
+        
+        return accessory.scaling === 'perMachine' ? line.quantity : 1;
+    },
+    
+    /**
+     * 获取机器明细行用于取价格阶梯的数量
+     * 按系列合计时，同一系列所有行的数量相加
+     * @param {Object} quote - 报价状态
+     * @param {Object} catalog - 产品目录
+     * @param {Object} line - 机器明细行
+     * @param {Object} machine - 该行的机器
+     * @returns {number} 取阶梯的数量
+     */
+    getTierQuantity(quote, catalog, line, machine) {
+        if (quote.tierMode !== 'series') {
+            return line.quantity;
+        }
+        
+        return quote.machineLines.reduce((sum, other) => {
+            const otherMachine = catalog.machines.find(item => item.id === other.machineId);
+            return otherMachine && otherMachine.series === machine.series ? sum + other.quantity : sum;
+        }, 0);
+    },
+    
+    /**
+     * 汇总所有机器明细行的台数和包装数据
+     * @param {Object} quote - 报价状态
+     * @param {Object} catalog - 产品目录
+     * @returns {Object} 汇总 { machines, cbm, volumeWeight, actualWeight }
+     */
+    getPackingSummary(quote, catalog) {
+        return quote.machineLines.reduce((summary, line) => {
+            const machine = catalog.machines.find(item => item.id === line.machineId);
+            if (machine) {
+                summary.machines += line.quantity;
+                summary.cbm += (machine.cbm || 0) * line.quantity;
+                summary.volumeWeight += (machine.volumeWeight || 0) * line.quantity;
+                summary.actualWeight += (machine.actualWeight || 0) * line.quantity;
+            }
+            return summary;
+        }, { machines: 0, cbm: 0, volumeWeight: 0, actualWeight: 0 });
+    },
+    
+    /**
+     * 机器达到整柜数量时计算集装箱装箱方案
+     * @param {Object} quote - 报价状态
+     * @param {Object} catalog - 产品目录
+     * @param {Object} summary - 整单包装汇总
+     * @returns {Object|null} 装箱方案，见 containerLoad.plan，数量不足整柜时返回 null
+     */
+    getContainerPlan(quote, catalog, summary) {
+        const containerLoad = this.getModule('containerLoad', 'container');
+        if (!containerLoad || summary.machines < containerLoad.minQuantity) {
+            return null;
+        }
+        
+        const items = [];
+        quote.machineLines.forEach(line => {
+            const machine = catalog.machines.find(item => item.id === line.machineId);
+            if (machine) {
+                items.push({
+                    name: `${machine.series} ${machine.model} ${machine.power}`,
+                    count: line.quantity,
+                    length: machine.packingSize.length,
+                    width: machine.packingSize.width,
+                    height: machine.packingSize.height,
+                    weight: machine.actualWeight,
+                    stackLimit: machine.stackLimit
+                });
+            }
+        });
+        return containerLoad.plan(items, quote.country);
+    },
+    
+    /**
+     * 根据整单包装数据估算运费
+     * @param {Object} quote - 报价状态
+     * @param {Object} summary - 整单包装汇总
+     * @param {Object|null} containerPlan - 整柜装箱方案
+     * @returns {Object|null} 估算结果，见 shipping.estimate，运费模块不可用时返回 null
+     */
+    estimateShipping(quote, summary, containerPlan) {
+        const shipping = this.getModule('shipping', 'shipping');
+        if (!shipping) {
+            return null;
+        }
+        
+        return shipping.estimate({
+            method: quote.shippingMethod,
+            country: quote.country,
+            zipCode: quote.zipCode,
+            cbm: summary.cbm,
+            volumeWeight: summary.volumeWeight,
+            actualWeight: summary.actualWeight,
+            containerPlan
+        }, (amount) => this.formatAmount(amount));
+    },
+    
+    /**
+     * 获取报价使用的运费
+     * 手动修改过的运费使用报价中的值，否则使用估算值
+     * @param {Object} quote - 报价状态
+     * @param {Object|null} estimate - 运费估算结果
+     * @returns {Object} 运费 { internationalShipping, domesticShipping }
+     */
+    getShippingFees(quote, estimate) {
+        const fees = {};
+        ['internationalShipping', 'domesticShipping'].forEach(key => {
+            const overridden = quote.shippingOverrides && quote.shippingOverrides[key];
+            fees[key] = estimate && !overridden ? estimate[key] : quote[key];
+        });
+        return fees;
+    },
+    
+    /**
+     * 获取货物明细行的键，用于保存明细行折扣
+     * @param {Object} line - 机器明细行
+     * @param {string} category - 分类
+     * @param {string} sku - 产品ID
+     * @returns {string} 键
+     */
+    getLineItemKey(line, category, sku) {
+        return `${line.id}:${category}:${sku}`;
+    },
+    
+    /**
+     * 创建报价明细行
+     * @param {string} category - 分类：machine, waterCooler, accessory, otherAccessory, fee, tax, discount
+     * @param {string} sku - 产品ID，费用行为费用键名，税费行为税率规则ID，整单折扣行为 orderDiscount
+     * @param {string} name - 名称
+     * @param {number} quantity - 数量
+     * @param {number} unitPrice - 单价
+     * @param {string} tier - 适用的价格来源和数量阶梯，费用行为空
+     * @returns {Object} 报价明细行
+     */
+    createLineItem(category, sku, name, quantity, unitPrice, tier) {
+        return {
+            sku,
+            name,
+            category,
+            quantity,
+            unitPrice,
+            tier,
+            amount: unitPrice * quantity
+        };
+    },
+    
+    /**
+     * 根据所有机器明细行生成报价明细行
+     * 每台机器后紧跟它的水冷机和配件，然后是整单折扣，费用行在最后，金额为零的费用不生成明细行
+     * 货物明细行带有键 key，有折扣的明细行带有 discount { type, value, reason, amount }，金额为折扣后的金额
+     * 运费直接取报价中的值，需要按估算运费计算时使用 calculate
+     * @param {Object} quote - 报价状态
+     * @param {Object} catalog - 产品目录
+     * @param {Object} options - 选项 { taxRules }，taxRules 默认为税费模块的默认规则
+     * @returns {Array} 报价明细行数组
+     */
+    buildLineItems(quote, catalog, options = {}) {
+        quote = this.normalizeQuote(quote);
+        catalog = this.normalizeCatalog(catalog);
+        const discountModule = this.getModule('discount', 'discount');
+        const feesModule = this.getModule('fees', 'fees');
+        const taxModule = this.getModule('tax', 'tax');
+        const shipping = this.getModule('shipping', 'shipping');
+        const lineItems = [];
+        const sourceName = this.getPriceSourceName(quote.priceSource);
+        
+        // 加入货物明细行，并按明细行折扣减少金额
+        const pushGoods = (line, item) => {
+            item.key = this.getLineItemKey(line, item.category, item.sku);
+            const discount = quote.lineDiscounts[item.key];
+            const discountAmount = discount && discountModule ? discountModule.calculateAmount(discount, item.amount) : 0;
+            if (discountAmount > 0) {
+                item.discount = Object.assign({}, discount, { amount: discountAmount });
+                item.amount -= discountAmount;
+            }
+            lineItems.push(item);
+        };
+        
+        quote.machineLines.forEach(line => {
+            // 机器
+            const machine = catalog.machines.find(item => item.id === line.machineId);
+            if (machine) {
+                const tierQuantity = this.getTierQuantity(quote, catalog, line, machine);
+                const tier = this.getMachinePriceTier(machine, tierQuantity, quote.priceSource);
+                const range = tier ? (tier.max === null ? `${tier.min}+` : `${tier.min}-${tier.max}`) : '';
+                let tierLabel = range ? `${sourceName} ${range}` : sourceName;
+                if (quote.tierMode === 'series') {
+                    tierLabel += `（${machine.series}合计${tierQuantity}台）`;
+                }
+                
+                pushGoods(line, this.createLineItem(
+                    'machine',
+                    machine.id,
+                    `${machine.series} ${machine.model} ${machine.power}`,
+                    line.quantity,
+                    tier ? tier.price : 0,
+                    tierLabel
+                ));
+            }
+            
+            // 水冷机，数量与该行机器相同
+            const waterCooler = catalog.waterCoolers.find(wc => wc.id === line.waterCoolerId);
+            if (waterCooler) {
+                pushGoods(line, this.createLineItem('waterCooler', waterCooler.id, waterCooler.name, line.quantity, this.getItemPrice(waterCooler, quote.priceSource), sourceName));
+            }
+            
+            // 配件和其他配件，数量按每台/每单计算或使用手动修改的数量
+            line.accessoryIds.forEach(accessoryId => {
+                const accessory = catalog.accessories.find(acc => acc.id === accessoryId);
+                if (accessory) {
+                    pushGoods(line, this.createLineItem('accessory', accessory.id, accessory.name, this.getAccessoryQuantity(accessory, line), this.getItemPrice(accessory, quote.priceSource), sourceName));
+                }
+            });
+            
+            line.otherAccessoryIds.forEach(accessoryId => {
+                const accessory = catalog.otherAccessories.find(acc => acc.id === accessoryId);
+                if (accessory) {
+                    pushGoods(line, this.createLineItem('otherAccessory', accessory.id, accessory.name, this.getAccessoryQuantity(accessory, line), this.getItemPrice(accessory, quote.priceSource), sourceName));
+                }
+            });
+        });
+        
+        // 整单折扣：按明细行折扣后的货物金额计算
+        const discountedGoodsTotal = lineItems.reduce((sum, item) => sum + item.amount, 0);
+        const orderDiscountAmount = quote.orderDiscount && discountModule
+            ? discountModule.calculateAmount(quote.orderDiscount, discountedGoodsTotal)
+            : 0;
+        if (orderDiscountAmount > 0) {
+            const item = this.createLineItem('discount', 'orderDiscount', `整单折扣（${discountModule.describe(quote.orderDiscount, (amount) => this.formatAmount(amount))}）`, 1, -orderDiscountAmount, '');
+            item.reason = quote.orderDiscount.reason;
+            lineItems.push(item);
+        }
+        
+        // 费用：按贸易术语加入包含的费用项目，运费名称注明运输方式
+        // 保险费和目的国关税由报价金额计算，不读取费用字段
+        const incoterm = this.getIncoterm(quote.incoterm);
+        const methodName = shipping ? shipping.getMethodName(quote.shippingMethod) : '';
+        const goodsTotal = discountedGoodsTotal - orderDiscountAmount;
+        const orderDiscountFactor = discountedGoodsTotal > 0 ? goodsTotal / discountedGoodsTotal : 1;
+        const feeAmounts = {};
+        this.incotermComponents.forEach(component => {
+            const calculated = component.key === 'insurance' || component.key === 'destinationDuties';
+            if (!calculated && incoterm.components.includes(component.key)) {
+                feeAmounts[component.key] = quote[component.key];
+            }
+        });
+        
+        // 保险费 = CIF货值 × 费率，CIF货值 = CFR货值 / (1 - 费率)
+        if (incoterm.components.includes('insurance') && quote.insuranceRate > 0 && quote.insuranceRate < 100) {
+            const cfrValue = goodsTotal
+                + (feeAmounts.domesticShipping || 0)
+                + (feeAmounts.exportClearance || 0)
+                + (feeAmounts.internationalShipping || 0);
+            const rate = quote.insuranceRate / 100;
+            feeAmounts.insurance = Math.round(cfrValue / (1 - rate) * rate * 100) / 100;
+        }
+        
+        const feeNames = {
+            internationalShipping: methodName ? `国际运费（${methodName}）` : '国际运费',
+            insurance: `保险费（CIF货值 × ${quote.insuranceRate}%）`
+        };
+        this.incotermComponents.forEach(component => {
+            if (feeAmounts[component.key]) {
+                lineItems.push(this.createLineItem('fee', component.key, feeNames[component.key] || component.name, 1, feeAmounts[component.key], ''));
+            }
+        });
+        
+        // 附加费用不受贸易术语影响，名称注明计算依据
+        let additionalFees = 0;
+        if (feesModule) {
+            const basis = this.getFeeBasis(quote, catalog, goodsTotal);
+            quote.feeLines.forEach(fee => {
+                const amount = feesModule.calculate(fee, basis);
+                if (amount) {
+                    const description = feesModule.describe(fee, basis, (amount) => this.formatAmount(amount));
+                    lineItems.push(this.createLineItem('fee', fee.id, description ? `${fee.name}（${description}）` : fee.name, 1, amount, ''));
+                    additionalFees += amount;
+                }
+            });
+        }
+        
+        // 税费：进口环节的税费只在贸易术语包含目的国关税时计入
+        if (taxModule) {
+            const taxes = taxModule.calculate({
+                rules: options.taxRules || taxModule.defaultRules,
+                country: quote.country,
+                mode: quote.taxMode,
+                includeImport: incoterm.components.includes('destinationDuties'),
+                // 整单折扣按金额比例分摊到每项货物
+                goods: lineItems
+                    .filter(item => item.category !== 'fee' && item.category !== 'discount')
+                    .map(item => ({ amount: item.amount * orderDiscountFactor, hsCode: this.getHsCode(item, catalog) })),
+                cifFees: ['domesticShipping', 'exportClearance', 'internationalShipping', 'insurance']
+                    .reduce((sum, key) => sum + (feeAmounts[key] || 0), 0),
+                otherFees: (feeAmounts.localDelivery || 0) + additionalFees
+            });
+            
+            taxes.lines.forEach(line => {
+                const item = this.createLineItem('tax', line.rule.id, `${line.rule.name}（${line.rule.rate}%）`, 1, line.amount, '');
+                item.included = taxes.included;
+                lineItems.push(item);
+            });
+        }
+        
+        return lineItems;
+    },
+    
+    /**
+     * 获取附加费用的计费基数
+     * @param {Object} quote - 报价状态
+     * @param {Object} catalog - 产品目录
+     * @param {number} goodsTotal - 折扣后的货物金额
+     * @returns {Object} 计费基数 { machines, cbm, goodsTotal }
+     */
+    getFeeBasis(quote, catalog, goodsTotal) {
+        const packingSummary = this.getPackingSummary(quote, catalog);
+        return { machines: packingSummary.machines, cbm: packingSummary.cbm, goodsTotal };
+    },
+    
+    /**
+     * 获取报价明细行的HS编码，用于匹配税率规则
+     * 机器取产品目录中的 hsCode，未设置时使用默认HS编码；其他货物没有HS编码
+     * @param {Object} item - 报价明细行
+     * @param {Object} catalog - 产品目录
+     * @returns {string} HS编码
+     */
+    getHsCode(item, catalog) {
+        if (item.category !== 'machine') {
+            return '';
+        }
+        
+        const taxModule = this.getModule('tax', 'tax');
+        const machine = catalog.machines.find(m => m.id === item.sku);
+        return (machine && machine.hsCode) || (taxModule ? taxModule.defaultHsCode : '');
+    },
+    
+    /**
+     * 计算报价明细行的合计
+     * 货物小计为明细行折扣后的金额，整单折扣单独合计（负数）
+     * 含税价模式下的税费行已包含在报价金额中，不重复计入
+     * @param {Array} lineItems - 报价明细行
+     * @returns {Object} 合计 { goodsTotal, discountTotal, feesTotal, taxTotal, total }
+     */
+    getLineItemTotals(lineItems) {
+        const sum = (items) => items.reduce((total, item) => total + item.amount, 0);
+        const goodsTotal = sum(lineItems.filter(item => !['fee', 'tax', 'discount'].includes(item.category)));
+        const discountTotal = sum(lineItems.filter(item => item.category === 'discount'));
+        const feesTotal = sum(lineItems.filter(item => item.category === 'fee'));
+        const taxTotal = sum(lineItems.filter(item => item.category === 'tax' && !item.included));
+        
+        return { goodsTotal, discountTotal, feesTotal, taxTotal, total: goodsTotal + discountTotal + feesTotal + taxTotal };
+    },
+    
+    /**
+     * 获取报价明细行对应产品的单位成本价
+     * @param {Object} item - 报价明细行
+     * @param {Object} catalog - 产品目录
+     * @returns {number|null} 成本价，费用行或未设置成本价时返回 null
+     */
+    getLineItemCost(item, catalog) {
+        const catalogKey = this.lineItemCatalogKeys[item.category];
+        const product = catalogKey ? (catalog[catalogKey] || []).find(entry => entry.id === item.sku) : null;
+        return product && typeof product.cost === 'number' ? product.cost : null;
+    },
+    
+    /**
+     * 计算报价的成本和毛利
+     * 只统计设置了成本价的货物，费用和税费不计入毛利，整单折扣按金额比例分摊到每项货物
+     * @param {Array} lineItems - 报价明细行
+     * @param {Object} catalog - 产品目录
+     * @returns {Object} 毛利 { lines, revenue, cost, margin, percent, missing }，lines 与报价明细行一一对应，不计毛利的行为 null
+     */
+    getMarginSummary(lineItems, catalog) {
+        const summary = { lines: [], revenue: 0, cost: 0, margin: 0, percent: null, missing: 0 };
+        const { goodsTotal, discountTotal } = this.getLineItemTotals(lineItems);
+        const discountFactor = goodsTotal > 0 ? (goodsTotal + discountTotal) / goodsTotal : 1;
+        
+        lineItems.forEach(item => {
+            if (!this.lineItemCatalogKeys[item.category]) {
+                summary.lines.push(null);
+                return;
+            }
+            
+            const unitCost = this.getLineItemCost(item, catalog);
+            if (unitCost === null) {
+                summary.missing++;
+                summary.lines.push({ cost: null, margin: null, percent: null });
+                return;
+            }
+            
+            const revenue = item.amount * discountFactor;
+            const cost = unitCost * item.quantity;
+            const margin = revenue - cost;
+            summary.revenue += revenue;
+            summary.cost += cost;
+            summary.lines.push({ cost, margin, percent: revenue > 0 ? margin / revenue * 100 : null });
+        });
+        
+        summary.margin = summary.revenue - summary.cost;
+        summary.percent = summary.revenue > 0 ? summary.margin / summary.revenue * 100 : null;
+        return summary;
+    },
+    
+    /**
+     * 获取货币的汇率
+     * @param {string} code - 货币代码
+     * @param {Object} rates - 报价的汇率，未设置的货币使用货币注册表中的默认汇率
+     * @returns {number} 1单位货币兑换的CNY
+     */
+    getExchangeRate(code, rates = {}) {
+        if (code === 'CNY') {
+            return 1;
+        }
+        
+        const utils = this.getModule('utils', 'utils');
+        const currency = utils ? utils.getCurrency(code) : null;
+        return rates[code] || (currency ? currency.rate : 1);
+    },
+    
+    /**
+     * 获取扣除汇率缓冲后的汇率
+     * @param {string} code - 货币代码
+     * @param {Object} rates - 报价的汇率
+     * @param {number} fxBuffer - 汇率缓冲（%）
+     * @returns {number} 换算使用的汇率
+     */
+    getEffectiveExchangeRate(code, rates, fxBuffer) {
+        const rate = this.getExchangeRate(code, rates);
+        return code === 'CNY' ? rate : rate * (1 - (fxBuffer || 0) / 100);
+    },
+    
+    /**
+     * 将CNY金额换算为客户货币，汇率按汇率缓冲下调
+     * @param {number} amount - CNY金额
+     * @param {string} code - 货币代码
+     * @param {Object} rates - 报价的汇率
+     * @param {number} fxBuffer - 汇率缓冲（%）
+     * @returns {number} 客户货币金额
+     */
+    convertFromCny(amount, code, rates, fxBuffer) {
+        return amount / this.getEffectiveExchangeRate(code, rates, fxBuffer);
+    },
+    
+    /**
+     * 计算报价的价格明细
+     * 先按整单包装数据估算运费，再生成报价明细行并汇总
+     * @param {Object} quote - 报价状态
+     * @param {Object} catalog - 产品目录
+     * @param {Object} options - 选项 { taxRules, approvalThreshold }，默认使用税费模块的默认规则和折扣模块的审批阈值
+     * @returns {Object} 价格明细 { lineItems, goodsTotal, discountTotal, feesTotal, taxTotal, total, currency, exchangeRate,
+     *   customerTotal, packingSummary, containerPlan, shippingEstimate, shippingFees, discountSummary, margin }，
+     *   金额为CNY，customerTotal 为客户货币金额，exchangeRate 为扣除汇率缓冲后的汇率
+     */
+    calculate(quote, catalog, options = {}) {
+        quote = this.normalizeQuote(quote);
+        catalog = this.normalizeCatalog(catalog);
+        const discountModule = this.getModule('discount', 'discount');
+        
+        // 未手动修改的运费使用估算值
+        const packingSummary = this.getPackingSummary(quote, catalog);
+        const containerPlan = this.getContainerPlan(quote, catalog, packingSummary);
+        const shippingEstimate = this.estimateShipping(quote, packingSummary, containerPlan);
+        const shippingFees = this.getShippingFees(quote, shippingEstimate);
+        
+        const lineItems = this.buildLineItems(Object.assign({}, quote, shippingFees), catalog, options);
+        const totals = this.getLineItemTotals(lineItems);
+        
+        return Object.assign({ lineItems }, totals, {
+            currency: quote.currency,
+            exchangeRate: this.getEffectiveExchangeRate(quote.currency, quote.exchangeRates, quote.fxBuffer),
+            customerTotal: this.convertFromCny(totals.total, quote.currency, quote.exchangeRates, quote.fxBuffer),
+            packingSummary,
+            containerPlan,
+            shippingEstimate,
+            shippingFees,
+            discountSummary: discountModule ? discountModule.summarize(lineItems, options.approvalThreshold) : null,
+            margin: this.getMarginSummary(lineItems, catalog)
+        });
+    }
+};
+
+/**
+ * 导出报价计价模块
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = pricingModule;
+} else if (typeof window !== 'undefined') {
+    window.pricing = pricingModule;
+}
@@ -0,0 +1,334 @@
+/**
+ * print.js - 报价单打印模块
+ * 
+ * 功能：
+ * - 根据报价数据生成正式的报价单文档
+ * - 报价单包含公司抬头、报价单号、日期、有效期、客户信息、贸易术语及指定港口、明细表、折扣、运费、税费和CNY和客户货币合计
+ * - 折扣率超过审批阈值的报价标注需经理审批
+ * - 通过浏览器打印（可另存为PDF）输出单页报价单
+ * - 支持打印当前报价和已保存的历史记录
+ * 
+ * 主要函数：
+ * - init：绑定打印按钮和历史记录打印事件
+ * - printCurrentQuote：打印当前报价
+ * - printHistory：打印历史记录中保存的报价，使用保存时的报价明细行
+ * - buildDocumentData：根据报价状态和报价明细行生成报价单数据
+ * - render：生成报价单HTML
+ */
+
+/**
+ * 报价单打印模块
+ */
+const printModule = {
+    /**
+     * 公司信息
+     */
+    company: {
+        name: 'KH Laser',
+        subtitle: '激光设备报价单 / QUOTATION'
+    },
+    
+    /**
+     * 报价有效期（天）
+     */
+    validityDays: 30,
+    
+    /**
+     * 初始化打印模块
+     */
+    init() {
+        // 打印当前报价
+        const printQuoteBtn = document.getElementById('printQuoteBtn');
+        if (printQuoteBtn) {
+            printQuoteBtn.addEventListener('click', () => {
+                this.printCurrentQuote();
+            });
+        }
+        
+        // 打印历史记录
+        if (window.ui && window.ui.module) {
+            window.ui.module.onHistoryPrint = (id) => {
+                this.printHistory(id);
+            };
+        }
+    },
+    
+    /**
+     * 打印当前报价
+     * 当前报价与最近保存的历史记录一致时，使用该记录的报价单号和客户信息
+     */
+    printCurrentQuote() {
+        const app = window.app;
+        if (!app.hasMachine()) {
+            this.notify('请先选择机器再打印报价', 'warning');
+            return;
+        }
+        
+        if (app.isMarginBlocked()) {
+            return;
+        }
+        
+        const savedItem = !app.hasUnsavedChanges()
+            ? app.history.find(item => item.id === app.lastSavedHistoryId)
+            : null;
+        if (savedItem) {
+            this.printHistory(savedItem.id);
+            return;
+        }
+        
+        const now = new Date();
+        this.print(this.buildDocumentData(app.getQuoteState(), app.buildLineItems(), {
+            quoteNumber: this.generateQuoteNumber(now),
+            date: now
+        }));
+    },
+    
+    /**
+     * 打印历史记录中保存的报价
+     * @param {string} id - 历史记录ID
+     */
+    printHistory(id) {
+        const historyItem = window.app.history.find(item => item.id === id);
+        if (!historyItem) {
+            return;
+        }
+        
+        // 旧版本的历史记录没有保存报价状态
+        if (!historyItem.quote || !historyItem.lineItems) {
+            this.notify('该历史记录为旧格式，无法打印', 'warning');
+            return;
+        }
+        
+        const date = historyItem.createdAt ? new Date(historyItem.createdAt) : new Date();
+        this.print(this.buildDocumentData(historyItem.quote, historyItem.lineItems, {
+            quoteNumber: historyItem.reference || this.generateQuoteNumber(date, historyItem.id),
+            date,
+            customerName: historyItem.customerName,
+            needsApproval: historyItem.needsApproval
+        }));
+    },
+    
+    /**
+     * 生成报价单号
+     * @param {Date} date - 报价日期
+     * @param {string} suffix - 可选的后缀来源，默认取时分
+     * @returns {string} 报价单号，例如 QT-20260101-1530
+     */
+    generateQuoteNumber(date, suffix) {
+        const pad = (value) => String(value).padStart(2, '0');
+        const datePart = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+        const suffixPart = suffix
+            ? suffix.slice(-4).toUpperCase()
+            : `${pad(date.getHours())}${pad(date.getMinutes())}`;
+        return `QT-${datePart}-${suffixPart}`;
+    },
+    
+    /**
+     * 根据报价状态和报价明细行生成报价单数据
+     * @param {Object} state - 报价状态
+     * @param {Array} lineItems - 报价明细行
+     * @param {Object} meta - 报价单信息 { quoteNumber, date, customerName, needsApproval }，未指定 needsApproval 时按当前的审批阈值判断
+     * @returns {Object} 报价单数据
+     */
+    buildDocumentData(state, lineItems, meta) {
+        const lines = lineItems.filter(item => !['fee', 'tax', 'discount'].includes(item.category));
+        const discountLines = lineItems.filter(item => item.category === 'discount');
+        const discountSummary = window.app.getDiscountSummary(lineItems);
+        const feeLines = lineItems.filter(item => item.category === 'fee');
+        const taxLines = lineItems.filter(item => item.category === 'tax');
+        const { goodsTotal, total } = window.app.getLineItemTotals(lineItems);
+        const validUntil = new Date(meta.date.getTime());
+        validUntil.setDate(validUntil.getDate() + this.validityDays);
+        
+        // 旧版本的报价没有贸易术语，按 CFR 处理
+        const incoterm = window.app.getIncoterm(state.incoterm);
+        
+        // 使用报价保存时锁定的汇率，旧版本的报价按美元报价
+        const currency = state.currency || 'USD';
+        const exchangeRates = window.app.getStateExchangeRates(state);
+        
+        return {
+            quoteNumber: meta.quoteNumber,
+            date: meta.date,
+            validUntil,
+            customerName: meta.customerName || '',
+            needsApproval: meta.needsApproval !== undefined ? !!meta.needsApproval : !!(discountSummary && discountSummary.needsApproval),
+            country: this.getCountryName(state.country),
+            zipCode: state.zipCode || '',
+            priceSourceName: window.app.getPriceSourceName(state.priceSource),
+            incoterm: incoterm.id,
+            placeLabel: incoterm.placeLabel,
+            namedPlace: state.namedPlace || '',
+            excludedComponents: window.app.getExcludedComponentNames(incoterm.id),
+            currency,
+            exchangeRate: window.app.getExchangeRate(currency, exchangeRates),
+            exchangeRateDate: (state.exchangeRateDates || {})[currency] || '',
+            fxBuffer: state.fxBuffer || 0,
+            lines,
+            discountLines,
+            feeLines,
+            taxLines,
+            taxModeName: window.tax ? window.tax.getModeName(state.taxMode || 'exclusive') : '',
+            goodsTotal,
+            total,
+            customerTotal: window.app.convertFromCny(total, currency, exchangeRates, state.fxBuffer || 0)
+        };
+    },
+    
+    /**
+     * 获取国家名称
+     * @param {string} country - 国家代码
+     * @returns {string} 国家名称
+     */
+    getCountryName(country) {
+        const option = document.querySelector(`#country option[value="${country}"]`);
+        return option ? option.textContent : (country || '');
+    },
+    
+    /**
+     * 生成报价单HTML
+     * @param {Object} data - 报价单数据
+     * @returns {string} 报价单HTML
+     */
+    render(data) {
+        const escape = window.utils.escapeHtml;
+        const formatPrice = window.utils.formatPrice;
+        const formatDate = (date) => date.toLocaleDateString('zh-CN', { year: 'numeric', month: '2-digit', day: '2-digit' });
+        
+        const itemRows = data.lines.map((line, index) => `
+            <tr>
+                <td>${index + 1}</td>
+                <td>${escape(line.name)}${line.discount ? `<div class="print-line-discount">折扣 ${escape(window.discount.describe(line.discount, formatPrice))} -${formatPrice(line.discount.amount)}</div>` : ''}</td>
+                <td class="print-number">${line.quantity}</td>
+                <td class="print-number">${formatPrice(line.unitPrice)}</td>
+                <td class="print-number">${formatPrice(line.amount)}</td>
+            </tr>
+        `).join('');
+        
+        const discountRows = data.discountLines.map(line => `
+            <tr>
+                <td colspan="4">${escape(line.name)}</td>
+                <td class="print-number">-${formatPrice(-line.amount)}</td>
+            </tr>
+        `).join('');
+        
+        const feeRows = data.feeLines.map(line => `
+            <tr>
+                <td colspan="4">${escape(line.name)}</td>
+                <td class="print-number">${formatPrice(line.amount)}</td>
+            </tr>
+        `).join('');
+        
+        // 含税价的税费已包含在报价金额中，只列出不计入合计
+        const taxRows = data.taxLines.map(line => `
+            <tr>
+                <td colspan="4">${line.included ? '其中含' : ''}${escape(line.name)}</td>
+                <td class="print-number">${formatPrice(line.amount)}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <div class="print-header">
+                <div>
+                    <div class="print-company">${escape(this.company.name)}</div>
+                    <div class="print-subtitle">${escape(this.company.subtitle)}</div>
+                </div>
+                <table class="print-meta">
+                    <tr><th>报价单号</th><td>${escape(data.quoteNumber)}</td></tr>
+                    <tr><th>报价日期</th><td>${formatDate(data.date)}</td></tr>
+                    <tr><th>有效期至</th><td>${formatDate(data.validUntil)}</td></tr>
+                    ${data.needsApproval ? '<tr class="print-approval"><th>审批</th><td>需经理审批</td></tr>' : ''}
+                </table>
+            </div>
+            
+            <table class="print-customer">
+                <tr>
+                    <th>客户</th><td>${escape(data.customerName) || '-'}</td>
+                    <th>国家</th><td>${escape(data.country) || '-'}</td>
+                    <th>邮编</th><td>${escape(data.zipCode) || '-'}</td>
+                </tr>
+                <tr>
+                    <th>贸易术语</th><td>${escape(data.incoterm)}</td>
+                    <th>${escape(data.placeLabel)}</th><td colspan="3">${escape(data.namedPlace) || '-'}</td>
+                </tr>
+            </table>
+            
+            <table class="print-items">
+                <thead>
+                    <tr>
+                        <th>序号</th>
+                        <th>项目</th>
+                        <th class="print-number">数量</th>
+                        <th class="print-number">单价 (CNY)</th>
+                        <th class="print-number">金额 (CNY)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${itemRows}
+                </tbody>
+                <tfoot>
+                    <tr class="print-subtotal">
+                        <td colspan="4">货物小计</td>
+                        <td class="print-number">${formatPrice(data.goodsTotal)}</td>
+                    </tr>
+                    ${discountRows}
+                    ${feeRows}
+                    ${taxRows}
+                    <tr class="print-total">
+                        <td colspan="4">合计 (CNY)</td>
+                        <td class="print-number">${formatPrice(data.total)}</td>
+                    </tr>
+                    ${data.currency !== 'CNY' ? `
+                        <tr class="print-total">
+                            <td colspan="4">合计 (${escape(data.currency)})</td>
+                            <td class="print-number">${formatPrice(data.customerTotal, data.currency)}</td>
+                        </tr>
+                    ` : ''}
+                </tfoot>
+            </table>
+            
+            <div class="print-notes">
+                <div>${data.currency !== 'CNY' ? `汇率：1 ${escape(data.currency)} = ${data.exchangeRate} CNY${data.exchangeRateDate ? `（${escape(data.exchangeRateDate)}）` : ''}${data.fxBuffer > 0 ? `，含汇率缓冲 ${data.fxBuffer}%` : ''}；` : ''}价格来源：${escape(data.priceSourceName)}${data.taxModeName ? `；计价模式：${escape(data.taxModeName)}` : ''}</div>
+                <div>价格条款：${escape(data.incoterm)}${data.namedPlace ? ` ${escape(data.namedPlace)}` : ''}${data.excludedComponents.length > 0 ? `，不含${escape(data.excludedComponents.join('、'))}` : ''}</div>
+                <div>本报价自报价日期起 ${this.validityDays} 天内有效。</div>
+            </div>
+        `;
+    },
+    
+    /**
+     * 渲染报价单并调用浏览器打印
+     * @param {Object} data - 报价单数据
+     */
+    print(data) {
+        let container = document.getElementById('printDocument');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'printDocument';
+            container.className = 'print-document';
+            document.body.appendChild(container);
+        }
+        
+        container.innerHTML = this.render(data);
+        window.print();
+    },
+    
+    /**
+     * 显示通知
+     * @param {string} message - 通知消息
+     * @param {string} type - 通知类型
+     */
+    notify(message, type) {
+        if (window.ui && window.ui.notification) {
+            window.ui.notification.show(message, type);
+        }
+    }
+};
+
+/**
+ * 导出报价单打印模块
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = printModule;
+} else if (typeof window !== 'undefined') {
+    window.quotePrint = printModule;
+}
\ No newline at end of file
@@ -0,0 +1,215 @@
+/**
+ * rates.js - 汇率历史模块
+ * 
+ * 功能：
+ * - 维护按日期记录的汇率历史，每条记录为 { date, currency, rate, source }，rate 为1单位货币兑换的CNY
+ * - 解析财务部门发布的汇率文件（CSV/JSON），合并到汇率历史
+ * - 查询某个货币在指定日期或之前的最新汇率
+ * - 计算汇率的天数，用于提示汇率过期
+ * 
+ * 主要函数：
+ * - parseFile：解析CSV/JSON汇率文件
+ * - merge：将汇率记录合并到汇率历史
+ * - getLatest：获取货币的最新汇率记录
+ * - getAgeInDays：计算汇率日期距今的天数
+ * 
+ * 文件格式：
+ * - CSV：表头包含 date, currency, rate 列，例如“2026-10-01,USD,7.12”
+ * - JSON：记录数组 [{ date, currency, rate }]，或按日期发布的 { date, rates: { USD: 7.12, EUR: 7.80 } }，也可以是后者的数组
+ * 
+ * 本模块不访问页面元素，汇率历史由 appModule 保存到本地存储
+ */
+
+/**
+ * 汇率历史模块
+ */
+const ratesModule = {
+    /**
+     * 默认的汇率过期天数
+     */
+    defaultStaleDays: 7,
+    
+    /**
+     * 汇率历史最多保留的记录数
+     */
+    maxRecords: 1000,
+    
+    /**
+     * 格式化日期为 YYYY-MM-DD
+     * @param {Date} date - 日期
+     * @returns {string} 日期字符串
+     */
+    formatDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+    
+    /**
+     * 检查日期字符串是否为有效的 YYYY-MM-DD
+     * @param {string} value - 日期字符串
+     * @returns {boolean} 是否有效
+     */
+    isValidDate(value) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) {
+            return false;
+        }
+        
+        const date = new Date(`${value}T00:00:00`);
+        return !isNaN(date.getTime()) && this.formatDate(date) === value;
+    },
+    
+    /**
+     * 校验并规范化一条汇率记录
+     * @param {Object} record - 汇率记录 { date, currency, rate }
+     * @param {Array} currencies - 允许的货币代码
+     * @returns {Object} 结果 { record, error }
+     */
+    normalizeRecord(record, currencies) {
+        const date = String(record.date || '').trim();
+        const currency = String(record.currency || '').trim().toUpperCase();
+        const rate = typeof record.rate === 'number' ? record.rate : Number(String(record.rate || '').trim());
+        
+        if (!this.isValidDate(date)) {
+            return { record: null, error: `日期无效 ${date}` };
+        }
+        if (!currencies.includes(currency)) {
+            return { record: null, error: `未知的货币 ${currency}` };
+        }
+        if (!isFinite(rate) || rate <= 0) {
+            return { record: null, error: `${currency} 的汇率无效` };
+        }
+        
+        return { record: { date, currency, rate, source: record.source || 'import' }, error: null };
+    },
+    
+    /**
+     * 解析汇率文件
+     * @param {string} filename - 文件名，按扩展名判断格式
+     * @param {string} text - 文件内容
+     * @param {Array} currencies - 允许的货币代码（不含CNY）
+     * @returns {Object} 解析结果 { records, errors }
+     */
+    parseFile(filename, text, currencies) {
+        const rawRecords = [];
+        
+        if (/\.csv$/i.test(filename)) {
+            const rows = window.catalogIO.splitCSV(text);
+            if (rows.length < 2) {
+                return { records: [], errors: ['CSV文件中没有汇率数据'] };
+            }
+            
+            const header = rows[0].map(cell => cell.trim().toLowerCase());
+            const missingColumns = ['date', 'currency', 'rate'].filter(column => !header.includes(column));
+            if (missingColumns.length > 0) {
+                return { records: [], errors: [`CSV缺少必需的列：${missingColumns.join(', ')}`] };
+            }
+            
+            rows.slice(1).forEach(cells => {
+                const record = {};
+                header.forEach((column, index) => {
+                    record[column] = cells[index] || '';
+                });
+                rawRecords.push(record);
+            });
+        } else {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                return { records: [], errors: ['JSON格式错误'] };
+            }
+            
+            // 按日期发布的汇率展开为逐条记录
+            (Array.isArray(data) ? data : [data]).forEach(entry => {
+                if (entry && entry.rates && typeof entry.rates === 'object') {
+                    Object.keys(entry.rates).forEach(currency => {
+                        rawRecords.push({ date: entry.date, currency, rate: entry.rates[currency] });
+                    });
+                } else {
+                    rawRecords.push(entry || {});
+                }
+            });
+        }
+        
+        const records = [];
+        const errors = [];
+        rawRecords.forEach((rawRecord, index) => {
+            const { record, error } = this.normalizeRecord(rawRecord, currencies);
+            if (error) {
+                errors.push(`第 ${index + 1} 条：${error}`);
+            } else {
+                records.push(record);
+            }
+        });
+        
+        if (records.length === 0 && errors.length === 0) {
+            errors.push('文件中没有汇率数据');
+        }
+        
+        return { records, errors };
+    },
+    
+    /**
+     * 将汇率记录合并到汇率历史
+     * 同一日期同一货币的记录以新记录为准，结果按日期从新到旧排序
+     * @param {Array} history - 汇率历史
+     * @param {Array} records - 新的汇率记录
+     * @returns {Object} 合并结果 { history, added, updated }
+     */
+    merge(history, records) {
+        const merged = history.slice();
+        let added = 0;
+        let updated = 0;
+        
+        records.forEach(record => {
+            const index = merged.findIndex(item => item.date === record.date && item.currency === record.currency);
+            if (index < 0) {
+                merged.push(record);
+                added++;
+            } else if (merged[index].rate !== record.rate || merged[index].source !== record.source) {
+                merged[index] = record;
+                updated++;
+            }
+        });
+        
+        merged.sort((a, b) => b.date.localeCompare(a.date) || a.currency.localeCompare(b.currency));
+        return { history: merged.slice(0, this.maxRecords), added, updated };
+    },
+    
+    /**
+     * 获取货币在指定日期或之前的最新汇率记录
+     * @param {Array} history - 汇率历史
+     * @param {string} currency - 货币代码
+     * @param {string} date - 可选的日期 YYYY-MM-DD，默认不限
+     * @returns {Object|null} 汇率记录，没有记录时返回 null
+     */
+    getLatest(history, currency, date) {
+        return history
+            .filter(record => record.currency === currency && (!date || record.date <= date))
+            .reduce((latest, record) => (!latest || record.date > latest.date ? record : latest), null);
+    },
+    
+    /**
+     * 计算汇率日期距今的天数
+     * @param {string} date - 汇率日期 YYYY-MM-DD
+     * @param {Date} now - 当前时间，默认为现在
+     * @returns {number|null} 天数，日期无效时返回 null
+     */
+    getAgeInDays(date, now = new Date()) {
+        if (!this.isValidDate(date)) {
+            return null;
+        }
+        
+        const today = new Date(`${this.formatDate(now)}T00:00:00`);
+        return Math.round((today.getTime() - new Date(`${date}T00:00:00`).getTime()) / 86400000);
+    }
+};
+
+/**
+ * 导出汇率历史模块
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ratesModule;
+} else if (typeof window !== 'undefined') {
+    window.rates = ratesModule;
+}
@@ -0,0 +1,180 @@
+/**
+ * search.js - 配件搜索模块
+ * 
+ * 功能：
+ * - 按名称、产品ID和标签搜索配件，忽略大小写和空格
+ * - 中文名称支持全拼和首字母搜索，例如“kyj”或“kongyaji”可以找到“空压机”
+ * - 多音字的每个读音都能匹配，例如“cq”和“zq”都能找到“重庆”
+ * - 多个关键词用空格分隔，产品需要匹配所有关键词
+ * 
+ * 主要函数：
+ * - getReadings：获取单个汉字的全部读音
+ * - getPinyin：生成中文文本的全拼和首字母
+ * - matches：判断产品是否匹配搜索关键词
+ * 
+ * 说明：
+ * - 拼音来自 pinyin-table.js 的完整字表，浏览器中取页面已加载的 pinyinTable，Node 中按文件加载
+ * - 本模块不访问页面元素，搜索条件由 appModule 维护
+ */
+
+/**
+ * 配件搜索模块
+ */
+const searchModule = {
+    /**
+     * 汉字到读音的索引，首次使用时由拼音字表生成，常用读音在前
+     */
+    charIndex: null,
+    
+    /**
+     * 获取拼音字表
+     * 浏览器中取页面已加载的 pinyinTable，Node 中按文件加载
+     * @returns {Object|null} 拼音字表，不可用时返回 null
+     */
+    getTable() {
+        if (typeof window !== 'undefined') {
+            return window.pinyinTable || null;
+        }
+        return typeof require === 'function' ? require('./pinyin-table') : null;
+    },
+    
+    /**
+     * 规范化搜索文本：转为小写并去掉空白
+     * @param {string} text - 文本
+     * @returns {string} 规范化后的文本
+     */
+    normalize(text) {
+        return String(text || '').toLowerCase().replace(/\s+/g, '');
+    },
+    
+    /**
+     * 获取单个汉字的全部读音
+     * @param {string} char - 汉字
+     * @returns {Array} 读音数组，常用读音在前，字表中没有时为空数组
+     */
+    getReadings(char) {
+        if (!this.charIndex) {
+            this.charIndex = {};
+            const table = this.getTable();
+            if (table) {
+                [table.common, table.other].forEach(readings => {
+                    Object.keys(readings).forEach(pinyin => {
+                        Array.from(readings[pinyin]).forEach(item => {
+                            (this.charIndex[item] = this.charIndex[item] || []).push(pinyin);
+                        });
+                    });
+                });
+            }
+        }
+        
+        return this.charIndex[char] || [];
+    },
+    
+    /**
+     * 将文本拆成字符，每个字符有一种或多种拼写
+     * 汉字的拼写为全部读音或读音的首字母，以及汉字本身，其他字符和字表中没有的汉字为字符本身
+     * @param {string} text - 文本
+     * @param {boolean} initials - 是否使用读音的首字母
+     * @returns {Array} 每个字符的拼写数组
+     */
+    getSpellings(text, initials) {
+        return Array.from(this.normalize(text)).map(char => {
+            const readings = /[一-龥]/.test(char) ? this.getReadings(char) : [];
+            if (readings.length === 0) {
+                return [char];
+            }
+            const spellings = initials ? Array.from(new Set(readings.map(pinyin => pinyin.charAt(0)))) : readings.slice();
+            return spellings.concat(char);
+        });
+    },
+    
+    /**
+     * 生成文本的全拼和首字母，多音字取常用读音，非汉字原样保留
+     * @param {string} text - 文本
+     * @returns {Object} 拼音 { full, initials }
+     */
+    getPinyin(text) {
+        const full = this.getSpellings(text, false).map(spellings => spellings[0]).join('');
+        const initials = this.getSpellings(text, true).map(spellings => spellings[0]).join('');
+        return { full, initials };
+    },
+    
+    /**
+     * 判断关键词能否由连续字符的拼写组成
+     * 每个字符可选用任一种拼写，关键词可以从拼写的中间开始，也可以在拼写的中间结束
+     * @param {Array} spellings - 每个字符的拼写数组，见 getSpellings
+     * @param {string} term - 关键词
+     * @returns {boolean} 是否匹配
+     */
+    matchesSpellings(spellings, term) {
+        // 待继续匹配的位置：[下一个字符的序号, 已匹配的关键词长度]
+        const pending = [];
+        const visited = new Set();
+        const advance = (index, length) => {
+            const key = `${index}:${length}`;
+            if (index < spellings.length && !visited.has(key)) {
+                visited.add(key);
+                pending.push([index, length]);
+            }
+        };
+        
+        // 关键词的开头可以是任一字符拼写的后半部分
+        for (let index = 0; index < spellings.length; index++) {
+            for (const spelling of spellings[index]) {
+                for (let offset = 0; offset < spelling.length; offset++) {
+                    const piece = spelling.slice(offset);
+                    if (piece.startsWith(term)) {
+                        return true;
+                    }
+                    if (term.startsWith(piece)) {
+                        advance(index + 1, piece.length);
+                    }
+                }
+            }
+        }
+        
+        while (pending.length > 0) {
+            const [index, length] = pending.pop();
+            const rest = term.slice(length);
+            for (const spelling of spellings[index]) {
+                if (spelling.startsWith(rest)) {
+                    return true;
+                }
+                if (rest.startsWith(spelling)) {
+                    advance(index + 1, length + spelling.length);
+                }
+            }
+        }
+        return false;
+    },
+    
+    /**
+     * 判断产品是否匹配搜索关键词
+     * @param {Object} item - 产品数据 { id, name, tags }
+     * @param {string} query - 搜索关键词，多个关键词用空格分隔
+     * @returns {boolean} 是否匹配，关键词为空时匹配所有产品
+     */
+    matches(item, query) {
+        const terms = String(query || '').toLowerCase().split(/\s+/).filter(term => term);
+        if (terms.length === 0) {
+            return true;
+        }
+        
+        const texts = [item.name, item.id].concat(item.tags || []);
+        const candidates = [];
+        texts.forEach(text => {
+            candidates.push(this.getSpellings(text, false), this.getSpellings(text, true));
+        });
+        
+        return terms.every(term => candidates.some(spellings => this.matchesSpellings(spellings, term)));
+    }
+};
+
+/**
+ * 导出配件搜索模块
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = searchModule;
+} else if (typeof window !== 'undefined') {
+    window.search = searchModule;
+}
@@ -0,0 +1,1632 @@
+/**
+ * settings.js - 系统设置模块
+ * 
+ * 功能：
+ * - 提供系统设置模态框，编辑产品目录
+ * - 支持机器、水冷机、配件、其他配件的添加、编辑、删除和排序
+ * - 支持按价格来源编辑价格阶梯和单价
+ * - 支持恢复出厂产品目录
+ * - 支持产品目录的JSON/CSV导出和导入，导入前预览差异
+ * - 支持编辑各国家的税率规则
+ * - 支持编辑附加费用预设
+ * - 支持编辑机器与水冷机、配件的兼容规则
+ * - 支持导入汇率文件、查看汇率历史和设置汇率过期天数
+ * - 支持设置最低毛利率及低于最低毛利率时的处理方式，以及需经理审批的折扣率
+ * 
+ * 主要功能：
+ * - 打开设置时复制当前产品目录作为草稿，所有修改只作用于草稿
+ * - 税率规则同样编辑草稿，保存时通过 appModule.saveTaxRules 持久化
+ * - 费用预设同样编辑草稿，保存时通过 appModule.saveFeePresets 持久化
+ * - 汇率文件导入后立即合并到汇率历史，不需要点击保存
+ * - 兼容规则是产品目录的一部分，删除产品时一并删除引用该产品的规则
+ * - 点击保存后，产品目录有修改时才通过 appModule.saveCatalog 持久化并覆盖默认数据，当前报价只去掉已删除的产品
+ * - 点击取消或关闭模态框时丢弃草稿
+ */
+
+/**
+ * 系统设置模块
+ */
+const settingsModule = {
+    /**
+     * 产品目录分类，初始化时取自导入导出模块
+     */
+    categories: [],
+    
+    /**
+     * 产品目录草稿
+     */
+    draft: null,
+    
+    /**
+     * 当前编辑的产品，格式为 { category, index, item }，index 为 -1 表示新增
+     */
+    editing: null,
+    
+    /**
+     * 待确认导入的产品目录
+     */
+    pendingImport: null,
+    
+    /**
+     * 税率规则草稿
+     */
+    taxRulesDraft: null,
+    
+    /**
+     * 费用预设草稿
+     */
+    feePresetsDraft: null,
+    
+    /**
+     * 初始化设置模块
+     */
+    init() {
+        if (window.catalogIO) {
+            this.categories = window.catalogIO.categories;
+        }
+        
+        // 打开系统设置
+        const openSettingsBtn = document.getElementById('openSettings');
+        if (openSettingsBtn) {
+            openSettingsBtn.addEventListener('click', () => {
+                this.open();
+            });
+        }
+        
+        const modal = document.getElementById('settingsModal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                const actionElement = e.target.closest('[data-action]');
+                if (actionElement && modal.contains(actionElement)) {
+                    this.handleAction(actionElement);
+                }
+            });
+        }
+        
+        // 保存设置
+        const saveSettingsBtn = document.getElementById('saveSettingsBtn');
+        if (saveSettingsBtn) {
+            saveSettingsBtn.addEventListener('click', () => {
+                this.save();
+            });
+        }
+        
+        // 取消设置
+        const cancelSettingsBtn = document.getElementById('cancelSettingsBtn');
+        if (cancelSettingsBtn) {
+            cancelSettingsBtn.addEventListener('click', () => {
+                this.close();
+            });
+        }
+        
+        // 恢复出厂目录
+        const resetCatalogBtn = document.getElementById('resetCatalogBtn');
+        if (resetCatalogBtn) {
+            resetCatalogBtn.addEventListener('click', () => {
+                this.resetCatalog();
+            });
+        }
+        
+        // 导出产品目录
+        const exportCatalogJsonBtn = document.getElementById('exportCatalogJsonBtn');
+        if (exportCatalogJsonBtn) {
+            exportCatalogJsonBtn.addEventListener('click', () => {
+                this.exportCatalog('json');
+            });
+        }
+        
+        const exportCatalogCsvBtn = document.getElementById('exportCatalogCsvBtn');
+        if (exportCatalogCsvBtn) {
+            exportCatalogCsvBtn.addEventListener('click', () => {
+                this.exportCatalog('csv');
+            });
+        }
+        
+        // 导入汇率文件
+        const importRatesInput = document.getElementById('importRatesInput');
+        if (importRatesInput) {
+            importRatesInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.readRatesFile(file);
+                }
+                e.target.value = '';
+            });
+        }
+        
+        // 导入产品目录
+        const importCatalogInput = document.getElementById('importCatalogInput');
+        if (importCatalogInput) {
+            importCatalogInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.readImportFile(file);
+                }
+                e.target.value = '';
+            });
+        }
+    },
+    
+    /**
+     * 打开系统设置
+     */
+    open() {
+        if (!window.app || !window.app.catalog) {
+            return;
+        }
+        
+        this.draft = this.clone(window.app.catalog);
+        this.taxRulesDraft = this.clone(window.app.taxRules || []);
+        this.feePresetsDraft = this.clone(window.app.feePresets || []);
+        this.editing = null;
+        this.pendingImport = null;
+        this.renderAll();
+        this.renderTaxRules();
+        this.renderFeePresets();
+        this.renderCompatibilityRules();
+        this.renderRates(null);
+        this.renderMarginSettings();
+        this.renderImportPreview(null);
+        
+        if (window.ui && window.ui.module && window.ui.module.showModal) {
+            window.ui.module.showModal('settingsModal');
+        }
+    },
+    
+    /**
+     * 关闭系统设置并丢弃草稿
+     */
+    close() {
+        this.draft = null;
+        this.taxRulesDraft = null;
+        this.feePresetsDraft = null;
+        this.editing = null;
+        this.pendingImport = null;
+        
+        if (window.ui && window.ui.module && window.ui.module.hideModal) {
+            window.ui.module.hideModal('settingsModal');
+        }
+    },
+    
+    /**
+     * 保存产品目录草稿
+     */
+    save() {
+        if (!this.draft) {
+            return;
+        }
+        
+        // 先应用未确认的产品编辑
+        if (this.editing && !this.applyEditing()) {
+            return;
+        }
+        
+        const staleDaysInput = document.getElementById('rateStaleDaysInput');
+        const staleDays = staleDaysInput ? Number(staleDaysInput.value) : window.app.rateStaleDays;
+        if (!Number.isInteger(staleDays) || staleDays < 1) {
+            this.notify('汇率过期天数必须是大于0的整数', 'warning');
+            return;
+        }
+        
+        const marginSettings = this.readMarginSettings();
+        if (!marginSettings) {
+            this.notify('最低毛利率必须是0到100之间的数字', 'warning');
+            return;
+        }
+        
+        const approvalInput = document.getElementById('discountApprovalInput');
+        const approvalThreshold = approvalInput ? Number(approvalInput.value) : window.app.discountSettings.approvalThreshold;
+        if ((approvalInput && approvalInput.value.trim() === '') || !isFinite(approvalThreshold) || approvalThreshold < 0 || approvalThreshold > 100) {
+            this.notify('折扣审批阈值必须是0到100之间的数字', 'warning');
+            return;
+        }
+        
+        this.readTaxRulesForm();
+        const taxErrors = window.tax ? window.tax.validateRules(this.taxRulesDraft) : [];
+        if (taxErrors.length > 0) {
+            this.notify(`税率规则${taxErrors[0]}`, 'warning');
+            return;
+        }
+        
+        this.readFeePresetsForm();
+        const feeErrors = window.fees ? window.fees.validate(this.feePresetsDraft) : [];
+        if (feeErrors.length > 0) {
+            this.notify(`费用预设${feeErrors[0]}`, 'warning');
+            return;
+        }
+        
+        this.readCompatibilityRulesForm();
+        const ruleErrors = window.compatibility
+            ? window.compatibility.validate(this.draft.compatibilityRules || [], this.getCompatibilityItems().map(item => item.id))
+            : [];
+        if (ruleErrors.length > 0) {
+            this.notify(`兼容规则${ruleErrors[0]}`, 'warning');
+            return;
+        }
+        
+        window.app.setRateStaleDays(staleDays);
+        window.app.saveMarginSettings(marginSettings);
+        window.app.saveDiscountSettings({ approvalThreshold });
+        window.app.saveTaxRules(this.taxRulesDraft);
+        window.app.saveFeePresets(this.feePresetsDraft);
+        
+        // 产品目录没有修改时不重建选项，保留当前报价
+        const catalogChanged = JSON.stringify(this.draft) !== JSON.stringify(window.app.catalog);
+        if (catalogChanged) {
+            window.app.saveCatalog(this.draft);
+        }
+        this.close();
+        this.notify(catalogChanged ? '产品目录已保存' : '设置已保存', 'success');
+    },
+    
+    /**
+     * 恢复出厂产品目录
+     */
+    resetCatalog() {
+        if (!confirm('确定要恢复出厂产品目录吗？所有自定义的产品和价格都将丢失。')) {
+            return;
+        }
+        
+        window.app.resetCatalog();
+        this.close();
+        this.notify('已恢复出厂产品目录', 'success');
+    },
+    
+    /**
+     * 处理设置面板中的操作按钮
+     * @param {HTMLElement} element - 带有 data-action 属性的元素
+     */
+    handleAction(element) {
+        const action = element.getAttribute('data-action');
+        const category = element.getAttribute('data-category');
+        const index = parseInt(element.getAttribute('data-index'));
+        
+        switch (action) {
+            case 'add':
+                this.startEditing(category, -1);
+                break;
+            case 'edit':
+                this.startEditing(category, index);
+                break;
+            case 'delete':
+                this.deleteItem(category, index);
+                break;
+            case 'move-up':
+                this.moveItem(category, index, -1);
+                break;
+            case 'move-down':
+                this.moveItem(category, index, 1);
+                break;
+            case 'add-tier':
+                this.readEditorForm();
+                this.addTier(element.getAttribute('data-source'));
+                break;
+            case 'remove-tier':
+                this.readEditorForm();
+                this.removeTier(element.getAttribute('data-source'), parseInt(element.getAttribute('data-tier-index')));
+                break;
+            case 'apply-item':
+                this.applyEditing();
+                break;
+            case 'cancel-item':
+                this.editing = null;
+                this.renderCategory(category);
+                break;
+            case 'confirm-import':
+                this.confirmImport();
+                break;
+            case 'cancel-import':
+                this.pendingImport = null;
+                this.renderImportPreview(null);
+                break;
+            case 'add-tax-rule':
+                this.readTaxRulesForm();
+                this.addTaxRule();
+                break;
+            case 'remove-tax-rule':
+                this.readTaxRulesForm();
+                this.taxRulesDraft.splice(index, 1);
+                this.renderTaxRules();
+                break;
+            case 'reset-tax-rules':
+                this.taxRulesDraft = window.app.getDefaultTaxRules();
+                this.renderTaxRules();
+                break;
+            case 'add-fee-preset':
+                this.readFeePresetsForm();
+                this.addFeePreset();
+                break;
+            case 'remove-fee-preset':
+                this.readFeePresetsForm();
+                this.feePresetsDraft.splice(index, 1);
+                this.renderFeePresets();
+                break;
+            case 'reset-fee-presets':
+                this.feePresetsDraft = window.app.getDefaultFeePresets();
+                this.renderFeePresets();
+                break;
+            case 'add-compatibility-rule':
+                this.readCompatibilityRulesForm();
+                this.addCompatibilityRule();
+                break;
+            case 'remove-compatibility-rule':
+                this.readCompatibilityRulesForm();
+                this.draft.compatibilityRules.splice(index, 1);
+                this.renderCompatibilityRules();
+                break;
+            case 'reset-compatibility-rules':
+                this.draft.compatibilityRules = this.clone(window.app.defaultCompatibilityRules);
+                this.renderCompatibilityRules();
+                break;
+        }
+    },
+    
+    /**
+     * 开始编辑产品
+     * @param {string} category - 分类键名
+     * @param {number} index - 产品索引，-1 表示新增
+     */
+    startEditing(category, index) {
+        const previousCategory = this.editing ? this.editing.category : null;
+        const categoryInfo = this.getCategory(category);
+        const item = index >= 0
+            ? this.normalizeItem(this.clone(this.draft[category][index]), categoryInfo.type)
+            : this.createEmptyItem(categoryInfo.type);
+        
+        // 未设置数量计算方式的配件按每单计算
+        if (categoryInfo.scalable && !item.scaling) {
+            item.scaling = 'perOrder';
+        }
+        
+        this.editing = { category, index, item };
+        
+        if (previousCategory && previousCategory !== category) {
+            this.renderCategory(previousCategory);
+        }
+        this.renderCategory(category);
+    },
+    
+    /**
+     * 创建空白产品
+     * @param {string} type - 产品类型：machine, item
+     * @returns {Object} 空白产品
+     */
+    createEmptyItem(type) {
+        const sources = this.getPriceSources();
+        
+        if (type === 'machine') {
+            const priceTiers = {};
+            sources.forEach(source => {
+                priceTiers[source.id] = [{ min: 1, max: null, price: 0 }];
+            });
+            
+            return {
+                id: '',
+                series: '',
+                model: '',
+                power: '',
+                priceTiers,
+                packingSize: { length: 0, width: 0, height: 0 },
+                cbm: 0,
+                volumeWeight: 0,
+                actualWeight: 0
+            };
+        }
+        
+        const price = {};
+        sources.forEach(source => {
+            price[source.id] = 0;
+        });
+        
+        return { id: '', name: '', price };
+    },
+    
+    /**
+     * 将旧数据中不区分价格来源的价格转换为按来源维护的价格
+     * @param {Object} item - 产品数据
+     * @param {string} type - 产品类型：machine, item
+     * @returns {Object} 转换后的产品数据
+     */
+    normalizeItem(item, type) {
+        const sources = this.getPriceSources();
+        
+        if (type === 'machine') {
+            if (Array.isArray(item.priceTiers) || !item.priceTiers) {
+                const tiers = item.priceTiers || [{ min: 1, max: null, price: 0 }];
+                item.priceTiers = {};
+                sources.forEach(source => {
+                    item.priceTiers[source.id] = this.clone(tiers);
+                });
+            }
+            item.packingSize = item.packingSize || { length: 0, width: 0, height: 0 };
+        } else if (typeof item.price !== 'object' || item.price === null) {
+            const price = typeof item.price === 'number' ? item.price : 0;
+            item.price = {};
+            sources.forEach(source => {
+                item.price[source.id] = price;
+            });
+        }
+        
+        return item;
+    },
+    
+    /**
+     * 删除产品
+     * @param {string} category - 分类键名
+     * @param {number} index - 产品索引
+     */
+    deleteItem(category, index) {
+        const item = this.draft[category][index];
+        if (!item || !confirm(`确定要删除 ${this.getItemLabel(item)} 吗？`)) {
+            return;
+        }
+        
+        this.draft[category].splice(index, 1);
+        
+        if (this.editing && this.editing.category === category) {
+            this.editing = null;
+        }
+        this.renderCategory(category);
+        
+        // 删除引用该产品的兼容规则
+        if (category !== 'machines' && this.draft.compatibilityRules) {
+            this.readCompatibilityRulesForm();
+            this.draft.compatibilityRules = this.draft.compatibilityRules.filter(rule => rule.itemId !== item.id);
+            this.renderCompatibilityRules();
+        }
+    },
+    
+    /**
+     * 移动产品顺序
+     * @param {string} category - 分类键名
+     * @param {number} index - 产品索引
+     * @param {number} offset - 移动方向：-1 上移，1 下移
+     */
+    moveItem(category, index, offset) {
+        const items = this.draft[category];
+        const target = index + offset;
+        if (target < 0 || target >= items.length) {
+            return;
+        }
+        
+        [items[index], items[target]] = [items[target], items[index]];
+        
+        // 编辑中的产品跟随移动
+        if (this.editing && this.editing.category === category) {
+            if (this.editing.index === index) {
+                this.editing.index = target;
+            } else if (this.editing.index === target) {
+                this.editing.index = index;
+            }
+        }
+        this.renderCategory(category);
+    },
+    
+    /**
+     * 添加价格阶梯
+     * @param {string} source - 价格来源ID
+     */
+    addTier(source) {
+        const priceTiers = this.editing.item.priceTiers;
+        const tiers = priceTiers[source] || (priceTiers[source] = []);
+        const lastTier = tiers[tiers.length - 1];
+        
+        // 新阶梯接在最后一个阶梯之后，不限上限的阶梯先收口
+        if (lastTier && lastTier.max === null) {
+            lastTier.max = lastTier.min;
+        }
+        const min = lastTier ? lastTier.max + 1 : 1;
+        
+        tiers.push({ min, max: null, price: lastTier ? lastTier.price : 0 });
+        this.renderCategory(this.editing.category);
+    },
+    
+    /**
+     * 删除价格阶梯
+     * @param {string} source - 价格来源ID
+     * @param {number} tierIndex - 阶梯索引
+     */
+    removeTier(source, tierIndex) {
+        const tiers = this.editing.item.priceTiers[source];
+        if (!tiers || tiers.length <= 1) {
+            this.notify('每个价格来源至少需要一个价格阶梯', 'warning');
+            return;
+        }
+        
+        tiers.splice(tierIndex, 1);
+        this.renderCategory(this.editing.category);
+    },
+    
+    /**
+     * 从编辑表单读取数据到当前编辑的产品
+     */
+    readEditorForm() {
+        if (!this.editing) {
+            return;
+        }
+        
+        const form = document.getElementById('catalogEditorForm');
+        if (!form) {
+            return;
+        }
+        
+        const parseNumber = window.utils && window.utils.parseNumber
+            ? window.utils.parseNumber
+            : (value, defaultValue = 0) => (isNaN(parseFloat(value)) ? defaultValue : parseFloat(value));
+        const item = this.editing.item;
+        
+        form.querySelectorAll('[data-field]').forEach(input => {
+            const field = input.getAttribute('data-field');
+            const value = input.value.trim();
+            
+            switch (field) {
+                case 'id':
+                case 'name':
+                case 'series':
+                case 'model':
+                case 'power':
+                case 'scaling':
+                    item[field] = value;
+                    break;
+                case 'length':
+                case 'width':
+                case 'height':
+                    item.packingSize[field] = parseNumber(value);
+                    break;
+                case 'cbm':
+                case 'volumeWeight':
+                case 'actualWeight':
+                    item[field] = value === '' ? null : parseNumber(value);
+                    break;
+                case 'stackLimit':
+                    // 留空表示使用装箱计算的默认堆叠层数
+                    if (value === '') {
+                        delete item.stackLimit;
+                    } else {
+                        item.stackLimit = parseInt(value);
+                    }
+                    break;
+                case 'hsCode':
+                    // 留空表示使用税费计算的默认HS编码
+                    if (value === '') {
+                        delete item.hsCode;
+                    } else {
+                        item.hsCode = value;
+                    }
+                    break;
+                case 'tags':
+                    // 标签用于配件搜索筛选，中英文逗号均可分隔
+                    item.tags = value.split(/[,，]/).map(tag => tag.trim()).filter(tag => tag);
+                    if (item.tags.length === 0) {
+                        delete item.tags;
+                    }
+                    break;
+                case 'cost':
+                    // 成本价只用于内部视图计算毛利，留空表示未设置
+                    if (value === '') {
+                        delete item.cost;
+                    } else {
+                        item.cost = parseNumber(value, null);
+                    }
+                    break;
+                case 'price':
+                    item.price[input.getAttribute('data-source')] = value === '' ? null : parseNumber(value, null);
+                    break;
+                case 'tier': {
+                    const tier = item.priceTiers[input.getAttribute('data-source')][parseInt(input.getAttribute('data-tier-index'))];
+                    const tierField = input.getAttribute('data-tier-field');
+                    if (tierField === 'max') {
+                        tier.max = value === '' ? null : parseInt(value);
+                    } else if (tierField === 'min') {
+                        tier.min = parseInt(value);
+                    } else {
+                        tier.price = value === '' ? null : parseNumber(value, null);
+                    }
+                    break;
+                }
+            }
+        });
+        
+        // 未填写的CBM和体积重按打包尺寸计算
+        if (this.getCategory(this.editing.category).type === 'machine' && window.utils) {
+            const { length, width, height } = item.packingSize;
+            if (item.cbm === null && window.utils.calculateCBM) {
+                item.cbm = window.utils.calculateCBM(length, width, height);
+            }
+            if (item.volumeWeight === null && window.utils.calculateVolumeWeight) {
+                item.volumeWeight = window.utils.calculateVolumeWeight(length, width, height);
+            }
+            if (item.actualWeight === null) {
+                item.actualWeight = 0;
+            }
+        }
+    },
+    
+    /**
+     * 校验当前编辑的产品
+     * @returns {string|null} 错误信息，校验通过返回 null
+     */
+    validateEditing() {
+        const { category, index, item } = this.editing;
+        const type = this.getCategory(category).type;
+        
+        if (!item.id) {
+            return '请填写产品ID';
+        }
+        
+        // ID 同时用作页面元素ID，因此在整个目录中必须唯一
+        const duplicated = this.categories.some(categoryInfo =>
+            this.draft[categoryInfo.key].some((other, otherIndex) =>
+                other.id === item.id && !(categoryInfo.key === category && otherIndex === index)
+            )
+        );
+        if (duplicated) {
+            return `产品ID ${item.id} 已存在`;
+        }
+        
+        if (item.cost !== undefined && !(item.cost >= 0)) {
+            return '成本价必须是不小于0的数字';
+        }
+        
+        if (type === 'machine') {
+            if (!item.series || !item.model || !item.power) {
+                return '请填写系列、型号和功率';
+            }
+            
+            if (item.stackLimit !== undefined && !(item.stackLimit >= 1)) {
+                return '最大堆叠层数必须是大于0的整数';
+            }
+            
+            for (const source of this.getPriceSources()) {
+                const errors = window.catalogIO.validateTiers(item.priceTiers[source.id]);
+                if (errors.length > 0) {
+                    return `${source.name}：${errors[0]}`;
+                }
+            }
+        } else {
+            if (!item.name) {
+                return '请填写产品名称';
+            }
+            
+            for (const source of this.getPriceSources()) {
+                const price = item.price[source.id];
+                if (typeof price !== 'number' || price < 0) {
+                    return `${source.name}的价格无效`;
+                }
+            }
+        }
+        
+        return null;
+    },
+    
+    /**
+     * 应用当前编辑的产品到草稿
+     * @returns {boolean} 是否应用成功
+     */
+    applyEditing() {
+        this.readEditorForm();
+        
+        const error = this.validateEditing();
+        if (error) {
+            this.notify(error, 'warning');
+            return false;
+        }
+        
+        const { category, index, item } = this.editing;
+        const previousId = index >= 0 ? this.draft[category][index].id : null;
+        if (index >= 0) {
+            this.draft[category][index] = item;
+        } else {
+            this.draft[category].push(item);
+        }
+        
+        this.editing = null;
+        this.renderCategory(category);
+        
+        // 兼容规则跟随产品ID的修改，并显示新增的产品
+        if (category !== 'machines' && this.draft.compatibilityRules) {
+            this.readCompatibilityRulesForm();
+            this.draft.compatibilityRules.forEach(rule => {
+                if (previousId && rule.itemId === previousId) {
+                    rule.itemId = item.id;
+                }
+            });
+            this.renderCompatibilityRules();
+        }
+        return true;
+    },
+    
+    /**
+     * 导出产品目录
+     * 导出的是已保存的产品目录，不包含设置面板中未保存的修改
+     * @param {string} type - 文件类型：json, csv
+     */
+    exportCatalog(type) {
+        const catalog = window.app.catalog;
+        const sources = this.getPriceSources();
+        const date = new Date().toISOString().slice(0, 10);
+        
+        if (type === 'csv') {
+            // 添加BOM，便于Excel正确识别中文
+            window.utils.downloadFile('\uFEFF' + window.catalogIO.toCSV(catalog, sources), `kh-laser-catalog-${date}.csv`, 'text/csv');
+        } else {
+            window.utils.downloadFile(window.catalogIO.toJSON(catalog, sources), `kh-laser-catalog-${date}.json`, 'application/json');
+        }
+    },
+    
+    /**
+     * 读取导入文件并生成预览
+     * @param {File} file - 导入文件
+     */
+    readImportFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            this.previewImport(file.name, String(reader.result));
+        };
+        reader.onerror = () => {
+            this.notify('读取文件失败', 'danger');
+        };
+        reader.readAsText(file);
+    },
+    
+    /**
+     * 读取汇率文件并导入到汇率历史
+     * @param {File} file - 汇率文件
+     */
+    readRatesFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            this.importRates(file.name, String(reader.result));
+        };
+        reader.onerror = () => {
+            this.notify('读取文件失败', 'danger');
+        };
+        reader.readAsText(file);
+    },
+    
+    /**
+     * 导入汇率文件内容
+     * @param {string} filename - 文件名
+     * @param {string} text - 文件内容
+     */
+    importRates(filename, text) {
+        const result = window.app.importRates(filename, text);
+        this.renderRates(Object.assign({ filename }, result));
+        
+        if (result.errors.length === 0) {
+            this.notify(`汇率已导入：新增 ${result.added} 条，更新 ${result.updated} 条`, 'success');
+        }
+    },
+    
+    /**
+     * 渲染最低毛利率和折扣审批设置
+     */
+    renderMarginSettings() {
+        const settings = window.app.marginSettings;
+        
+        const approvalInput = document.getElementById('discountApprovalInput');
+        if (approvalInput) {
+            approvalInput.value = window.app.discountSettings.approvalThreshold;
+        }
+        
+        const floorInput = document.getElementById('marginFloorInput');
+        if (floorInput) {
+            floorInput.value = settings.floor;
+        }
+        
+        const modeSelect = document.getElementById('marginModeSelect');
+        if (modeSelect) {
+            modeSelect.innerHTML = window.app.marginFloorModes.map(mode => `
+                <option value="${mode.id}" ${settings.mode === mode.id ? 'selected' : ''}>${mode.name}</option>
+            `).join('');
+        }
+    },
+    
+    /**
+     * 读取最低毛利率设置
+     * @returns {Object|null} 设置 { floor, mode }，最低毛利率无效时返回 null
+     */
+    readMarginSettings() {
+        const floorInput = document.getElementById('marginFloorInput');
+        const modeSelect = document.getElementById('marginModeSelect');
+        const floor = floorInput ? Number(floorInput.value) : window.app.marginSettings.floor;
+        if ((floorInput && floorInput.value.trim() === '') || !isFinite(floor) || floor < 0 || floor > 100) {
+            return null;
+        }
+        
+        return { floor, mode: modeSelect && modeSelect.value ? modeSelect.value : window.app.marginSettings.mode };
+    },
+    
+    /**
+     * 渲染汇率设置、导入结果和汇率历史
+     * @param {Object|null} importResult - 导入结果 { filename, errors, added, updated }
+     */
+    renderRates(importResult) {
+        const escape = this.escape;
+        
+        const staleDaysInput = document.getElementById('rateStaleDaysInput');
+        if (staleDaysInput && !importResult) {
+            staleDaysInput.value = window.app.rateStaleDays;
+        }
+        
+        const resultContainer = document.getElementById('rateImportResult');
+        if (resultContainer) {
+            if (importResult && importResult.errors.length > 0) {
+                const maxErrors = 20;
+                const errorItems = importResult.errors.slice(0, maxErrors).map(error => `<li>${escape(error)}</li>`).join('');
+                const moreErrors = importResult.errors.length > maxErrors ? `<li>还有 ${importResult.errors.length - maxErrors} 个错误</li>` : '';
+                resultContainer.innerHTML = `
+                    <div class="error-message">
+                        <div>${escape(importResult.filename)} 校验失败，共 ${importResult.errors.length} 个错误：</div>
+                        <ul class="import-error-list">${errorItems}${moreErrors}</ul>
+                    </div>
+                `;
+            } else {
+                resultContainer.innerHTML = '';
+            }
+        }
+        
+        const historyContainer = document.getElementById('rateHistoryList');
+        if (historyContainer) {
+            const maxRows = 50;
+            const history = window.app.rateHistory;
+            const sourceNames = { import: '导入', manual: '手动' };
+            const rows = history.slice(0, maxRows).map(record => `
+                <tr>
+                    <td>${escape(record.date)}</td>
+                    <td>${escape(record.currency)}</td>
+                    <td>${escape(record.rate)}</td>
+                    <td>${escape(sourceNames[record.source] || record.source)}</td>
+                </tr>
+            `).join('');
+            
+            historyContainer.innerHTML = `
+                <div class="settings-section-title">汇率历史（${history.length}）</div>
+                <div class="product-list-table">
+                    <table class="compact-table">
+                        <thead>
+                            <tr>
+                                <th>日期</th>
+                                <th>货币</th>
+                                <th>汇率 (CNY)</th>
+                                <th>来源</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows || '<tr><td colspan="4">暂无汇率历史，使用默认汇率</td></tr>'}
+                        </tbody>
+                    </table>
+                </div>
+                ${history.length > maxRows ? `<div class="settings-hint">只显示最近 ${maxRows} 条</div>` : ''}
+            `;
+        }
+    },
+    
+    /**
+     * 解析并校验导入内容，显示与当前目录的差异
+     * @param {string} filename - 文件名
+     * @param {string} text - 文件内容
+     */
+    previewImport(filename, text) {
+        const sources = this.getPriceSources();
+        const isCSV = /\.csv$/i.test(filename);
+        const result = isCSV
+            ? window.catalogIO.fromCSV(text, sources)
+            : window.catalogIO.fromJSON(text);
+        
+        let errors = result.errors;
+        if (errors.length === 0) {
+            errors = window.catalogIO.validateCatalog(result.catalog, sources);
+        }
+        
+        if (errors.length > 0) {
+            this.pendingImport = null;
+            this.renderImportPreview({ filename, errors });
+            return;
+        }
+        
+        this.pendingImport = result.catalog;
+        this.renderImportPreview({
+            filename,
+            errors: [],
+            diff: window.catalogIO.diffCatalog(window.app.catalog, result.catalog)
+        });
+    },
+    
+    /**
+     * 确认导入，替换文件中包含的分类
+     */
+    confirmImport() {
+        if (!this.pendingImport) {
+            return;
+        }
+        
+        const catalog = this.clone(window.app.catalog);
+        Object.keys(this.pendingImport).forEach(key => {
+            catalog[key] = this.pendingImport[key];
+        });
+        
+        window.app.saveCatalog(catalog);
+        this.close();
+        this.notify('产品目录已导入', 'success');
+    },
+    
+    /**
+     * 渲染导入预览
+     * @param {Object|null} preview - 预览数据 { filename, errors, diff }
+     */
+    renderImportPreview(preview) {
+        const container = document.getElementById('catalogImportPreview');
+        if (!container) {
+            return;
+        }
+        
+        if (!preview) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const escape = this.escape;
+        
+        if (preview.errors.length > 0) {
+            const maxErrors = 20;
+            const errorItems = preview.errors.slice(0, maxErrors).map(error => `<li>${escape(error)}</li>`).join('');
+            const moreErrors = preview.errors.length > maxErrors ? `<li>还有 ${preview.errors.length - maxErrors} 个错误</li>` : '';
+            
+            container.innerHTML = `
+                <div class="error-message">
+                    <div>${escape(preview.filename)} 校验失败，共 ${preview.errors.length} 个错误：</div>
+                    <ul class="import-error-list">${errorItems}${moreErrors}</ul>
+                </div>
+            `;
+            return;
+        }
+        
+        const hasChanges = preview.diff.some(group => group.added.length || group.changed.length || group.removed.length);
+        const groups = preview.diff.map(group => {
+            const lines = [
+                ...group.added.map(item => `<li class="import-diff-added">+ ${escape(item.id)} ${escape(this.getItemLabel(item))}</li>`),
+                ...group.changed.map(change => `<li class="import-diff-changed">~ ${escape(change.item.id)} ${escape(this.getItemLabel(change.item))}（${escape(change.fields.join(', '))}）</li>`),
+                ...group.removed.map(item => `<li class="import-diff-removed">- ${escape(item.id)} ${escape(this.getItemLabel(item))}</li>`)
+            ].join('');
+            
+            return `
+                <div class="import-stats">
+                    <div class="import-stats-item">
+                        <span class="import-stats-label">${group.name}</span>
+                        <span class="import-stats-value">新增 ${group.added.length} / 修改 ${group.changed.length} / 删除 ${group.removed.length}</span>
+                    </div>
+                    ${lines ? `<ul class="import-diff-list">${lines}</ul>` : ''}
+                </div>
+            `;
+        }).join('');
+        
+        container.innerHTML = `
+            <div class="settings-section-title">${escape(preview.filename)}</div>
+            ${groups}
+            ${hasChanges ? '' : '<div class="alert alert-success">导入内容与当前产品目录一致</div>'}
+            <div class="card-footer">
+                <button class="btn btn-secondary btn-sm" data-action="cancel-import">取消</button>
+                <button class="btn btn-primary btn-sm" data-action="confirm-import" ${hasChanges ? '' : 'disabled'}>确认导入</button>
+            </div>
+        `;
+    },
+    
+    /**
+     * 添加税率规则，生成不重复的规则ID
+     */
+    addTaxRule() {
+        let number = this.taxRulesDraft.length + 1;
+        while (this.taxRulesDraft.some(rule => rule.id === `rule-${number}`)) {
+            number++;
+        }
+        
+        this.taxRulesDraft.push({ id: `rule-${number}`, country: 'other', name: '', kind: 'vat', scope: 'import', hsCode: '', rate: 0 });
+        this.renderTaxRules();
+    },
+    
+    /**
+     * 从税率规则表格读取数据到草稿
+     */
+    readTaxRulesForm() {
+        const container = document.getElementById('taxRulesEditor');
+        if (!container || !this.taxRulesDraft) {
+            return;
+        }
+        
+        container.querySelectorAll('[data-tax-field]').forEach(input => {
+            const rule = this.taxRulesDraft[parseInt(input.getAttribute('data-index'))];
+            const field = input.getAttribute('data-tax-field');
+            const value = input.value.trim();
+            if (!rule) {
+                return;
+            }
+            
+            rule[field] = field === 'rate' ? (value === '' ? NaN : parseFloat(value)) : value;
+        });
+    },
+    
+    /**
+     * 渲染税率规则表格
+     */
+    renderTaxRules() {
+        const container = document.getElementById('taxRulesEditor');
+        if (!container || !this.taxRulesDraft || !window.tax) {
+            return;
+        }
+        
+        const escape = this.escape;
+        const options = (items, selected) => items.map(item => `
+            <option value="${escape(item.id)}" ${item.id === selected ? 'selected' : ''}>${escape(item.name)}</option>
+        `).join('');
+        const countries = Array.from(document.querySelectorAll('#country option')).map(option => ({
+            id: option.value,
+            name: option.textContent
+        }));
+        
+        const rows = this.taxRulesDraft.map((rule, index) => `
+            <tr>
+                <td><select data-tax-field="country" data-index="${index}">${options(countries, rule.country)}</select></td>
+                <td><input type="text" data-tax-field="name" data-index="${index}" value="${escape(rule.name)}"></td>
+                <td><select data-tax-field="kind" data-index="${index}">${options(window.tax.kinds, rule.kind)}</select></td>
+                <td><select data-tax-field="scope" data-index="${index}">${options(window.tax.scopes, rule.scope)}</select></td>
+                <td><input type="text" data-tax-field="hsCode" data-index="${index}" value="${escape(rule.hsCode)}" placeholder="全部货物"></td>
+                <td><input type="number" min="0" step="0.01" data-tax-field="rate" data-index="${index}" value="${escape(isNaN(rule.rate) ? '' : rule.rate)}"></td>
+                <td><button class="btn btn-danger btn-sm" data-action="remove-tax-rule" data-index="${index}" title="删除"><i class="fas fa-trash"></i></button></td>
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <div class="settings-section">
+                <div class="settings-section-header">
+                    <span class="settings-section-title">税率规则（${this.taxRulesDraft.length}）</span>
+                    <div class="template-actions">
+                        <button class="btn btn-secondary btn-sm" data-action="reset-tax-rules">
+                            <i class="fas fa-undo"></i>
+                            恢复默认税率
+                        </button>
+                        <button class="btn btn-primary btn-sm" data-action="add-tax-rule">
+                            <i class="fas fa-plus"></i>
+                            添加规则
+                        </button>
+                    </div>
+                </div>
+                <div class="product-list-table">
+                    <table class="compact-table">
+                        <thead>
+                            <tr>
+                                <th>国家</th>
+                                <th>名称</th>
+                                <th>税种</th>
+                                <th>征税环节</th>
+                                <th>HS编码</th>
+                                <th>税率 (%)</th>
+                                <th>操作</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows || '<tr><td colspan="7">暂无税率规则</td></tr>'}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="settings-hint">关税按CIF货值计算；进口增值税/消费税按CIF货值加关税计算；进口环节的税费只在 DDP 报价中计入。</div>
+            </div>
+        `;
+    },
+    
+    /**
+     * 获取兼容规则可以引用的产品：水冷机、配件和其他配件
+     * @returns {Array} 产品列表，每项为 { id, name, category }
+     */
+    getCompatibilityItems() {
+        return this.categories
+            .filter(category => category.key !== 'machines')
+            .reduce((items, category) => items.concat((this.draft[category.key] || []).map(item => ({
+                id: item.id,
+                name: item.name,
+                category: category.name
+            }))), []);
+    },
+    
+    /**
+     * 添加兼容规则，生成不重复的规则ID
+     */
+    addCompatibilityRule() {
+        const rules = this.draft.compatibilityRules || (this.draft.compatibilityRules = []);
+        let number = rules.length + 1;
+        while (rules.some(rule => rule.id === `compatibility-${number}`)) {
+            number++;
+        }
+        
+        rules.push({ id: `compatibility-${number}`, itemId: '', series: '', model: '', minPower: '', maxPower: '', level: 'recommended' });
+        this.renderCompatibilityRules();
+    },
+    
+    /**
+     * 从兼容规则表格读取数据到草稿
+     */
+    readCompatibilityRulesForm() {
+        const container = document.getElementById('compatibilityRulesEditor');
+        if (!container || !this.draft || !this.draft.compatibilityRules) {
+            return;
+        }
+        
+        container.querySelectorAll('[data-rule-field]').forEach(input => {
+            const rule = this.draft.compatibilityRules[parseInt(input.getAttribute('data-index'))];
+            if (rule) {
+                rule[input.getAttribute('data-rule-field')] = input.value.trim();
+            }
+        });
+    },
+    
+    /**
+     * 渲染兼容规则表格
+     */
+    renderCompatibilityRules() {
+        const container = document.getElementById('compatibilityRulesEditor');
+        if (!container || !this.draft || !window.compatibility) {
+            return;
+        }
+        
+        const escape = this.escape;
+        const rules = this.draft.compatibilityRules || [];
+        const options = (items, selected, emptyLabel) => `
+            <option value="">${emptyLabel}</option>
+            ${items.map(item => `
+                <option value="${escape(item.id)}" ${item.id === selected ? 'selected' : ''}>${escape(item.name)}</option>
+            `).join('')}
+        `;
+        const unique = (key) => Array.from(new Set(this.draft.machines.map(machine => machine[key])))
+            .map(value => ({ id: value, name: value }));
+        const products = this.getCompatibilityItems().map(item => ({ id: item.id, name: `${item.category} - ${item.name}` }));
+        const levelOptions = (selected) => window.compatibility.levels.map(level => `
+            <option value="${level.id}" ${level.id === selected ? 'selected' : ''}>${level.name}</option>
+        `).join('');
+        
+        const rows = rules.map((rule, index) => `
+            <tr>
+                <td><select data-rule-field="itemId" data-index="${index}">${options(products, rule.itemId, '请选择产品')}</select></td>
+                <td><select data-rule-field="series" data-index="${index}">${options(unique('series'), rule.series, '全部系列')}</select></td>
+                <td><select data-rule-field="model" data-index="${index}">${options(unique('model'), rule.model, '全部型号')}</select></td>
+                <td><input type="text" data-rule-field="minPower" data-index="${index}" value="${escape(rule.minPower)}" placeholder="不限"></td>
+                <td><input type="text" data-rule-field="maxPower" data-index="${index}" value="${escape(rule.maxPower)}" placeholder="不限"></td>
+                <td><select data-rule-field="level" data-index="${index}">${levelOptions(rule.level)}</select></td>
+                <td><button class="btn btn-danger btn-sm" data-action="remove-compatibility-rule" data-index="${index}" title="删除"><i class="fas fa-trash"></i></button></td>
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <div class="settings-section">
+                <div class="settings-section-header">
+                    <span class="settings-section-title">兼容规则（${rules.length}）</span>
+                    <div class="template-actions">
+                        <button class="btn btn-secondary btn-sm" data-action="reset-compatibility-rules">
+                            <i class="fas fa-undo"></i>
+                            恢复默认规则
+                        </button>
+                        <button class="btn btn-primary btn-sm" data-action="add-compatibility-rule">
+                            <i class="fas fa-plus"></i>
+                            添加规则
+                        </button>
+                    </div>
+                </div>
+                <div class="product-list-table">
+                    <table class="compact-table">
+                        <thead>
+                            <tr>
+                                <th>产品</th>
+                                <th>系列</th>
+                                <th>型号</th>
+                                <th>最小功率</th>
+                                <th>最大功率</th>
+                                <th>兼容级别</th>
+                                <th>操作</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows || '<tr><td colspan="7">暂无兼容规则</td></tr>'}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="settings-hint">功率包含边界，留空表示不限；同一产品有多条规则适用时取最严格的级别（不兼容 > 必需 > 推荐 > 可选）。选择机器时自动选择必需的产品，不兼容的产品不显示。</div>
+            </div>
+        `;
+    },
+    
+    /**
+     * 添加费用预设，生成不重复的预设ID
+     */
+    addFeePreset() {
+        let number = this.feePresetsDraft.length + 1;
+        while (this.feePresetsDraft.some(preset => preset.id === `fee-${number}`)) {
+            number++;
+        }
+        
+        this.feePresetsDraft.push({ id: `fee-${number}`, name: '', type: 'fixed', value: 0 });
+        this.renderFeePresets();
+    },
+    
+    /**
+     * 从费用预设表格读取数据到草稿
+     */
+    readFeePresetsForm() {
+        const container = document.getElementById('feePresetsEditor');
+        if (!container || !this.feePresetsDraft) {
+            return;
+        }
+        
+        container.querySelectorAll('[data-fee-field]').forEach(input => {
+            const preset = this.feePresetsDraft[parseInt(input.getAttribute('data-index'))];
+            const field = input.getAttribute('data-fee-field');
+            const value = input.value.trim();
+            if (!preset) {
+                return;
+            }
+            
+            preset[field] = field === 'value' ? (value === '' ? NaN : parseFloat(value)) : value;
+        });
+    },
+    
+    /**
+     * 渲染费用预设表格
+     */
+    renderFeePresets() {
+        const container = document.getElementById('feePresetsEditor');
+        if (!container || !this.feePresetsDraft || !window.fees) {
+            return;
+        }
+        
+        const escape = this.escape;
+        const typeOptions = (selected) => window.fees.types.map(type => `
+            <option value="${type.id}" ${type.id === selected ? 'selected' : ''}>${escape(type.name)}（${escape(type.unit)}）</option>
+        `).join('');
+        
+        const rows = this.feePresetsDraft.map((preset, index) => `
+            <tr>
+                <td><input type="text" data-fee-field="name" data-index="${index}" value="${escape(preset.name)}"></td>
+                <td><select data-fee-field="type" data-index="${index}">${typeOptions(preset.type)}</select></td>
+                <td><input type="number" min="0" step="0.01" data-fee-field="value" data-index="${index}" value="${escape(isNaN(preset.value) ? '' : preset.value)}"></td>
+                <td><button class="btn btn-danger btn-sm" data-action="remove-fee-preset" data-index="${index}" title="删除"><i class="fas fa-trash"></i></button></td>
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <div class="settings-section">
+                <div class="settings-section-header">
+                    <span class="settings-section-title">费用预设（${this.feePresetsDraft.length}）</span>
+                    <div class="template-actions">
+                        <button class="btn btn-secondary btn-sm" data-action="reset-fee-presets">
+                            <i class="fas fa-undo"></i>
+                            恢复默认预设
+                        </button>
+                        <button class="btn btn-primary btn-sm" data-action="add-fee-preset">
+                            <i class="fas fa-plus"></i>
+                            添加预设
+                        </button>
+                    </div>
+                </div>
+                <div class="product-list-table">
+                    <table class="compact-table">
+                        <thead>
+                            <tr>
+                                <th>名称</th>
+                                <th>计费方式</th>
+                                <th>费率</th>
+                                <th>操作</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows || '<tr><td colspan="4">暂无费用预设</td></tr>'}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="settings-hint">报价时从预设添加附加费用，添加后仍可修改名称和费率；货值百分比按折扣后的货物金额计算。</div>
+            </div>
+        `;
+    },
+    
+    /**
+     * 渲染所有分类
+     */
+    renderAll() {
+        this.categories.forEach(category => {
+            this.renderCategory(category.key);
+        });
+    },
+    
+    /**
+     * 渲染分类的产品列表和编辑表单
+     * @param {string} category - 分类键名
+     */
+    renderCategory(category) {
+        const container = document.getElementById(`catalogEditor-${category}`);
+        if (!container || !this.draft) {
+            return;
+        }
+        
+        const categoryInfo = this.getCategory(category);
+        const items = this.draft[category];
+        const escape = this.escape;
+        const editor = this.editing && this.editing.category === category
+            ? this.renderEditor(categoryInfo)
+            : '';
+        
+        const rows = items.map((item, index) => `
+            <tr>
+                <td>${escape(item.id)}</td>
+                <td>${escape(this.getItemLabel(item))}</td>
+                <td>${escape(this.getPriceSummary(item))}</td>
+                <td>
+                    <div class="template-actions">
+                        <button class="btn btn-secondary btn-sm" data-action="move-up" data-category="${category}" data-index="${index}" title="上移" ${index === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+                        <button class="btn btn-secondary btn-sm" data-action="move-down" data-category="${category}" data-index="${index}" title="下移" ${index === items.length - 1 ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+                        <button class="btn btn-primary btn-sm" data-action="edit" data-category="${category}" data-index="${index}" title="编辑"><i class="fas fa-edit"></i></button>
+                        <button class="btn btn-danger btn-sm" data-action="delete" data-category="${category}" data-index="${index}" title="删除"><i class="fas fa-trash"></i></button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <div class="settings-section">
+                <div class="settings-section-header">
+                    <span class="settings-section-title">${categoryInfo.name}（${items.length}）</span>
+                    <button class="btn btn-primary btn-sm" data-action="add" data-category="${category}">
+                        <i class="fas fa-plus"></i>
+                        添加${categoryInfo.name}
+                    </button>
+                </div>
+                ${editor}
+                <div class="product-list-table">
+                    <table class="compact-table">
+                        <thead>
+                            <tr>
+                                <th>ID</th>
+                                <th>名称</th>
+                                <th>价格</th>
+                                <th>操作</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows || '<tr><td colspan="4">暂无数据</td></tr>'}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    },
+    
+    /**
+     * 渲染产品编辑表单
+     * @param {Object} categoryInfo - 分类信息
+     * @returns {string} 表单HTML
+     */
+    renderEditor(categoryInfo) {
+        const item = this.editing.item;
+        const escape = this.escape;
+        const sources = this.getPriceSources();
+        let fields;
+        
+        if (categoryInfo.type === 'machine') {
+            const tierTables = sources.map(source => {
+                const tiers = item.priceTiers[source.id] || [];
+                const tierRows = tiers.map((tier, tierIndex) => `
+                    <tr>
+                        <td><input type="number" min="1" data-field="tier" data-source="${source.id}" data-tier-index="${tierIndex}" data-tier-field="min" value="${escape(tier.min)}"></td>
+                        <td><input type="number" min="1" data-field="tier" data-source="${source.id}" data-tier-index="${tierIndex}" data-tier-field="max" value="${escape(tier.max)}" placeholder="不限"></td>
+                        <td><input type="number" min="0" step="0.01" data-field="tier" data-source="${source.id}" data-tier-index="${tierIndex}" data-tier-field="price" value="${escape(tier.price)}"></td>
+                        <td><button class="btn btn-secondary btn-sm" data-action="remove-tier" data-source="${source.id}" data-tier-index="${tierIndex}" title="删除阶梯"><i class="fas fa-times"></i></button></td>
+                    </tr>
+                `).join('');
+                
+                return `
+                    <div class="price-tier-editor">
+                        <div class="price-tier-editor-header">
+                            <span>${source.name}</span>
+                            <button class="btn btn-secondary btn-sm" data-action="add-tier" data-source="${source.id}">
+                                <i class="fas fa-plus"></i>
+                                添加阶梯
+                            </button>
+                        </div>
+                        <table class="compact-table">
+                            <thead>
+                                <tr>
+                                    <th>最小数量</th>
+                                    <th>最大数量</th>
+                                    <th>单价 (CNY)</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>${tierRows}</tbody>
+                        </table>
+                    </div>
+                `;
+            }).join('');
+            
+            fields = `
+                <div class="form-row">
+                    <div><label>产品ID</label><input type="text" data-field="id" value="${escape(item.id)}"></div>
+                    <div><label>系列</label><input type="text" data-field="series" value="${escape(item.series)}"></div>
+                </div>
+                <div class="form-row">
+                    <div><label>型号</label><input type="text" data-field="model" value="${escape(item.model)}"></div>
+                    <div><label>功率</label><input type="text" data-field="power" value="${escape(item.power)}" placeholder="例如 80W"></div>
+                </div>
+                <div class="form-row">
+                    <div><label>打包长 (cm)</label><input type="number" min="0" data-field="length" value="${escape(item.packingSize.length)}"></div>
+                    <div><label>打包宽 (cm)</label><input type="number" min="0" data-field="width" value="${escape(item.packingSize.width)}"></div>
+                </div>
+                <div class="form-row">
+                    <div><label>打包高 (cm)</label><input type="number" min="0" data-field="height" value="${escape(item.packingSize.height)}"></div>
+                    <div><label>CBM</label><input type="number" min="0" step="0.001" data-field="cbm" value="${escape(item.cbm)}" placeholder="留空按尺寸计算"></div>
+                </div>
+                <div class="form-row">
+                    <div><label>体积重 (kg)</label><input type="number" min="0" step="0.01" data-field="volumeWeight" value="${escape(item.volumeWeight)}" placeholder="留空按尺寸计算"></div>
+                    <div><label>实重 (kg)</label><input type="number" min="0" step="0.01" data-field="actualWeight" value="${escape(item.actualWeight)}"></div>
+                </div>
+                <div class="form-row">
+                    <div><label>最大堆叠层数</label><input type="number" min="1" step="1" data-field="stackLimit" value="${escape(item.stackLimit)}" placeholder="默认 ${this.getDefaultStackLimit()}"></div>
+                    <div><label>HS编码</label><input type="text" data-field="hsCode" value="${escape(item.hsCode)}" placeholder="默认 ${this.getDefaultHsCode()}"></div>
+                </div>
+                <div class="form-row">
+                    <div><label>成本价 (CNY)</label><input type="number" min="0" step="0.01" data-field="cost" value="${escape(item.cost)}" placeholder="仅内部可见"></div>
+                </div>
+                ${tierTables}
+            `;
+        } else {
+            const priceInputs = sources.map(source => `
+                <div><label>${source.name}单价 (CNY)</label><input type="number" min="0" step="0.01" data-field="price" data-source="${source.id}" value="${escape(item.price[source.id])}"></div>
+            `).join('');
+            
+            const scalingSelect = categoryInfo.scalable ? `
+                <div class="form-row">
+                    <div>
+                        <label>数量计算方式</label>
+                        <select data-field="scaling">
+                            ${this.getAccessoryScalings().map(scaling => `
+                                <option value="${scaling.id}" ${item.scaling === scaling.id ? 'selected' : ''}>${scaling.name}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div><label>标签</label><input type="text" data-field="tags" value="${escape((item.tags || []).join('，'))}" placeholder="多个标签用逗号分隔"></div>
+                </div>
+            ` : '';
+            
+            fields = `
+                <div class="form-row">
+                    <div><label>产品ID</label><input type="text" data-field="id" value="${escape(item.id)}"></div>
+                    <div><label>名称</label><input type="text" data-field="name" value="${escape(item.name)}"></div>
+                </div>
+                ${scalingSelect}
+                <div class="form-row">
+                    ${priceInputs}
+                </div>
+                <div class="form-row">
+                    <div><label>成本价 (CNY)</label><input type="number" min="0" step="0.01" data-field="cost" value="${escape(item.cost)}" placeholder="仅内部可见"></div>
+                </div>
+            `;
+        }
+        
+        return `
+            <div class="product-data-editor-form" id="catalogEditorForm">
+                <div class="settings-section-title">${this.editing.index >= 0 ? '编辑' : '添加'}${categoryInfo.name}</div>
+                ${fields}
+                <div class="card-footer">
+                    <button class="btn btn-secondary btn-sm" data-action="cancel-item" data-category="${categoryInfo.key}">取消</button>
+                    <button class="btn btn-primary btn-sm" data-action="apply-item" data-category="${categoryInfo.key}">确定</button>
+                </div>
+            </div>
+        `;
+    },
+    
+    /**
+     * 获取分类信息
+     * @param {string} category - 分类键名
+     * @returns {Object} 分类信息
+     */
+    getCategory(category) {
+        return this.categories.find(item => item.key === category);
+    },
+    
+    /**
+     * 获取价格来源列表
+     * @returns {Array} 价格来源列表
+     */
+    getPriceSources() {
+        return window.pricing ? window.pricing.priceSources : [{ id: 'tier1', name: '阶梯一' }];
+    },
+    
+    /**
+     * 获取装箱计算的默认堆叠层数
+     * @returns {number} 默认堆叠层数
+     */
+    getDefaultStackLimit() {
+        return window.containerLoad ? window.containerLoad.defaultStackLimit : 1;
+    },
+    
+    /**
+     * 获取税费计算的默认HS编码
+     * @returns {string} 默认HS编码
+     */
+    getDefaultHsCode() {
+        return window.tax ? window.tax.defaultHsCode : '';
+    },
+    
+    /**
+     * 获取配件数量计算方式列表
+     * @returns {Array} 计算方式列表
+     */
+    getAccessoryScalings() {
+        return window.app && window.app.accessoryScalings ? window.app.accessoryScalings : [{ id: 'perOrder', name: '每单' }];
+    },
+    
+    /**
+     * 获取产品显示名称
+     * @param {Object} item - 产品数据
+     * @returns {string} 显示名称
+     */
+    getItemLabel(item) {
+        return item.name || `${item.series} ${item.model} ${item.power}`;
+    },
+    
+    /**
+     * 获取产品价格摘要
+     * 机器显示各来源首个阶梯的价格，其他产品显示各来源的单价
+     * @param {Object} item - 产品数据
+     * @returns {string} 价格摘要
+     */
+    getPriceSummary(item) {
+        return this.getPriceSources().map(source => {
+            let price;
+            if (item.priceTiers) {
+                const tiers = Array.isArray(item.priceTiers) ? item.priceTiers : item.priceTiers[source.id];
+                price = tiers && tiers.length > 0 ? tiers[0].price : null;
+            } else {
+                price = typeof item.price === 'number' ? item.price : item.price && item.price[source.id];
+            }
+            return typeof price === 'number' ? window.utils.formatPrice(price, 'CNY') : '-';
+        }).join(' / ');
+    },
+    
+    /**
+     * 深拷贝数据
+     * @param {*} value - 要拷贝的数据
+     * @returns {*} 拷贝后的数据
+     */
+    clone(value) {
+        return window.utils && window.utils.deepClone
+            ? window.utils.deepClone(value)
+            : JSON.parse(JSON.stringify(value));
+    },
+    
+    /**
+     * 转义HTML
+     * @param {*} value - 要转义的值
+     * @returns {string} 转义后的字符串
+     */
+    escape(value) {
+        return window.utils && window.utils.escapeHtml
+            ? window.utils.escapeHtml(value)
+            : String(value === null || value === undefined ? '' : value);
+    },
+    
+    /**
+     * 显示通知
+     * @param {string} message - 通知消息
+     * @param {string} type - 通知类型
+     */
+    notify(message, type) {
+        if (window.ui && window.ui.notification) {
+            window.ui.notification.show(message, type);
+        }
+    }
+};
+
+/**
+ * 导出设置模块
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = settingsModule;
+} else if (typeof window !== 'undefined') {
+    window.settings = settingsModule;
+}
\ No newline at end of file
@@ -0,0 +1,243 @@
+/**
+ * shipping.js - 运费估算模块
+ * 
+ * 功能：
+ * - 维护各运输方式的运费费率表（CNY）
+ * - 海运拼箱（LCL）按CBM计费，有最低计费CBM；提供整柜装箱方案时按整柜（FCL）海运费和拖车费计费
+ * - 空运按计费重量计费，计费重量取体积重和实重中较大者
+ * - 快递按计费重量计费，另加国家附加费和按邮编划分的区域附加费
+ * - 国内运费（工厂到港口/机场的拖车费）按CBM计费，有最低收费
+ * 
+ * 主要函数：
+ * - estimate：根据运输方式、国家、邮编和货物的CBM、重量估算国际运费和国内运费
+ * - getChargeableWeight：计算计费重量
+ * - getExpressZone：根据邮编查找快递区域
+ * 
+ * 本模块不访问页面元素，估算结果由 appModule 填入费用
+ */
+
+/**
+ * 运费估算模块
+ */
+const shippingModule = {
+    /**
+     * 运输方式
+     */
+    methods: [
+        { id: 'sea', name: '海运' },
+        { id: 'air', name: '空运' },
+        { id: 'express', name: '快递' }
+    ],
+    
+    /**
+     * 不产生国际运费的国家（国内交货）
+     */
+    domesticCountries: ['CN'],
+    
+    /**
+     * 运费费率表
+     * 国家代码与页面上的国家选项一致，未列出的国家使用 other
+     */
+    rateTables: {
+        // 海运拼箱：每CBM单价，不足最低CBM按最低CBM计费
+        sea: {
+            US: { perCbm: 680, minCbm: 1 },
+            DE: { perCbm: 620, minCbm: 1 },
+            JP: { perCbm: 420, minCbm: 1 },
+            other: { perCbm: 750, minCbm: 1 }
+        },
+        
+        // 空运：每计费公斤单价，不足最低计费重量按最低重量计费
+        air: {
+            US: { perKg: 38, minKg: 45 },
+            DE: { perKg: 35, minKg: 45 },
+            JP: { perKg: 22, minKg: 45 },
+            other: { perKg: 42, minKg: 45 }
+        },
+        
+        // 快递：每计费公斤单价 + 国家附加费 + 区域附加费，区域按邮编前缀划分
+        express: {
+            US: {
+                perKg: 62,
+                surcharge: 180,
+                zones: [
+                    { name: '西部', prefixes: ['8', '9'], surcharge: 0 },
+                    { name: '中部', prefixes: ['4', '5', '6', '7'], surcharge: 120 },
+                    { name: '东部', prefixes: ['0', '1', '2', '3'], surcharge: 220 }
+                ]
+            },
+            DE: {
+                perKg: 55,
+                surcharge: 150,
+                zones: []
+            },
+            JP: {
+                perKg: 30,
+                surcharge: 80,
+                zones: [
+                    { name: '冲绳', prefixes: ['90'], surcharge: 260 }
+                ]
+            },
+            other: {
+                perKg: 70,
+                surcharge: 260,
+                zones: []
+            }
+        },
+        
+        // 国内运费：工厂到港口/机场，快递由快递公司上门取件
+        domestic: {
+            perCbm: 120,
+            minCharge: 300,
+            expressPickup: 0
+        }
+    },
+    
+    /**
+     * 获取运输方式名称
+     * @param {string} method - 运输方式ID
+     * @returns {string} 运输方式名称
+     */
+    getMethodName(method) {
+        const item = this.methods.find(entry => entry.id === method);
+        return item ? item.name : method;
+    },
+    
+    /**
+     * 计算计费重量
+     * @param {number} volumeWeight - 体积重 (kg)
+     * @param {number} actualWeight - 实重 (kg)
+     * @returns {number} 计费重量 (kg)
+     */
+    getChargeableWeight(volumeWeight, actualWeight) {
+        return Math.max(volumeWeight || 0, actualWeight || 0);
+    },
+    
+    /**
+     * 根据邮编查找快递区域
+     * 前缀越长越优先匹配
+     * @param {Object} rate - 国家的快递费率
+     * @param {string} zipCode - 邮编
+     * @returns {Object|null} 区域，没有匹配时返回 null
+     */
+    getExpressZone(rate, zipCode) {
+        const code = (zipCode || '').replace(/\s+/g, '');
+        if (!code) {
+            return null;
+        }
+        
+        let matched = null;
+        let matchedLength = 0;
+        rate.zones.forEach(zone => {
+            zone.prefixes.forEach(prefix => {
+                if (code.startsWith(prefix) && prefix.length > matchedLength) {
+                    matched = zone;
+                    matchedLength = prefix.length;
+                }
+            });
+        });
+        return matched;
+    },
+    
+    /**
+     * 获取国家的费率，未列出的国家使用 other
+     * @param {Object} table - 运输方式的费率表
+     * @param {string} country - 国家代码
+     * @returns {Object} 费率
+     */
+    getRate(table, country) {
+        return table[country] || table.other;
+    },
+    
+    /**
+     * 四舍五入到分
+     * @param {number} value - 金额
+     * @returns {number} 金额
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    },
+    
+    /**
+     * 估算运费
+     * @param {Object} shipment - 货物信息 { method, country, zipCode, cbm, volumeWeight, actualWeight, containerPlan }，containerPlan 为可选的整柜装箱方案
+     * @param {Function} formatPrice - 金额格式化函数，由调用方传入，例如 pricing.formatAmount
+     * @returns {Object} 估算结果 { method, methodName, internationalShipping, domesticShipping, basis }，basis 为每项费用的计算依据
+     */
+    estimate(shipment, formatPrice) {
+        const method = this.methods.some(item => item.id === shipment.method) ? shipment.method : 'sea';
+        const cbm = shipment.cbm || 0;
+        const chargeableWeight = this.getChargeableWeight(shipment.volumeWeight, shipment.actualWeight);
+        const result = {
+            method,
+            methodName: this.getMethodName(method),
+            internationalShipping: 0,
+            domesticShipping: 0,
+            basis: {
+                internationalShipping: '',
+                domesticShipping: ''
+            }
+        };
+        
+        // 没有需要运输的货物
+        if (cbm <= 0 && chargeableWeight <= 0) {
+            result.basis.internationalShipping = '暂无货物';
+            result.basis.domesticShipping = '暂无货物';
+            return result;
+        }
+        
+        const containerPlan = method === 'sea' && shipment.containerPlan && !shipment.containerPlan.error
+            ? shipment.containerPlan
+            : null;
+        
+        // 国际运费
+        if (this.domesticCountries.includes(shipment.country)) {
+            result.basis.internationalShipping = '国内交货，无国际运费';
+        } else if (containerPlan) {
+            result.internationalShipping = this.round(containerPlan.freight);
+            result.basis.internationalShipping = `${result.methodName}整柜 ${containerPlan.containers.map(container => `${container.count}×${container.name}`).join(' + ')}`;
+        } else if (method === 'sea') {
+            const rate = this.getRate(this.rateTables.sea, shipment.country);
+            const chargeableCbm = Math.max(cbm, rate.minCbm);
+            result.internationalShipping = this.round(chargeableCbm * rate.perCbm);
+            result.basis.internationalShipping = `${result.methodName}拼箱 ${chargeableCbm.toFixed(3)} CBM × ${formatPrice(rate.perCbm)}`;
+        } else if (method === 'air') {
+            const rate = this.getRate(this.rateTables.air, shipment.country);
+            const weight = Math.max(chargeableWeight, rate.minKg);
+            result.internationalShipping = this.round(weight * rate.perKg);
+            result.basis.internationalShipping = `${result.methodName} 计费重 ${weight.toFixed(2)} kg × ${formatPrice(rate.perKg)}`;
+        } else {
+            const rate = this.getRate(this.rateTables.express, shipment.country);
+            const zone = this.getExpressZone(rate, shipment.zipCode);
+            const zoneSurcharge = zone ? zone.surcharge : 0;
+            result.internationalShipping = this.round(chargeableWeight * rate.perKg + rate.surcharge + zoneSurcharge);
+            result.basis.internationalShipping = `${result.methodName} 计费重 ${chargeableWeight.toFixed(2)} kg × ${formatPrice(rate.perKg)}`
+                + ` + 国家附加费 ${formatPrice(rate.surcharge)}`
+                + (zone ? ` + ${zone.name}区域附加费 ${formatPrice(zoneSurcharge)}` : '');
+        }
+        
+        // 国内运费
+        const domestic = this.rateTables.domestic;
+        if (method === 'express') {
+            result.domesticShipping = domestic.expressPickup;
+            result.basis.domesticShipping = '快递上门取件';
+        } else if (containerPlan) {
+            result.domesticShipping = this.round(containerPlan.trucking);
+            result.basis.domesticShipping = `整柜拖车 ${containerPlan.containers.reduce((sum, container) => sum + container.count, 0)} 个集装箱`;
+        } else {
+            result.domesticShipping = this.round(Math.max(cbm * domestic.perCbm, domestic.minCharge));
+            result.basis.domesticShipping = `拖车 ${cbm.toFixed(3)} CBM × ${formatPrice(domestic.perCbm)}，最低 ${formatPrice(domestic.minCharge)}`;
+        }
+        
+        return result;
+    }
+};
+
+/**
+ * 导出运费估算模块
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = shippingModule;
+} else if (typeof window !== 'undefined') {
+    window.shipping = shippingModule;
+}
@@ -0,0 +1,642 @@
+/**
+ * store.js - 报价状态模块
+ * 
+ * 功能：
+ * - 定义报价状态的结构和默认值
+ * - 通过纯函数 reducer 处理修改报价状态的 action，不直接修改原状态
+ * - 创建报价状态容器：读取状态、分发 action、订阅和取消订阅状态变更
+ * - 记录撤销和重做历史
+ * 
+ * 主要函数：
+ * - createState：创建带默认值的报价状态
+ * - removeMissingLineProducts：去掉机器明细行中已不在产品目录中的产品
+ * - reduce：按 action 计算新的报价状态
+ * - create：创建报价状态容器
+ * - createView：创建页面状态容器
+ * 
+ * 报价状态：
+ * - machineLines：机器明细行，每行为 { id, machineId, quantity, waterCoolerId, accessoryIds, otherAccessoryIds, accessoryQuantities }
+ * - activeLineIndex：当前编辑的机器明细行索引
+ * - 其余字段为报价条件，与保存到历史记录的报价状态相同（见 createState）
+ * 
+ * Action：
+ * - { type, payload, mergeKey }，type 为 reducers 中的函数名
+ * - 修改单个报价条件使用 setField，其他 action 见 reducers
+ * - mergeKey 可选，连续分发 mergeKey 相同的 action 且间隔不超过 mergeInterval 时合并为一步撤销，用于逐字输入
+ * - history 为 false 时不记入撤销历史，同一 action 也应用到撤销和重做记录中的状态，撤销和重做后仍保留该修改
+ * 
+ * 说明：
+ * - 状态只能通过 dispatch 修改，订阅者不能修改收到的状态
+ * - action 没有改变状态时不通知订阅者，也不记入撤销历史
+ * - 撤销、重做和 reset 通知订阅者时 action 分别为 { type: 'undo' }、{ type: 'redo' }、{ type: 'reset' }
+ * - 本模块不访问页面元素，ID、产品顺序等依赖产品目录的数据由调用方放入 payload
+ * 
+ * 页面状态：
+ * - 应用计算出的、页面需要显示的数据，如价格、费用明细、历史记录列表和打开的模态框
+ * - 应用通过 setView 修改页面状态，UI模块订阅页面状态并更新对应的页面部分
+ * - 页面状态不记入撤销历史；每次 setView 都通知订阅者，订阅者按 action 中的字段更新页面
+ */
+
+/**
+ * 报价状态模块
+ */
+const quoteStoreModule = {
+    /**
+     * 撤销历史最多保留的步数
+     */
+    historyLimit: 100,
+    
+    /**
+     * 合并为一步撤销的最长输入间隔（毫秒）
+     */
+    mergeInterval: 1000,
+    
+    /**
+     * 可以通过 setField 修改的报价条件
+     */
+    fields: [
+        'tierMode', 'shippingMethod', 'incoterm', 'namedPlace', 'exportClearance', 'insuranceRate', 'localDelivery',
+        'taxMode', 'currency', 'fxBuffer', 'rateLockedAt', 'priceSource', 'zipCode'
+    ],
+    
+    /**
+     * 创建报价状态
+     * @param {Object} values - 初始值，未提供的字段使用默认值
+     * @returns {Object} 报价状态
+     */
+    createState(values = {}) {
+        return Object.assign({
+            machineLines: [],
+            // 价格阶梯计算方式：line 按行，series 按系列合计
+            tierMode: 'line',
+            // 运输方式，运费由估算自动填入，手动修改后不再覆盖
+            shippingMethod: 'sea',
+            shippingOverrides: { internationalShipping: false, domesticShipping: false },
+            internationalShipping: 0,
+            domesticShipping: 0,
+            // 附加费用，每项为 { id, name, type, value }，不受贸易术语影响
+            feeLines: [],
+            // 贸易术语和指定港口/地点
+            incoterm: 'CFR',
+            namedPlace: '',
+            exportClearance: 0,
+            // 保险费率（%），保险费按CIF货值计算
+            insuranceRate: 0.3,
+            localDelivery: 0,
+            // 计价模式：exclusive 不含税，inclusive 含税
+            taxMode: 'exclusive',
+            // 客户货币和汇率（1单位货币 = ? CNY），汇率日期的键为货币代码
+            currency: 'USD',
+            exchangeRates: {},
+            exchangeRateDates: {},
+            // 汇率缓冲（%）和汇率锁定时间，未锁定时为 null
+            fxBuffer: 0,
+            rateLockedAt: null,
+            // 明细行折扣，键为报价明细行的键（机器明细行ID:分类:产品ID），值为 { type, value, reason }
+            lineDiscounts: {},
+            // 整单折扣 { type, value, reason }，没有整单折扣时为 null
+            orderDiscount: null,
+            priceSource: 'tier1',
+            country: 'US',
+            zipCode: '',
+            activeLineIndex: 0
+        }, values);
+    },
+    
+    /**
+     * 修改当前编辑的机器明细行
+     * 取消的配件同时删除其手动数量
+     * @param {Object} state - 报价状态
+     * @param {Object} changes - 修改的字段
+     * @returns {Object} 新的报价状态
+     */
+    updateActiveLine(state, changes) {
+        const machineLines = state.machineLines.slice();
+        const line = Object.assign({}, machineLines[state.activeLineIndex], changes);
+        
+        const selectedIds = line.accessoryIds.concat(line.otherAccessoryIds);
+        const quantities = line.accessoryQuantities || {};
+        line.accessoryQuantities = {};
+        Object.keys(quantities).filter(id => selectedIds.includes(id)).forEach(id => {
+            line.accessoryQuantities[id] = quantities[id];
+        });
+        
+        machineLines[state.activeLineIndex] = line;
+        return Object.assign({}, state, { machineLines });
+    },
+    
+    /**
+     * 去掉机器明细行中已不在产品目录中的产品
+     * 取消的配件同时删除其手动数量
+     * @param {Object} line - 机器明细行
+     * @param {Object} ids - 产品目录中的产品ID { machines, waterCoolers, accessories, otherAccessories }
+     * @param {Array} missing - 收集已不存在的产品ID
+     * @returns {Object} 新的机器明细行，没有去掉产品时返回原明细行
+     */
+    removeMissingLineProducts(line, ids, missing = []) {
+        const count = missing.length;
+        const exists = (key, id) => {
+            if (ids[key].includes(id)) {
+                return true;
+            }
+            missing.push(id);
+            return false;
+        };
+        
+        const filtered = Object.assign({}, line, {
+            machineId: line.machineId && exists('machines', line.machineId) ? line.machineId : null,
+            waterCoolerId: line.waterCoolerId && exists('waterCoolers', line.waterCoolerId) ? line.waterCoolerId : null,
+            accessoryIds: (line.accessoryIds || []).filter(id => exists('accessories', id)),
+            otherAccessoryIds: (line.otherAccessoryIds || []).filter(id => exists('otherAccessories', id)),
+            accessoryQuantities: {}
+        });
+        if (missing.length === count) {
+            return line;
+        }
+        
+        const selectedIds = filtered.accessoryIds.concat(filtered.otherAccessoryIds);
+        Object.keys(line.accessoryQuantities || {}).filter(id => selectedIds.includes(id)).forEach(id => {
+            filtered.accessoryQuantities[id] = line.accessoryQuantities[id];
+        });
+        return filtered;
+    },
+    
+    /**
+     * 报价状态的 reducer，键为 action 类型
+     * 每个 reducer 接收当前状态和 payload，返回新的状态；没有变化时返回原状态
+     * reducer 中的 this 指向本模块
+     */
+    reducers: {
+        /**
+         * 修改单个报价条件
+         * @param {Object} payload - { key, value }，key 必须在 fields 中
+         */
+        setField(state, { key, value }) {
+            if (!this.fields.includes(key) || state[key] === value) {
+                return state;
+            }
+            return Object.assign({}, state, { [key]: value });
+        },
+        
+        /**
+         * 修改当前机器明细行的机器数量
+         * @param {Object} payload - { quantity }
+         */
+        setQuantity(state, { quantity }) {
+            const line = state.machineLines[state.activeLineIndex];
+            return line.quantity === quantity ? state : this.updateActiveLine(state, { quantity });
+        },
+        
+        /**
+         * 选择当前机器明细行的机器，可同时替换水冷机和配件
+         * @param {Object} payload - { machineId, waterCoolerId, accessoryIds, otherAccessoryIds }，未提供的选择保持不变
+         */
+        selectMachine(state, payload) {
+            const changes = { machineId: payload.machineId || null };
+            ['waterCoolerId', 'accessoryIds', 'otherAccessoryIds'].forEach(key => {
+                if (payload[key] !== undefined) {
+                    changes[key] = payload[key];
+                }
+            });
+            return this.updateActiveLine(state, changes);
+        },
+        
+        /**
+         * 选择当前机器明细行的水冷机
+         * @param {Object} payload - { id }，为 null 时不选水冷机
+         */
+        selectWaterCooler(state, { id }) {
+            const line = state.machineLines[state.activeLineIndex];
+            return line.waterCoolerId === id ? state : this.updateActiveLine(state, { waterCoolerId: id });
+        },
+        
+        /**
+         * 勾选或取消当前机器明细行的配件
+         * @param {Object} payload - { key, id, selected, order }，key 为 accessoryIds 或 otherAccessoryIds，order 为产品目录中的配件ID顺序
+         */
+        toggleAccessory(state, { key, id, selected, order }) {
+            const current = state.machineLines[state.activeLineIndex][key];
+            if (!current || current.includes(id) === selected) {
+                return state;
+            }
+            
+            const ids = (order || current.concat(id)).filter(itemId => (itemId === id ? selected : current.includes(itemId)));
+            return this.updateActiveLine(state, { [key]: ids });
+        },
+        
+        /**
+         * 手动修改当前机器明细行的配件数量
+         * @param {Object} payload - { id, quantity }
+         */
+        setAccessoryQuantity(state, { id, quantity }) {
+            const line = state.machineLines[state.activeLineIndex];
+            if (line.accessoryQuantities[id] === quantity) {
+                return state;
+            }
+            return this.updateActiveLine(state, {
+                accessoryQuantities: Object.assign({}, line.accessoryQuantities, { [id]: quantity })
+            });
+        },
+        
+        /**
+         * 添加机器明细行，并切换到新行
+         * @param {Object} payload - { line }
+         */
+        addMachineLine(state, { line }) {
+            return Object.assign({}, state, {
+                machineLines: state.machineLines.concat([line]),
+                activeLineIndex: state.machineLines.length
+            });
+        },
+        
+        /**
+         * 切换当前编辑的机器明细行
+         * @param {Object} payload - { index }
+         */
+        selectMachineLine(state, { index }) {
+            if (index === state.activeLineIndex || !state.machineLines[index]) {
+                return state;
+            }
+            return Object.assign({}, state, { activeLineIndex: index });
+        },
+        
+        /**
+         * 删除机器明细行及其货物的折扣，只剩一行时替换为空行
+         * @param {Object} payload - { index, emptyLine }
+         */
+        removeMachineLine(state, { index, emptyLine }) {
+            const removedLine = state.machineLines[index];
+            if (!removedLine) {
+                return state;
+            }
+            
+            const prefix = `${removedLine.id}:`;
+            const lineDiscounts = {};
+            Object.keys(state.lineDiscounts).filter(key => !key.startsWith(prefix)).forEach(key => {
+                lineDiscounts[key] = state.lineDiscounts[key];
+            });
+            
+            let machineLines = state.machineLines.filter((line, lineIndex) => lineIndex !== index);
+            let activeLineIndex = state.activeLineIndex;
+            if (machineLines.length === 0) {
+                machineLines = [emptyLine];
+                activeLineIndex = 0;
+            } else if (index < activeLineIndex || activeLineIndex >= machineLines.length) {
+                activeLineIndex--;
+            }
+            
+            return Object.assign({}, state, { machineLines, activeLineIndex, lineDiscounts });
+        },
+        
+        /**
+         * 产品目录变更后去掉所有机器明细行中已不存在的产品，同时删除这些产品的明细行折扣
+         * @param {Object} payload - { ids }，产品目录中的产品ID { machines, waterCoolers, accessories, otherAccessories }
+         */
+        removeMissingProducts(state, { ids }) {
+            const missing = [];
+            const machineLines = state.machineLines.map(line => this.removeMissingLineProducts(line, ids, missing));
+            if (missing.length === 0) {
+                return state;
+            }
+            
+            // 明细行折扣的键为 机器明细行ID:分类:产品ID，保留仍在明细行中的产品和其他行的折扣
+            const goodsKeys = [];
+            machineLines.forEach(line => {
+                const prefix = `${line.id}:`;
+                if (line.machineId) {
+                    goodsKeys.push(`${prefix}machine:${line.machineId}`);
+                }
+                if (line.waterCoolerId) {
+                    goodsKeys.push(`${prefix}waterCooler:${line.waterCoolerId}`);
+                }
+                line.accessoryIds.forEach(id => goodsKeys.push(`${prefix}accessory:${id}`));
+                line.otherAccessoryIds.forEach(id => goodsKeys.push(`${prefix}otherAccessory:${id}`));
+            });
+            const lineIds = machineLines.map(line => line.id);
+            const lineDiscounts = {};
+            Object.keys(state.lineDiscounts)
+                .filter(key => goodsKeys.includes(key) || !lineIds.includes(key.split(':')[0]))
+                .forEach(key => {
+                    lineDiscounts[key] = state.lineDiscounts[key];
+                });
+            
+            return Object.assign({}, state, { machineLines, lineDiscounts });
+        },
+        
+        /**
+         * 手动修改运费，修改后不再使用估算运费
+         * @param {Object} payload - { key, value }，key 为 internationalShipping 或 domesticShipping
+         */
+        setShippingFee(state, { key, value }) {
+            if (!(key in state.shippingOverrides)) {
+                return state;
+            }
+            return Object.assign({}, state, {
+                [key]: value,
+                shippingOverrides: Object.assign({}, state.shippingOverrides, { [key]: true })
+            });
+        },
+        
+        /**
+         * 取消手动修改的运费，恢复为估算运费
+         * @param {Object} payload - { key }
+         */
+        resetShippingOverride(state, { key }) {
+            if (!state.shippingOverrides[key]) {
+                return state;
+            }
+            return Object.assign({}, state, {
+                shippingOverrides: Object.assign({}, state.shippingOverrides, { [key]: false })
+            });
+        },
+        
+        /**
+         * 修改目的国家，客户货币随国家变更
+         * @param {Object} payload - { country, currency }
+         */
+        setCountry(state, { country, currency }) {
+            if (state.country === country && state.currency === currency) {
+                return state;
+            }
+            return Object.assign({}, state, { country, currency });
+        },
+        
+        /**
+         * 修改一种货币的汇率
+         * @param {Object} payload - { currency, rate, date }
+         */
+        setExchangeRate(state, { currency, rate, date }) {
+            if (state.exchangeRates[currency] === rate && state.exchangeRateDates[currency] === date) {
+                return state;
+            }
+            return Object.assign({}, state, {
+                exchangeRates: Object.assign({}, state.exchangeRates, { [currency]: rate }),
+                exchangeRateDates: Object.assign({}, state.exchangeRateDates, { [currency]: date })
+            });
+        },
+        
+        /**
+         * 替换全部汇率，可同时修改汇率锁定时间
+         * @param {Object} payload - { exchangeRates, exchangeRateDates, rateLockedAt }
+         */
+        setExchangeRates(state, payload) {
+            const changes = { exchangeRates: payload.exchangeRates, exchangeRateDates: payload.exchangeRateDates };
+            if (payload.rateLockedAt !== undefined) {
+                changes.rateLockedAt = payload.rateLockedAt;
+            }
+            // 汇率、汇率日期和锁定时间都没有变化时不产生新状态
+            if (Object.keys(changes).every(key => JSON.stringify(state[key]) === JSON.stringify(changes[key]))) {
+                return state;
+            }
+            return Object.assign({}, state, changes);
+        },
+        
+        /**
+         * 添加附加费用
+         * @param {Object} payload - { fee }
+         */
+        addFeeLine(state, { fee }) {
+            return Object.assign({}, state, { feeLines: state.feeLines.concat([fee]) });
+        },
+        
+        /**
+         * 修改附加费用
+         * @param {Object} payload - { index, changes }
+         */
+        updateFeeLine(state, { index, changes }) {
+            const fee = state.feeLines[index];
+            if (!fee || Object.keys(changes).every(key => fee[key] === changes[key])) {
+                return state;
+            }
+            
+            const feeLines = state.feeLines.slice();
+            feeLines[index] = Object.assign({}, fee, changes);
+            return Object.assign({}, state, { feeLines });
+        },
+        
+        /**
+         * 删除附加费用
+         * @param {Object} payload - { index }
+         */
+        removeFeeLine(state, { index }) {
+            if (!state.feeLines[index]) {
+                return state;
+            }
+            return Object.assign({}, state, { feeLines: state.feeLines.filter((fee, feeIndex) => feeIndex !== index) });
+        },
+        
+        /**
+         * 设置或取消折扣
+         * @param {Object} payload - { key, discount }，key 为 null 时设置整单折扣，discount 为 null 时取消折扣
+         */
+        setDiscount(state, { key, discount }) {
+            if (key === null) {
+                return Object.assign({}, state, { orderDiscount: discount });
+            }
+            
+            const lineDiscounts = Object.assign({}, state.lineDiscounts);
+            if (discount) {
+                lineDiscounts[key] = discount;
+            } else if (key in lineDiscounts) {
+                delete lineDiscounts[key];
+            } else {
+                return state;
+            }
+            return Object.assign({}, state, { lineDiscounts });
+        }
+    },
+    
+    /**
+     * 页面状态的 reducer，键为 action 类型
+     */
+    viewReducers: {
+        /**
+         * 修改页面状态的字段，相同的值也返回新状态，使订阅者重新显示
+         * @param {Object} payload - 要修改的字段
+         */
+        setView(state, payload) {
+            return Object.assign({}, state, payload);
+        }
+    },
+    
+    /**
+     * 按 action 计算新的状态
+     * @param {Object} state - 报价状态
+     * @param {Object} action - { type, payload }
+     * @param {Object} reducers - reducer，默认为报价状态的 reducers
+     * @returns {Object} 新的状态，未知的 action 返回原状态
+     */
+    reduce(state, action, reducers = this.reducers) {
+        const reducer = reducers[action.type];
+        return reducer ? reducer.call(this, state, action.payload || {}) : state;
+    },
+    
+    /**
+     * 创建报价状态容器
+     * @param {Object} initialState - 初始报价状态
+     * @param {Object} options - 可选，{ reducers, history }，history 为 false 时所有 action 都不记入撤销历史
+     * @returns {Object} 状态容器 { getState, dispatch, subscribe, unsubscribe, undo, redo, canUndo, canRedo, reset }
+     */
+    create(initialState, options = {}) {
+        const reducers = options.reducers || this.reducers;
+        let state = initialState;
+        let past = [];
+        let future = [];
+        const listeners = [];
+        // 上一次分发的 action 的 mergeKey 和时间，撤销、重做和 reset 后清空
+        let lastMerge = null;
+        
+        // 订阅者按订阅顺序收到 (新状态, action, 原状态)
+        const notify = (action, previousState) => {
+            listeners.slice().forEach(listener => listener(state, action, previousState));
+        };
+        
+        const store = {
+            /**
+             * 获取当前报价状态
+             * @returns {Object} 报价状态
+             */
+            getState: () => state,
+            
+            /**
+             * 分发 action，状态改变时记入撤销历史并通知订阅者
+             * @param {Object} action - { type, payload, mergeKey, history }
+             * @returns {Object} 新的报价状态
+             */
+            dispatch: (action) => {
+                const previousState = state;
+                const nextState = this.reduce(state, action, reducers);
+                
+                // 不记入撤销历史的修改同样应用到撤销和重做记录中
+                if (action.history === false || options.history === false) {
+                    past = past.map(item => this.reduce(item, action, reducers));
+                    future = future.map(item => this.reduce(item, action, reducers));
+                    if (nextState !== previousState) {
+                        state = nextState;
+                        notify(action, previousState);
+                    }
+                    return state;
+                }
+                
+                if (nextState === previousState) {
+                    return state;
+                }
+                
+                const now = Date.now();
+                const merge = Boolean(action.mergeKey) && past.length > 0 && lastMerge !== null
+                    && lastMerge.key === action.mergeKey && now - lastMerge.time <= this.mergeInterval;
+                if (!merge) {
+                    past.push(previousState);
+                    if (past.length > this.historyLimit) {
+                        past.shift();
+                    }
+                }
+                lastMerge = action.mergeKey ? { key: action.mergeKey, time: now } : null;
+                future = [];
+                state = nextState;
+                notify(action, previousState);
+                return state;
+            },
+            
+            /**
+             * 订阅状态变更
+             * @param {Function} listener - 订阅者 (state, action, previousState)
+             * @returns {Function} 取消订阅的函数
+             */
+            subscribe: (listener) => {
+                listeners.push(listener);
+                return () => store.unsubscribe(listener);
+            },
+            
+            /**
+             * 取消订阅
+             * @param {Function} listener - 订阅者
+             */
+            unsubscribe: (listener) => {
+                const index = listeners.indexOf(listener);
+                if (index >= 0) {
+                    listeners.splice(index, 1);
+                }
+            },
+            
+            /**
+             * 撤销上一次修改
+             * @returns {boolean} 是否撤销
+             */
+            undo: () => {
+                if (past.length === 0) {
+                    return false;
+                }
+                
+                const previousState = state;
+                future.push(state);
+                state = past.pop();
+                lastMerge = null;
+                notify({ type: 'undo' }, previousState);
+                return true;
+            },
+            
+            /**
+             * 重做上一次撤销的修改
+             * @returns {boolean} 是否重做
+             */
+            redo: () => {
+                if (future.length === 0) {
+                    return false;
+                }
+                
+                const previousState = state;
+                past.push(state);
+                state = future.pop();
+                lastMerge = null;
+                notify({ type: 'redo' }, previousState);
+                return true;
+            },
+            
+            /**
+             * 是否可以撤销
+             * @returns {boolean}
+             */
+            canUndo: () => past.length > 0,
+            
+            /**
+             * 是否可以重做
+             * @returns {boolean}
+             */
+            canRedo: () => future.length > 0,
+            
+            /**
+             * 替换整个报价状态并清空撤销历史，用于载入报价
+             * @param {Object} nextState - 新的报价状态
+             */
+            reset: (nextState) => {
+                const previousState = state;
+                past = [];
+                future = [];
+                lastMerge = null;
+                state = nextState;
+                notify({ type: 'reset' }, previousState);
+            }
+        };
+        
+        return store;
+    },
+    
+    /**
+     * 创建页面状态容器
+     * @param {Object} initialState - 初始页面状态
+     * @returns {Object} 状态容器，action 为 { type: 'setView', payload }
+     */
+    createView(initialState = {}) {
+        return this.create(initialState, { reducers: this.viewReducers, history: false });
+    }
+};
+
+/**
+ * 导出报价状态模块
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = quoteStoreModule;
+} else if (typeof window !== 'undefined') {
+    window.quoteStore = quoteStoreModule;
+}
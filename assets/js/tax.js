@@ -0,0 +1,223 @@
+/**
+ * tax.js - 税费计算模块
+ * 
+ * 功能：
+ * - 维护各国家的税率规则：中国国内销售增值税、欧盟HS 8456激光设备进口关税和进口增值税、美国进口关税、日本消费税
+ * - 税率规则可在系统设置中编辑，保存在本地存储中
+ * - 关税按CIF货值计算，进口增值税/消费税按CIF货值加关税计算，国内销售增值税按报价金额计算
+ * - 支持不含税价（税费另加）和含税价（报价已含税，拆分出其中的税费）两种模式
+ * 
+ * 主要函数：
+ * - getApplicableRules：筛选适用于目的国家的税率规则
+ * - calculate：计算税费明细
+ * - validateRules：校验税率规则
+ * 
+ * 说明：
+ * - 进口环节的税费只在贸易术语包含目的国关税（DDP）时计入报价
+ * - 机器按产品目录中的 hsCode 匹配规则，未设置时按 8456（激光加工机床）处理；水冷机和配件只匹配不限HS编码的规则
+ * - 本模块不访问页面元素，计算结果由 appModule 生成报价明细行
+ */
+
+/**
+ * 税费计算模块
+ */
+const taxModule = {
+    /**
+     * 计价模式
+     */
+    modes: [
+        { id: 'exclusive', name: '不含税价' },
+        { id: 'inclusive', name: '含税价' }
+    ],
+    
+    /**
+     * 税种，关税先于增值税计算
+     */
+    kinds: [
+        { id: 'duty', name: '关税' },
+        { id: 'vat', name: '增值税/消费税' }
+    ],
+    
+    /**
+     * 征税环节
+     */
+    scopes: [
+        { id: 'domestic', name: '国内销售' },
+        { id: 'import', name: '进口（DDP）' }
+    ],
+    
+    /**
+     * 机器默认的HS编码
+     */
+    defaultHsCode: '8456',
+    
+    /**
+     * 默认税率规则（%），国家代码与页面上的国家选项一致
+     * hsCode 为空表示适用于所有货物，否则按HS编码前缀匹配机器
+     */
+    defaultRules: [
+        { id: 'cn-vat', country: 'CN', name: '增值税', kind: 'vat', scope: 'domestic', hsCode: '', rate: 13 },
+        { id: 'de-duty', country: 'DE', name: '欧盟进口关税', kind: 'duty', scope: 'import', hsCode: '8456', rate: 2.2 },
+        { id: 'de-vat', country: 'DE', name: '德国进口增值税', kind: 'vat', scope: 'import', hsCode: '', rate: 19 },
+        { id: 'us-duty', country: 'US', name: '美国进口关税', kind: 'duty', scope: 'import', hsCode: '8456', rate: 25 },
+        { id: 'jp-vat', country: 'JP', name: '日本消费税', kind: 'vat', scope: 'import', hsCode: '', rate: 10 }
+    ],
+    
+    /**
+     * 获取税种名称
+     * @param {string} kind - 税种ID
+     * @returns {string} 税种名称
+     */
+    getKindName(kind) {
+        const item = this.kinds.find(entry => entry.id === kind);
+        return item ? item.name : kind;
+    },
+    
+    /**
+     * 获取计价模式名称
+     * @param {string} mode - 计价模式ID
+     * @returns {string} 计价模式名称
+     */
+    getModeName(mode) {
+        const item = this.modes.find(entry => entry.id === mode);
+        return item ? item.name : mode;
+    },
+    
+    /**
+     * 筛选适用于目的国家的税率规则，关税排在增值税之前
+     * @param {Array} rules - 税率规则
+     * @param {string} country - 国家代码
+     * @param {boolean} includeImport - 是否计入进口环节的税费
+     * @returns {Array} 适用的税率规则
+     */
+    getApplicableRules(rules, country, includeImport) {
+        return rules
+            .filter(rule => rule.country === country && rule.rate > 0)
+            .filter(rule => rule.scope === 'domestic' || includeImport)
+            .sort((a, b) => (a.kind === 'duty' ? 0 : 1) - (b.kind === 'duty' ? 0 : 1));
+    },
+    
+    /**
+     * 检查货物是否匹配规则的HS编码
+     * @param {Object} rule - 税率规则
+     * @param {Object} goods - 货物 { hsCode }
+     * @returns {boolean} 是否匹配
+     */
+    matchesHsCode(rule, goods) {
+        return !rule.hsCode || (goods.hsCode || '').startsWith(rule.hsCode);
+    },
+    
+    /**
+     * 四舍五入到分
+     * @param {number} value - 金额
+     * @returns {number} 金额
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    },
+    
+    /**
+     * 计算税费
+     * 运费、报关费和保险费按货值比例分摊到每项货物，得到每项货物的CIF货值
+     * @param {Object} quote - 报价信息 { rules, country, mode, includeImport, goods, cifFees, otherFees }
+     *   goods 为货物列表，每项为 { amount, hsCode }；cifFees 为计入CIF货值的费用合计；otherFees 为其他费用合计
+     * @returns {Object} 税费明细 { mode, included, lines, total }，lines 每项为 { rule, base, amount }
+     */
+    calculate(quote) {
+        const mode = this.modes.some(item => item.id === quote.mode) ? quote.mode : 'exclusive';
+        const result = { mode, included: mode === 'inclusive', lines: [], total: 0 };
+        
+        const goodsTotal = quote.goods.reduce((sum, goods) => sum + goods.amount, 0);
+        if (goodsTotal <= 0) {
+            return result;
+        }
+        
+        const cifFees = quote.cifFees || 0;
+        const pretaxTotal = goodsTotal + cifFees + (quote.otherFees || 0);
+        const cifRatio = (goodsTotal + cifFees) / goodsTotal;
+        const cifTotal = goodsTotal + cifFees;
+        let dutiesTotal = 0;
+        
+        this.getApplicableRules(quote.rules, quote.country, quote.includeImport).forEach(rule => {
+            const matched = quote.goods
+                .filter(goods => this.matchesHsCode(rule, goods))
+                .reduce((sum, goods) => sum + goods.amount, 0);
+            if (matched <= 0) {
+                return;
+            }
+            
+            let base;
+            if (rule.scope === 'domestic') {
+                // 国内销售按报价金额计税，费用按货值比例分摊
+                base = pretaxTotal * matched / goodsTotal;
+            } else if (rule.kind === 'duty') {
+                base = matched * cifRatio;
+            } else {
+                // 进口增值税的计税基础包含已计算的关税
+                const cif = matched * cifRatio;
+                base = cif + dutiesTotal * cif / cifTotal;
+            }
+            
+            const amount = base * rule.rate / 100;
+            if (rule.scope === 'import' && rule.kind === 'duty') {
+                dutiesTotal += amount;
+            }
+            result.lines.push({ rule, base, amount });
+        });
+        
+        // 含税价：报价金额已包含税费，按比例拆分出其中的税费
+        const taxTotal = result.lines.reduce((sum, line) => sum + line.amount, 0);
+        const factor = result.included ? pretaxTotal / (pretaxTotal + taxTotal) : 1;
+        result.lines.forEach(line => {
+            line.base = this.round(line.base * factor);
+            line.amount = this.round(line.amount * factor);
+        });
+        result.total = result.lines.reduce((sum, line) => sum + line.amount, 0);
+        
+        return result;
+    },
+    
+    /**
+     * 校验税率规则
+     * @param {Array} rules - 税率规则
+     * @returns {Array} 错误信息列表
+     */
+    validateRules(rules) {
+        const errors = [];
+        const ids = new Set();
+        
+        rules.forEach((rule, index) => {
+            const label = `第 ${index + 1} 行`;
+            if (!rule.name) {
+                errors.push(`${label}：请填写名称`);
+            }
+            if (!rule.country) {
+                errors.push(`${label}：请选择国家`);
+            }
+            if (!this.kinds.some(kind => kind.id === rule.kind)) {
+                errors.push(`${label}：税种无效`);
+            }
+            if (!this.scopes.some(scope => scope.id === rule.scope)) {
+                errors.push(`${label}：征税环节无效`);
+            }
+            if (typeof rule.rate !== 'number' || isNaN(rule.rate) || rule.rate < 0) {
+                errors.push(`${label}：税率无效`);
+            }
+            if (rule.id && ids.has(rule.id)) {
+                errors.push(`${label}：规则ID ${rule.id} 重复`);
+            }
+            ids.add(rule.id);
+        });
+        
+        return errors;
+    }
+};
+
+/**
+ * 导出税费计算模块
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = taxModule;
+} else if (typeof window !== 'undefined') {
+    window.tax = taxModule;
+}
@@ -0,0 +1,328 @@
+/**
+ * templates.js - 报价模板模块
+ * 
+ * 功能：
+ * - 提供报价模板模态框
+ * - 将当前产品配置保存为模板
+ * - 应用、重命名、删除模板
+ * - 导出全部模板为JSON文件
+ * 
+ * 模板数据由 appModule 管理，本模块只负责界面交互
+ */
+
+/**
+ * 报价模板模块
+ */
+const templatesModule = {
+    /**
+     * 导出文件格式标识
+     */
+    format: 'kh-laser-templates',
+    
+    /**
+     * 当前导出的文件版本
+     */
+    version: 1,
+    
+    /**
+     * 正在重命名的模板ID
+     */
+    renamingId: null,
+    
+    /**
+     * 初始化模板模块
+     */
+    init() {
+        // 打开模板
+        const openTemplatesBtn = document.getElementById('openTemplatesBtn');
+        if (openTemplatesBtn) {
+            openTemplatesBtn.addEventListener('click', () => {
+                this.open();
+            });
+        }
+        
+        // 保存当前配置为模板
+        const saveTemplateBtn = document.getElementById('saveTemplateBtn');
+        if (saveTemplateBtn) {
+            saveTemplateBtn.addEventListener('click', () => {
+                this.saveCurrent();
+            });
+        }
+        
+        const templateNameInput = document.getElementById('templateNameInput');
+        if (templateNameInput) {
+            templateNameInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.saveCurrent();
+                }
+            });
+        }
+        
+        // 导出模板
+        const exportTemplatesBtn = document.getElementById('exportTemplatesBtn');
+        if (exportTemplatesBtn) {
+            exportTemplatesBtn.addEventListener('click', () => {
+                this.exportTemplates();
+            });
+        }
+        
+        // 模板列表操作
+        const templateList = document.getElementById('templateList');
+        if (templateList) {
+            templateList.addEventListener('click', (e) => {
+                const actionElement = e.target.closest('[data-action]');
+                if (actionElement) {
+                    this.handleAction(actionElement.getAttribute('data-action'), actionElement.getAttribute('data-id'));
+                }
+            });
+            
+            templateList.addEventListener('keydown', (e) => {
+                if (e.target.classList.contains('template-rename-input')) {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        this.handleAction('confirm-rename', this.renamingId);
+                    } else if (e.key === 'Escape') {
+                        // 只取消重命名，不关闭模态框
+                        e.stopPropagation();
+                        this.handleAction('cancel-rename', this.renamingId);
+                    }
+                }
+            });
+        }
+    },
+    
+    /**
+     * 打开模板模态框
+     */
+    open() {
+        this.renamingId = null;
+        this.render();
+        
+        if (window.ui && window.ui.module && window.ui.module.showModal) {
+            window.ui.module.showModal('templatesModal');
+        }
+    },
+    
+    /**
+     * 关闭模板模态框
+     */
+    close() {
+        this.renamingId = null;
+        
+        if (window.ui && window.ui.module && window.ui.module.hideModal) {
+            window.ui.module.hideModal('templatesModal');
+        }
+    },
+    
+    /**
+     * 处理模板列表中的操作
+     * @param {string} action - 操作名称
+     * @param {string} id - 模板ID
+     */
+    handleAction(action, id) {
+        switch (action) {
+            case 'apply':
+                this.apply(id);
+                break;
+            case 'rename':
+                this.renamingId = id;
+                this.render();
+                this.focusRenameInput();
+                break;
+            case 'confirm-rename':
+                this.confirmRename(id);
+                break;
+            case 'cancel-rename':
+                this.renamingId = null;
+                this.render();
+                break;
+            case 'delete':
+                this.remove(id);
+                break;
+        }
+    },
+    
+    /**
+     * 将当前产品配置保存为模板
+     */
+    saveCurrent() {
+        const input = document.getElementById('templateNameInput');
+        const name = input ? input.value.trim() : '';
+        
+        if (!window.app.hasMachine()) {
+            this.notify('请先选择机器再保存模板', 'warning');
+            return;
+        }
+        
+        if (!name) {
+            this.notify('请输入模板名称', 'warning');
+            return;
+        }
+        
+        const exists = window.app.templates.some(template => template.name === name);
+        if (exists && !confirm(`模板“${name}”已存在，是否覆盖？`)) {
+            return;
+        }
+        
+        window.app.addTemplate(name);
+        if (input) {
+            input.value = '';
+        }
+        this.render();
+        this.notify(exists ? '模板已更新' : '模板已保存', 'success');
+    },
+    
+    /**
+     * 应用模板
+     * @param {string} id - 模板ID
+     */
+    apply(id) {
+        const missing = window.app.applyTemplate(id);
+        if (missing === null) {
+            return;
+        }
+        
+        this.close();
+        
+        if (missing.length > 0) {
+            this.notify(`以下产品已不在产品目录中：${missing.join(', ')}`, 'warning');
+        } else {
+            this.notify('模板已应用', 'success');
+        }
+    },
+    
+    /**
+     * 确认重命名
+     * @param {string} id - 模板ID
+     */
+    confirmRename(id) {
+        const input = document.querySelector('#templateList .template-rename-input');
+        const name = input ? input.value.trim() : '';
+        
+        if (!window.app.renameTemplate(id, name)) {
+            this.notify(name ? `模板名称“${name}”已存在` : '请输入模板名称', 'warning');
+            return;
+        }
+        
+        this.renamingId = null;
+        this.render();
+    },
+    
+    /**
+     * 删除模板
+     * @param {string} id - 模板ID
+     */
+    remove(id) {
+        const template = window.app.templates.find(item => item.id === id);
+        if (!template || !confirm(`确定要删除模板“${template.name}”吗？`)) {
+            return;
+        }
+        
+        window.app.deleteTemplate(id);
+        this.render();
+    },
+    
+    /**
+     * 导出全部模板为JSON文件
+     */
+    exportTemplates() {
+        const templates = window.app.templates;
+        if (templates.length === 0) {
+            this.notify('暂无可导出的模板', 'warning');
+            return;
+        }
+        
+        const data = {
+            format: this.format,
+            version: this.version,
+            exportedAt: new Date().toISOString(),
+            templates
+        };
+        const date = new Date().toISOString().slice(0, 10);
+        window.utils.downloadFile(JSON.stringify(data, null, 2), `kh-laser-templates-${date}.json`, 'application/json');
+    },
+    
+    /**
+     * 渲染模板列表
+     */
+    render() {
+        const templateList = document.getElementById('templateList');
+        if (!templateList) {
+            return;
+        }
+        
+        const templates = window.app.templates;
+        const escape = window.utils.escapeHtml;
+        
+        if (templates.length === 0) {
+            templateList.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-layer-group"></i>
+                    <p>暂无报价模板</p>
+                </div>
+            `;
+            return;
+        }
+        
+        templateList.innerHTML = templates.map(template => {
+            const title = template.id === this.renamingId
+                ? `
+                    <div class="template-rename">
+                        <input type="text" class="template-rename-input" value="${escape(template.name)}">
+                        <button class="btn btn-primary btn-sm" data-action="confirm-rename" data-id="${template.id}" title="确定"><i class="fas fa-check"></i></button>
+                        <button class="btn btn-secondary btn-sm" data-action="cancel-rename" data-id="${template.id}" title="取消"><i class="fas fa-times"></i></button>
+                    </div>
+                `
+                : `<div class="selected-template-title">${escape(template.name)}</div>`;
+            
+            return `
+                <div class="template-list-item">
+                    <div class="template-info">
+                        ${title}
+                        <div class="template-preview">${escape(window.app.getConfigSummary(template.config))}</div>
+                        <div class="template-meta">
+                            <span>更新于 ${escape(window.utils.formatDateTime(new Date(template.updatedAt)))}</span>
+                        </div>
+                    </div>
+                    <div class="template-actions">
+                        <button class="btn btn-primary btn-sm" data-action="apply" data-id="${template.id}" title="应用"><i class="fas fa-check-circle"></i> 应用</button>
+                        <button class="btn btn-secondary btn-sm" data-action="rename" data-id="${template.id}" title="重命名"><i class="fas fa-pen"></i></button>
+                        <button class="btn btn-danger btn-sm" data-action="delete" data-id="${template.id}" title="删除"><i class="fas fa-trash"></i></button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    },
+    
+    /**
+     * 聚焦重命名输入框
+     */
+    focusRenameInput() {
+        const input = document.querySelector('#templateList .template-rename-input');
+        if (input) {
+            input.focus();
+            input.select();
+        }
+    },
+    
+    /**
+     * 显示通知
+     * @param {string} message - 通知消息
+     * @param {string} type - 通知类型
+     */
+    notify(message, type) {
+        if (window.ui && window.ui.notification) {
+            window.ui.notification.show(message, type);
+        }
+    }
+};
+
+/**
+ * 导出报价模板模块
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = templatesModule;
+} else if (typeof window !== 'undefined') {
+    window.templates = templatesModule;
+}
\ No newline at end of file
@@ -18,11 +18,14 @@
  * - 显示/隐藏历史记录面板
  * - 显示/隐藏模态框和加载中遮罩
  * - 更新价格显示和费用明细
- * - 更新历史记录列表
+ * - 更新历史记录列表，处理历史记录选择事件
  * - 更新机器信息显示
  * - 处理表单输入和提交事件
  * - 处理价格来源变更事件
- * - 处理其他配件搜索事件
+ * - 处理其他配件搜索事件，更新配件的分类和标签筛选
+ * - 点击费用明细中的货物行设置该行折扣
+ * - 更新附加费用列表，处理附加费用的修改和删除事件
+ * - 订阅应用的页面状态（见 store.js 中的 createView），按修改的字段更新对应的页面部分
  */
 
 /**
@@ -157,7 +160,109 @@ const uiModule = {
         this.initHistoryPanelEvents();
         this.initFormEvents();
         this.initPriceSourceEvents();
+        this.initMachineLineEvents();
         this.initOtherAccessoriesEvents();
+        this.initPriceDetailEvents();
+        this.initFeeLineEvents();
+    },
+    
+    /**
+     * 订阅页面状态，并按当前页面状态更新页面
+     * @param {Object} view - 页面状态容器
+     * @returns {Function} 取消订阅的函数
+     */
+    connect(view) {
+        const unsubscribe = view.subscribe((state, action, previousState) => {
+            this.renderView(state, Object.keys(action.payload || {}), previousState);
+        });
+        this.renderView(view.getState(), Object.keys(view.getState()), {});
+        return unsubscribe;
+    },
+    
+    /**
+     * 按页面状态更新页面，按 viewRenderers 的顺序更新
+     * @param {Object} state - 页面状态
+     * @param {Array} keys - 需要更新的页面状态字段
+     * @param {Object} previousState - 修改前的页面状态
+     */
+    renderView(state, keys, previousState) {
+        Object.keys(this.viewRenderers).forEach(key => {
+            if (keys.includes(key)) {
+                this.viewRenderers[key].call(this, state[key], previousState[key]);
+            }
+        });
+    },
+    
+    /**
+     * 页面状态字段的显示函数，接收字段的新值和原值，this 指向本模块
+     */
+    viewRenderers: {
+        priceSource(source) {
+            this.setActivePriceSource(source);
+        },
+        accessoryFilters(value) {
+            this.updateAccessoryFilters(value.tags, value.filter, value.summary);
+        },
+        machineInfo(machine) {
+            this.updateMachineInfo(machine);
+        },
+        currencyInputs(value) {
+            this.updateCurrencyInputs(value.currencies, value.currency, value.rate, value.status);
+        },
+        exchangeRateInvalid(invalid) {
+            this.setExchangeRateInvalid(invalid);
+        },
+        shippingEstimate(value) {
+            this.updateShippingEstimate(value.estimate, value.overrides);
+        },
+        containerPlan(value) {
+            this.updateContainerPlan(value.plan, value.containerTypes);
+        },
+        feeLines(value) {
+            this.updateFeeLines(value.feeLines, value.types);
+        },
+        feePresets(presets) {
+            this.updateFeePresetOptions(presets);
+        },
+        priceDisplay(value) {
+            this.updatePriceDisplay(value.cnyPrice, value.customerPrice, value.currency);
+        },
+        priceDetails(priceDetails) {
+            this.updatePriceDetails(priceDetails);
+        },
+        feeLineAmounts(amounts) {
+            this.updateFeeLineAmounts(amounts);
+        },
+        incoterm(incoterm) {
+            this.updateIncotermFields(incoterm);
+        },
+        machineLines(lines) {
+            this.updateMachineLines(lines);
+        },
+        packingSummary(value) {
+            this.updatePackingSummary(value.summary, value.lineCount);
+        },
+        history(history) {
+            this.updateHistoryList(history);
+        },
+        historyPanelOpen(open) {
+            if (open) {
+                this.showHistoryPanel();
+            } else {
+                this.hideHistoryPanel();
+            }
+        },
+        modal(modalId, previousModalId) {
+            if (previousModalId && previousModalId !== modalId) {
+                this.hideModal(previousModalId);
+            }
+            if (modalId) {
+                this.showModal(modalId);
+            }
+        },
+        unsaved(visible) {
+            this.setUnsavedIndicator(visible);
+        }
     },
     
     /**
@@ -173,6 +278,16 @@ const uiModule = {
                 }
             }
         });
+        
+        // ESC键关闭历史记录面板和所有模态框
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideHistoryPanel();
+                document.querySelectorAll('.modal').forEach(modal => {
+                    modal.style.display = 'none';
+                });
+            }
+        });
     },
     
     /**
@@ -261,6 +376,27 @@ const uiModule = {
                 this.hideHistoryPanel();
             });
         }
+        
+        // 选择或打印历史记录
+        const historyList = document.getElementById('historyList');
+        if (historyList) {
+            historyList.addEventListener('click', (e) => {
+                const printBtn = e.target.closest('.history-print-btn');
+                if (printBtn) {
+                    if (this.onHistoryPrint) {
+                        this.onHistoryPrint(printBtn.closest('.history-item').getAttribute('data-id'));
+                    }
+                    return;
+                }
+                
+                const historyItem = e.target.closest('.history-item');
+                if (historyItem && this.onHistorySelect) {
+                    historyList.querySelectorAll('.history-item').forEach(item => item.classList.remove('selected'));
+                    historyItem.classList.add('selected');
+                    this.onHistorySelect(historyItem.getAttribute('data-id'));
+                }
+            });
+        }
     },
     
     /**
@@ -310,6 +446,105 @@ const uiModule = {
         });
     },
     
+    /**
+     * 初始化费用明细事件
+     * 点击货物行设置该行折扣
+     */
+    initPriceDetailEvents() {
+        const priceDetailsContainer = document.querySelector('.price-details-container');
+        if (priceDetailsContainer) {
+            priceDetailsContainer.addEventListener('click', (e) => {
+                const row = e.target.closest('.line-item-row[data-key]');
+                if (row && this.onLineItemDiscount) {
+                    this.onLineItemDiscount(row.getAttribute('data-key'));
+                }
+            });
+        }
+    },
+    
+    /**
+     * 初始化附加费用事件
+     * 名称和费率在输入时生效，计费方式在选择后生效
+     */
+    initFeeLineEvents() {
+        const feeLineList = document.getElementById('feeLineList');
+        if (!feeLineList) {
+            return;
+        }
+        
+        const handleChange = (e) => {
+            const field = e.target.getAttribute('data-fee-field');
+            if (field && this.onFeeLineChange) {
+                this.onFeeLineChange(parseInt(e.target.getAttribute('data-index')), field, e.target.value);
+            }
+        };
+        feeLineList.addEventListener('input', (e) => {
+            if (e.target.tagName === 'INPUT') {
+                handleChange(e);
+            }
+        });
+        feeLineList.addEventListener('change', (e) => {
+            if (e.target.tagName === 'SELECT') {
+                handleChange(e);
+            }
+        });
+        
+        feeLineList.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.fee-line-remove');
+            if (removeBtn && this.onFeeLineRemove) {
+                this.onFeeLineRemove(parseInt(removeBtn.getAttribute('data-index')));
+            }
+        });
+    },
+    
+    /**
+     * 初始化机器明细行事件
+     */
+    initMachineLineEvents() {
+        const machineLineList = document.getElementById('machineLineList');
+        if (machineLineList) {
+            machineLineList.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('.machine-line-remove');
+                if (removeBtn) {
+                    if (this.onMachineLineRemove) {
+                        this.onMachineLineRemove(parseInt(removeBtn.closest('.machine-line').getAttribute('data-index')));
+                    }
+                    return;
+                }
+                
+                const machineLine = e.target.closest('.machine-line');
+                if (machineLine && this.onMachineLineSelect) {
+                    this.onMachineLineSelect(parseInt(machineLine.getAttribute('data-index')));
+                }
+            });
+        }
+    },
+    
+    /**
+     * 生成报价明细行的摘要
+     * @param {Array} lineItems - 报价明细行
+     * @returns {string} 摘要，例如“KH-1390 1390 50W × 1、50W水冷机 × 1”
+     */
+    summarizeLineItems(lineItems) {
+        const escape = window.utils && window.utils.escapeHtml ? window.utils.escapeHtml : (value) => value;
+        return lineItems
+            .filter(item => !['fee', 'tax', 'discount'].includes(item.category))
+            .map(item => `${escape(item.name)} × ${item.quantity}`)
+            .join('、');
+    },
+    
+    /**
+     * 设置当前激活的价格来源
+     * 只更新选项的激活状态，不触发价格来源变更事件
+     * @param {string} source - 价格来源ID
+     */
+    setActivePriceSource(source) {
+        const options = document.querySelectorAll('.price-source-option');
+        options.forEach(option => {
+            option.classList.toggle('active', option.getAttribute('data-source') === source);
+        });
+    },
+    
     /**
      * 初始化其他配件事件
      */
@@ -346,6 +581,55 @@ const uiModule = {
                 }
             });
         }
+        
+        // 分类筛选事件
+        const categoryFilter = document.getElementById('accessoryCategoryFilter');
+        if (categoryFilter) {
+            categoryFilter.addEventListener('change', (e) => {
+                if (this.onAccessoryFilterChange) {
+                    this.onAccessoryFilterChange({ category: e.target.value });
+                }
+            });
+        }
+        
+        // 标签筛选事件，再次点击当前标签取消筛选
+        const tagFilters = document.getElementById('accessoryTagFilters');
+        if (tagFilters) {
+            tagFilters.addEventListener('click', (e) => {
+                const tagButton = e.target.closest('.accessory-tag-filter');
+                if (tagButton && this.onAccessoryFilterChange) {
+                    const tag = tagButton.getAttribute('data-tag');
+                    this.onAccessoryFilterChange({ tag: tagButton.classList.contains('active') ? '' : tag });
+                }
+            });
+        }
+    },
+    
+    /**
+     * 更新配件的筛选条件和搜索结果数量
+     * @param {Array} tags - 产品目录中的标签
+     * @param {Object} filter - 当前搜索条件 { query, category, tag }
+     * @param {string|null} summary - 搜索结果数量，未搜索时为 null
+     */
+    updateAccessoryFilters(tags, filter, summary) {
+        const categoryFilter = document.getElementById('accessoryCategoryFilter');
+        if (categoryFilter) {
+            categoryFilter.value = filter.category;
+        }
+        
+        const tagFilters = document.getElementById('accessoryTagFilters');
+        if (tagFilters) {
+            const escape = window.utils && window.utils.escapeHtml ? window.utils.escapeHtml : (value) => value;
+            tagFilters.innerHTML = tags.map(tag => `
+                <button type="button" class="accessory-tag-filter ${tag === filter.tag ? 'active' : ''}" data-tag="${escape(tag)}">${escape(tag)}</button>
+            `).join('');
+        }
+        
+        const searchInfo = document.getElementById('accessorySearchInfo');
+        if (searchInfo) {
+            searchInfo.textContent = summary || '';
+            searchInfo.style.display = summary ? '' : 'none';
+        }
     },
     
     /**
@@ -422,13 +706,18 @@ const uiModule = {
      */
     updateHistoryList(history) {
         const historyList = document.getElementById('historyList');
+        const escape = window.utils && window.utils.escapeHtml ? window.utils.escapeHtml : (value) => value || '';
         if (historyList) {
             if (history && history.length > 0) {
                 historyList.innerHTML = history.map(item => `
                     <div class="history-item" data-id="${item.id}">
+                        ${item.quote ? '<button class="history-print-btn" title="打印报价单"><i class="fas fa-print"></i></button>' : ''}
                         <div class="history-date">${item.date}</div>
-                        <div class="history-total">${item.total}</div>
-                        <div class="history-details">${item.details}</div>
+                        <div class="history-total">${typeof item.total === 'number' ? window.utils.formatPrice(item.total, 'CNY') : item.total}</div>
+                        ${item.needsApproval ? `<div class="approval-badge"><i class="fas fa-user-shield"></i> 需经理审批（折扣 ${(item.discountPercent || 0).toFixed(1)}%）</div>` : ''}
+                        ${item.customerName || item.reference ? `<div class="history-customer">${escape(item.customerName)}${item.customerName && item.reference ? ' · ' : ''}${escape(item.reference)}</div>` : ''}
+                        <div class="history-details">${item.lineItems ? this.summarizeLineItems(item.lineItems) : item.details}</div>
+                        ${item.priceSourceName ? `<div class="history-source">价格来源：${item.priceSourceName}</div>` : ''}
                     </div>
                 `).join('');
             } else {
@@ -442,61 +731,234 @@ const uiModule = {
         }
     },
     
+    /**
+     * 显示或隐藏未保存修改提示
+     * @param {boolean} visible - 是否显示
+     */
+    setUnsavedIndicator(visible) {
+        const indicator = document.getElementById('unsavedIndicator');
+        if (indicator) {
+            indicator.style.display = visible ? 'flex' : 'none';
+        }
+        
+        const openHistoryBtn = document.getElementById('openHistoryPanel');
+        if (openHistoryBtn) {
+            openHistoryBtn.classList.toggle('has-unsaved', visible);
+        }
+    },
+    
     /**
      * 更新价格显示
      * @param {number} cnyPrice - 人民币价格
-     * @param {number} usdPrice - 美元价格
+     * @param {number} customerPrice - 客户货币价格
+     * @param {string} currency - 客户货币代码
      */
-    updatePriceDisplay(cnyPrice, usdPrice) {
+    updatePriceDisplay(cnyPrice, customerPrice, currency) {
         const cnyPriceElement = document.getElementById('cnyPrice');
-        const usdPriceElement = document.getElementById('usdPrice');
+        const customerPriceElement = document.getElementById('customerPrice');
+        const customerPriceLabel = document.getElementById('customerPriceLabel');
         
         if (cnyPriceElement) {
-            cnyPriceElement.textContent = `¥${cnyPrice.toFixed(2)}`;
+            cnyPriceElement.textContent = window.utils.formatPrice(cnyPrice, 'CNY');
+        }
+        
+        if (customerPriceElement) {
+            customerPriceElement.textContent = window.utils.formatPrice(customerPrice, currency);
         }
         
-        if (usdPriceElement) {
-            usdPriceElement.textContent = `$${usdPrice.toFixed(2)}`;
+        if (customerPriceLabel) {
+            const info = window.utils.getCurrency(currency);
+            customerPriceLabel.textContent = `客户货币报价 (${info ? `${info.name} ${currency}` : currency})`;
+        }
+    },
+    
+    /**
+     * 更新客户货币选择和汇率输入框
+     * 人民币报价不需要汇率，汇率输入框禁用
+     * @param {Array} currencies - 货币注册表
+     * @param {string} currency - 客户货币代码
+     * @param {number} rate - 客户货币的汇率（1单位货币 = ? CNY）
+     * @param {Object} status - 汇率状态 { date, age, stale, staleDays, lockedAt, fxBuffer, effectiveRate }
+     */
+    updateCurrencyInputs(currencies, currency, rate, status) {
+        const currencySelect = document.getElementById('currency');
+        const exchangeRateInput = document.getElementById('exchangeRate');
+        const exchangeRateLabel = document.getElementById('exchangeRateLabel');
+        
+        if (currencySelect) {
+            if (currencySelect.options.length !== currencies.length) {
+                currencySelect.innerHTML = currencies.map(item => `
+                    <option value="${item.code}">${item.code} ${item.name}</option>
+                `).join('');
+            }
+            currencySelect.value = currency;
+        }
+        
+        if (exchangeRateInput && document.activeElement !== exchangeRateInput) {
+            exchangeRateInput.value = rate;
+        }
+        if (exchangeRateInput) {
+            // 锁定的汇率需要先解锁才能修改
+            exchangeRateInput.disabled = currency === 'CNY' || Boolean(status && status.lockedAt);
+            exchangeRateInput.classList.remove('invalid');
+        }
+        
+        if (exchangeRateLabel) {
+            exchangeRateLabel.textContent = `1 ${currency} = ? CNY`;
+        }
+        
+        const unlockRateBtn = document.getElementById('unlockRateBtn');
+        if (unlockRateBtn) {
+            unlockRateBtn.style.display = status && status.lockedAt ? '' : 'none';
+        }
+        
+        const rateStatus = document.getElementById('exchangeRateStatus');
+        if (rateStatus && status) {
+            const parts = [];
+            if (currency !== 'CNY') {
+                parts.push(status.date ? `汇率日期 ${status.date}` : '汇率日期未知');
+                if (status.stale && !status.lockedAt) {
+                    parts.push(`已超过 ${status.staleDays} 天，请更新汇率`);
+                }
+                if (status.fxBuffer > 0) {
+                    parts.push(`含缓冲 ${status.fxBuffer}%，按 ${status.effectiveRate.toFixed(4)} 换算`);
+                }
+            }
+            if (status.lockedAt) {
+                const formatDateTime = window.utils && window.utils.formatDateTime ? window.utils.formatDateTime : (date) => date.toLocaleString();
+                parts.push(`已锁定于 ${formatDateTime(new Date(status.lockedAt))}`);
+            }
+            rateStatus.textContent = parts.join('，');
+            rateStatus.classList.toggle('stale', Boolean(status.stale && !status.lockedAt));
+        }
+    },
+    
+    /**
+     * 标记汇率输入是否无效
+     * @param {boolean} invalid - 是否无效
+     */
+    setExchangeRateInvalid(invalid) {
+        const exchangeRateInput = document.getElementById('exchangeRate');
+        if (exchangeRateInput) {
+            exchangeRateInput.classList.toggle('invalid', invalid);
         }
     },
     
     /**
      * 更新费用明细
-     * @param {Object} priceDetails - 费用明细对象
+     * 按报价明细行逐行显示数量、单价、适用阶梯和金额
+     * 内部视图显示每行和整单的成本和毛利，毛利率低于最低要求时显示提示
+     * 有折扣的货物行显示折扣金额和原因，折扣率超过审批阈值时显示需经理审批
+     * @param {Object} priceDetails - 费用明细对象 { lineItems, goodsTotal, discountTotal, discountSummary, feesTotal, quantity, priceSourceName, margin, marginAlert, total }
      */
     updatePriceDetails(priceDetails) {
         const priceDetailsContainer = document.querySelector('.price-details-container');
         if (priceDetailsContainer) {
+            const escape = window.utils && window.utils.escapeHtml ? window.utils.escapeHtml : (value) => value;
+            // 明细中的金额均为CNY
+            const formatPrice = (amount) => window.utils.formatPrice(amount, 'CNY');
+            
+            // 内部视图：每行的成本和毛利，与报价明细行一一对应
+            const margin = priceDetails.margin;
+            const renderMargin = (line) => {
+                if (!line) {
+                    return '';
+                }
+                if (line.cost === null) {
+                    return '<span class="line-item-margin missing">未设置成本价</span>';
+                }
+                return `<span class="line-item-margin${line.margin < 0 ? ' negative' : ''}">成本 ${formatPrice(line.cost)} · 毛利 ${formatPrice(line.margin)}${line.percent !== null ? `（${line.percent.toFixed(1)}%）` : ''}</span>`;
+            };
+            const renderLine = (item) => `
+                <div class="price-row line-item-row" data-category="${item.category}" data-sku="${escape(item.sku)}"${item.key ? ` data-key="${escape(item.key)}" title="点击设置折扣"` : ''}>
+                    <span class="price-detail-label">
+                        ${escape(item.name)}
+                        <span class="line-item-meta">${item.quantity} × ${formatPrice(item.unitPrice)}${item.tier ? ` · ${escape(item.tier)}` : ''}</span>
+                        ${item.discount ? `<span class="line-item-discount">折扣 ${escape(window.discount.describe(item.discount, formatPrice))} -${formatPrice(item.discount.amount)} · ${escape(item.discount.reason)}</span>` : ''}
+                        ${margin ? renderMargin(margin.lines[priceDetails.lineItems.indexOf(item)]) : ''}
+                    </span>
+                    <span class="price-detail-value">${formatPrice(item.amount)}</span>
+                </div>
+            `;
+            
+            const alert = priceDetails.marginAlert;
+            const alertText = alert
+                ? `毛利率低于最低要求${margin ? ` ${alert.floor}%` : ''}${alert.mode === 'block' ? '，不能保存或打印' : ''}`
+                : '';
+            
+            const goodsLines = priceDetails.lineItems.filter(item => !['fee', 'tax', 'discount'].includes(item.category));
+            const discountLines = priceDetails.lineItems.filter(item => item.category === 'discount');
+            const discountSummary = priceDetails.discountSummary;
+            const feeLines = priceDetails.lineItems.filter(item => item.category === 'fee');
+            const taxLines = priceDetails.lineItems.filter(item => item.category === 'tax');
+            
             priceDetailsContainer.innerHTML = `
-                <div class="price-details-group">
-                    <div class="price-details-grid">
-                        <div class="price-row">
-                            <span class="price-detail-label">机器价格:</span>
-                            <span class="price-detail-value" id="priceDetailMachine">¥${priceDetails.machinePrice.toFixed(2)}</span>
-                        </div>
-                        <div class="price-row">
-                            <span class="price-detail-label">水冷机价格:</span>
-                            <span class="price-detail-value" id="priceDetailWaterCooler">¥${priceDetails.waterCoolerPrice.toFixed(2)}</span>
-                        </div>
-                        <div class="price-row">
-                            <span class="price-detail-label">配件价格:</span>
-                            <span class="price-detail-value" id="priceDetailAccessories">¥${priceDetails.accessoriesPrice.toFixed(2)}</span>
-                        </div>
-                        <div class="price-row">
-                            <span class="price-detail-label">其他配件价格:</span>
-                            <span class="price-detail-value" id="priceDetailOtherAccessories">¥${priceDetails.otherAccessoriesPrice.toFixed(2)}</span>
-                        </div>
-                        <div class="price-row">
-                            <span class="price-detail-label">国际运费:</span>
-                            <span class="price-detail-value" id="priceDetailInternationalShipping">¥${priceDetails.internationalShipping.toFixed(2)}</span>
+                <div class="price-details-group${margin ? ' internal-view' : ''}">
+                    ${margin ? '<div class="internal-view-badge"><i class="fas fa-eye"></i> 内部视图（成本和毛利不会出现在客户报价中）</div>' : ''}
+                    ${alert ? `<div class="margin-alert ${alert.mode}" id="priceDetailMarginAlert"><i class="fas fa-exclamation-triangle"></i> ${alertText}</div>` : ''}
+                    ${discountSummary && discountSummary.needsApproval ? `
+                        <div class="approval-badge" id="priceDetailApproval">
+                            <i class="fas fa-user-shield"></i> 需经理审批：折扣 ${discountSummary.percent.toFixed(1)}% 超过 ${discountSummary.threshold}%
                         </div>
-                        <div class="price-row">
-                            <span class="price-detail-label">国内运费:</span>
-                            <span class="price-detail-value" id="priceDetailDomesticShipping">¥${priceDetails.domesticShipping.toFixed(2)}</span>
+                    ` : ''}
+                    <div class="price-details-grid">
+                        ${goodsLines.length > 0 ? goodsLines.map(renderLine).join('') : `
+                            <div class="price-row">
+                                <span class="price-detail-label">暂未选择产品</span>
+                            </div>
+                        `}
+                        <div class="price-row total-highlight">
+                            <span class="price-detail-label">货物小计:</span>
+                            <span class="price-detail-value" id="priceDetailGoods">${formatPrice(priceDetails.goodsTotal)}</span>
                         </div>
+                        ${discountLines.map(item => `
+                            <div class="price-row" data-category="discount" data-sku="${escape(item.sku)}">
+                                <span class="price-detail-label">
+                                    ${escape(item.name)}:
+                                    <span class="line-item-meta">${escape(item.reason)}</span>
+                                </span>
+                                <span class="price-detail-value">-${formatPrice(-item.amount)}</span>
+                            </div>
+                        `).join('')}
+                        ${discountSummary && discountSummary.total > 0 ? `
+                            <div class="price-row">
+                                <span class="price-detail-label">折扣合计:</span>
+                                <span class="price-detail-value" id="priceDetailDiscount">-${formatPrice(discountSummary.total)}（${discountSummary.percent.toFixed(1)}%）</span>
+                            </div>
+                        ` : ''}
+                        ${feeLines.map(item => `
+                            <div class="price-row" data-category="fee" data-sku="${escape(item.sku)}">
+                                <span class="price-detail-label">${escape(item.name)}:</span>
+                                <span class="price-detail-value">${formatPrice(item.amount)}</span>
+                            </div>
+                        `).join('')}
+                        ${taxLines.map(item => `
+                            <div class="price-row" data-category="tax" data-sku="${escape(item.sku)}">
+                                <span class="price-detail-label">${item.included ? '其中含' : ''}${escape(item.name)}:</span>
+                                <span class="price-detail-value">${formatPrice(item.amount)}</span>
+                            </div>
+                        `).join('')}
+                        ${priceDetails.incoterm ? `
+                            <div class="price-row">
+                                <span class="price-detail-label">贸易术语:</span>
+                                <span class="price-detail-value" id="priceDetailIncoterm">${escape(priceDetails.incoterm.id)}${priceDetails.namedPlace ? ` ${escape(priceDetails.namedPlace)}` : ''}</span>
+                            </div>
+                            ${priceDetails.excludedComponents && priceDetails.excludedComponents.length > 0 ? `
+                                <div class="price-row">
+                                    <span class="price-detail-label">不含:</span>
+                                    <span class="price-detail-value">${escape(priceDetails.excludedComponents.join('、'))}</span>
+                                </div>
+                            ` : ''}
+                        ` : ''}
+                        ${priceDetails.taxModeName ? `
+                            <div class="price-row">
+                                <span class="price-detail-label">计价模式:</span>
+                                <span class="price-detail-value" id="priceDetailTaxMode">${escape(priceDetails.taxModeName)}</span>
+                            </div>
+                        ` : ''}
                         <div class="price-row">
-                            <span class="price-detail-label">其他费用:</span>
-                            <span class="price-detail-value" id="priceDetailOtherFees">¥${priceDetails.otherFees.toFixed(2)}</span>
+                            <span class="price-detail-label">价格来源:</span>
+                            <span class="price-detail-value" id="priceDetailPriceSource">${priceDetails.priceSourceName || '-'}</span>
                         </div>
                         <div class="price-row">
                             <span class="price-detail-label">数量:</span>
@@ -505,13 +967,51 @@ const uiModule = {
                     </div>
                     <div class="price-total-row">
                         <span class="price-total-label">总计:</span>
-                        <span class="price-total-value" id="priceDetailTotal">¥${priceDetails.total.toFixed(2)}</span>
+                        <span class="price-total-value" id="priceDetailTotal">${formatPrice(priceDetails.total)}</span>
                     </div>
+                    ${margin ? `
+                        <div class="price-details-grid margin-summary">
+                            <div class="price-row">
+                                <span class="price-detail-label">成本合计:</span>
+                                <span class="price-detail-value" id="priceDetailCost">${formatPrice(margin.cost)}</span>
+                            </div>
+                            <div class="price-row">
+                                <span class="price-detail-label">毛利:</span>
+                                <span class="price-detail-value${margin.margin < 0 ? ' negative' : ''}" id="priceDetailMargin">${formatPrice(margin.margin)}</span>
+                            </div>
+                            <div class="price-row">
+                                <span class="price-detail-label">毛利率:</span>
+                                <span class="price-detail-value" id="priceDetailMarginPercent">${margin.percent !== null ? `${margin.percent.toFixed(1)}%` : '-'}</span>
+                            </div>
+                            ${margin.missing > 0 ? `
+                                <div class="price-row">
+                                    <span class="price-detail-label">未设置成本价:</span>
+                                    <span class="price-detail-value">${margin.missing} 项，未计入毛利</span>
+                                </div>
+                            ` : ''}
+                        </div>
+                    ` : ''}
                 </div>
             `;
         }
     },
     
+    /**
+     * 更新贸易术语相关的输入项
+     * 指定地点的标签随贸易术语变化，不包含的费用项目显示为不含
+     * @param {Object} incoterm - 贸易术语
+     */
+    updateIncotermFields(incoterm) {
+        const namedPlaceLabel = document.getElementById('namedPlaceLabel');
+        if (namedPlaceLabel) {
+            namedPlaceLabel.textContent = incoterm.placeLabel;
+        }
+        
+        document.querySelectorAll('.quantity-fees-group[data-component]').forEach(group => {
+            group.classList.toggle('excluded', !incoterm.components.includes(group.getAttribute('data-component')));
+        });
+    },
+    
     /**
      * 更新机器信息显示
      * @param {Object} machineInfo - 机器信息对象
@@ -546,13 +1046,212 @@ const uiModule = {
         }
     },
     
+    /**
+     * 更新附加费用列表
+     * @param {Array} feeLines - 附加费用，每项为 { id, name, type, value }
+     * @param {Array} types - 计费方式
+     */
+    updateFeeLines(feeLines, types) {
+        const feeLineList = document.getElementById('feeLineList');
+        if (!feeLineList) {
+            return;
+        }
+        
+        const escape = window.utils && window.utils.escapeHtml ? window.utils.escapeHtml : (value) => value;
+        feeLineList.innerHTML = feeLines.length > 0 ? feeLines.map((fee, index) => `
+            <div class="fee-line" data-index="${index}">
+                <input type="text" class="fee-line-name" data-fee-field="name" data-index="${index}" value="${escape(fee.name)}" placeholder="费用名称">
+                <select data-fee-field="type" data-index="${index}">
+                    ${types.map(type => `
+                        <option value="${type.id}" ${type.id === fee.type ? 'selected' : ''}>${type.name}</option>
+                    `).join('')}
+                </select>
+                <input type="number" class="fee-line-value" data-fee-field="value" data-index="${index}" value="${fee.value}" min="0" step="0.01">
+                <span class="fee-line-amount" data-index="${index}"></span>
+                <button type="button" class="fee-line-remove" data-index="${index}" title="删除">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).join('') : '<div class="fee-line-empty">暂无附加费用</div>';
+    },
+    
+    /**
+     * 更新附加费用的金额
+     * @param {Array} amounts - 每项附加费用的金额
+     */
+    updateFeeLineAmounts(amounts) {
+        document.querySelectorAll('.fee-line-amount').forEach(element => {
+            const amount = amounts[parseInt(element.getAttribute('data-index'))] || 0;
+            element.textContent = window.utils.formatPrice(amount, 'CNY');
+        });
+    },
+    
+    /**
+     * 更新附加费用预设选项
+     * @param {Array} presets - 费用预设
+     */
+    updateFeePresetOptions(presets) {
+        const presetSelect = document.getElementById('feePresetSelect');
+        if (!presetSelect) {
+            return;
+        }
+        
+        const escape = window.utils && window.utils.escapeHtml ? window.utils.escapeHtml : (value) => value;
+        presetSelect.innerHTML = `
+            <option value="">自定义费用</option>
+            ${presets.map(preset => `
+                <option value="${escape(preset.id)}">${escape(preset.name)}</option>
+            `).join('')}
+        `;
+    },
+    
+    /**
+     * 更新机器明细行列表
+     * @param {Array} lines - 明细行显示数据，每项为 { label, quantity, active }
+     */
+    updateMachineLines(lines) {
+        const machineLineList = document.getElementById('machineLineList');
+        if (!machineLineList) {
+            return;
+        }
+        
+        const escape = window.utils && window.utils.escapeHtml ? window.utils.escapeHtml : (value) => value;
+        machineLineList.innerHTML = lines.map((line, index) => `
+            <div class="machine-line${line.active ? ' active' : ''}" data-index="${index}">
+                <span class="machine-line-index">#${index + 1}</span>
+                <span class="machine-line-label">${escape(line.label)}</span>
+                <span class="machine-line-quantity">× ${line.quantity}</span>
+                <button type="button" class="machine-line-remove" title="${lines.length > 1 ? '删除' : '清空'}">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).join('');
+    },
+    
+    /**
+     * 更新整单包装汇总
+     * 报价只有一行机器时，汇总与机器信息相同，不单独显示
+     * @param {Object} summary - 汇总 { machines, cbm, volumeWeight, actualWeight }
+     * @param {number} lineCount - 机器明细行数量
+     */
+    updatePackingSummary(summary, lineCount) {
+        const packingSummaryDisplay = document.getElementById('packingSummaryDisplay');
+        if (!packingSummaryDisplay) {
+            return;
+        }
+        
+        if (lineCount < 2 || summary.machines === 0) {
+            packingSummaryDisplay.style.display = 'none';
+            return;
+        }
+        
+        packingSummaryDisplay.style.display = 'block';
+        const values = {
+            summaryMachines: `${summary.machines} 台`,
+            summaryCbm: summary.cbm.toFixed(3),
+            summaryVolumeWeight: summary.volumeWeight.toFixed(2) + ' kg',
+            summaryActualWeight: summary.actualWeight.toFixed(2) + ' kg'
+        };
+        Object.keys(values).forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = values[id];
+            }
+        });
+    },
+    
+    /**
+     * 更新集装箱装箱方案
+     * @param {Object|null} plan - 装箱方案，机器数量不足整柜时为 null
+     * @param {Array} containerTypes - 集装箱类型
+     */
+    updateContainerPlan(plan, containerTypes) {
+        const containerPlanDisplay = document.getElementById('containerPlanDisplay');
+        if (!containerPlanDisplay) {
+            return;
+        }
+        
+        if (!plan) {
+            containerPlanDisplay.style.display = 'none';
+            return;
+        }
+        
+        containerPlanDisplay.style.display = 'block';
+        const content = document.getElementById('containerPlanContent');
+        if (!content) {
+            return;
+        }
+        
+        const escape = window.utils && window.utils.escapeHtml ? window.utils.escapeHtml : (value) => value;
+        const fitRows = plan.fits.map(fit => `
+            <tr>
+                <td>${escape(fit.name)} × ${fit.count}</td>
+                ${containerTypes.map(containerType => `<td>${fit.perContainer[containerType.id] || '-'}</td>`).join('')}
+            </tr>
+        `).join('');
+        
+        const recommendation = plan.error
+            ? `<div class="container-plan-error">${escape(plan.error)}</div>`
+            : `
+                <div class="container-plan-result">
+                    <span>推荐：<strong>${plan.containers.map(container => `${container.count}×${escape(container.name)}`).join(' + ')}</strong></span>
+                    <span>海运费 ${window.utils.formatPrice(plan.freight, 'CNY')}，拖车费 ${window.utils.formatPrice(plan.trucking, 'CNY')}</span>
+                </div>
+            `;
+        
+        content.innerHTML = `
+            <table class="compact-table container-plan-table">
+                <thead>
+                    <tr>
+                        <th>每柜可装（箱）</th>
+                        ${containerTypes.map(containerType => `<th>${escape(containerType.name)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>${fitRows}</tbody>
+            </table>
+            ${recommendation}
+        `;
+    },
+    
+    /**
+     * 更新运费估算说明
+     * 手动修改过的运费显示恢复估算按钮
+     * @param {Object} estimate - 运费估算结果
+     * @param {Object} overrides - 各项运费是否已手动修改
+     */
+    updateShippingEstimate(estimate, overrides) {
+        ['internationalShipping', 'domesticShipping'].forEach(key => {
+            const estimateElement = document.getElementById(`${key}Estimate`);
+            if (estimateElement) {
+                estimateElement.textContent = overrides[key]
+                    ? `已手动修改，估算 ${window.utils.formatPrice(estimate[key], 'CNY')}`
+                    : `估算：${estimate.basis[key]}`;
+                estimateElement.title = estimate.basis[key];
+                estimateElement.classList.toggle('overridden', !!overrides[key]);
+            }
+            
+            const resetButton = document.querySelector(`[data-shipping-reset="${key}"]`);
+            if (resetButton) {
+                resetButton.style.display = overrides[key] ? '' : 'none';
+            }
+        });
+    },
+    
     /**
      * 事件回调
      */
     onInput: null,
     onSubmit: null,
     onPriceSourceChange: null,
-    onAccessorySearch: null
+    onAccessorySearch: null,
+    onAccessoryFilterChange: null,
+    onHistorySelect: null,
+    onHistoryPrint: null,
+    onMachineLineSelect: null,
+    onMachineLineRemove: null,
+    onLineItemDiscount: null,
+    onFeeLineChange: null,
+    onFeeLineRemove: null
 };
 
 /**
@@ -8,7 +8,10 @@
  * - 实现防抖、节流等性能优化函数
  * 
  * 主要函数：
- * - formatPrice：价格格式化
+ * - currencies：货币注册表
+ * - getCurrency：获取注册的货币
+ * - registerCurrency：注册或更新货币
+ * - formatPrice：按货币的本地化格式格式化价格
  * - calculatePriceByTier：根据数量和价格阶梯计算价格
  * - parseNumber：数字解析
  * - extractPowerFromString：从字符串中提取功率数值
@@ -20,6 +23,8 @@
  * - validateEmail：验证邮箱格式
  * - validatePhone：验证手机号格式
  * - validateZipCode：验证邮编格式
+ * - escapeHtml：转义HTML特殊字符
+ * - downloadFile：下载文本文件
  * - getFromLocalStorage：从本地存储获取数据
  * - saveToLocalStorage：存储数据到本地存储
  * - removeFromLocalStorage：从本地存储删除数据
@@ -28,10 +33,44 @@
  * - throttle：节流函数
  */
 
+/**
+ * 货币注册表
+ * rate 为默认汇率（1单位货币 = ? CNY），decimals 为小数位数，locale 用于本地化格式
+ */
+const currencies = [
+    { code: 'CNY', name: '人民币', symbol: '¥', decimals: 2, locale: 'zh-CN', rate: 1 },
+    { code: 'USD', name: '美元', symbol: '$', decimals: 2, locale: 'en-US', rate: 6.5 },
+    { code: 'EUR', name: '欧元', symbol: '€', decimals: 2, locale: 'de-DE', rate: 7.8 },
+    { code: 'JPY', name: '日元', symbol: '¥', decimals: 0, locale: 'ja-JP', rate: 0.048 }
+];
+
+/**
+ * 获取注册的货币
+ * @param {string} code - 货币代码
+ * @returns {Object|null} 货币，未注册时返回 null
+ */
+const getCurrency = (code) => {
+    return currencies.find(currency => currency.code === code) || null;
+};
+
+/**
+ * 注册货币，已注册的货币按代码更新
+ * @param {Object} currency - 货币 { code, name, symbol, decimals, locale, rate }
+ */
+const registerCurrency = (currency) => {
+    const index = currencies.findIndex(item => item.code === currency.code);
+    if (index >= 0) {
+        currencies[index] = Object.assign({}, currencies[index], currency);
+    } else {
+        currencies.push(currency);
+    }
+};
+
 /**
  * 格式化价格为货币格式
+ * 使用 Intl.NumberFormat 按货币的本地化格式输出，未注册的货币按CNY格式化
  * @param {number} price - 价格数值
- * @param {string} currency - 货币类型，默认为CNY
+ * @param {string} currency - 货币代码，默认为CNY
  * @returns {string} 格式化后的价格字符串
  */
 const formatPrice = (price, currency = 'CNY') => {
@@ -39,10 +78,17 @@ const formatPrice = (price, currency = 'CNY') => {
         price = parseFloat(price) || 0;
     }
     
-    if (currency === 'USD') {
-        return `$${price.toFixed(2)}`;
-    } else {
-        return `¥${price.toFixed(2)}`;
+    const info = getCurrency(currency) || getCurrency('CNY');
+    try {
+        return new Intl.NumberFormat(info.locale, {
+            style: 'currency',
+            currency: info.code,
+            minimumFractionDigits: info.decimals,
+            maximumFractionDigits: info.decimals
+        }).format(price);
+    } catch (e) {
+        // 运行环境不支持该货币或地区时使用货币符号
+        return `${info.symbol}${price.toFixed(info.decimals)}`;
     }
 };
 
@@ -217,6 +263,42 @@ const validateZipCode = (zipCode) => {
     return zipCode.length >= 4 && zipCode.length <= 10;
 };
 
+/**
+ * 转义HTML特殊字符
+ * @param {*} value - 要转义的值
+ * @returns {string} 转义后的字符串
+ */
+const escapeHtml = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
+/**
+ * 下载文本文件
+ * @param {string} content - 文件内容
+ * @param {string} filename - 文件名
+ * @param {string} mimeType - MIME类型，默认为application/json
+ */
+const downloadFile = (content, filename, mimeType = 'application/json') => {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
 /**
  * 从本地存储获取数据
  * @param {string} key - 存储键名
@@ -317,6 +399,9 @@ const throttle = (func, limit) => {
  * 工具函数模块
  */
 const utils = {
+    currencies,
+    getCurrency,
+    registerCurrency,
     formatPrice,
     calculatePriceByTier,
     parseNumber,
@@ -329,6 +414,8 @@ const utils = {
     validateEmail,
     validatePhone,
     validateZipCode,
+    escapeHtml,
+    downloadFile,
     getFromLocalStorage,
     saveToLocalStorage,
     removeFromLocalStorage,
@@ -0,0 +1,75 @@
+/**
+ * pricing.test.js - 报价计价模块测试
+ * 
+ * 运行：node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const pricing = require('../assets/js/pricing.js');
+const quoteStore = require('../assets/js/store.js');
+const app = require('../assets/js/app.js');
+
+/**
+ * 页面使用的完整产品目录
+ */
+const fullCatalog = {
+    machines: app.defaultMachines,
+    waterCoolers: app.defaultWaterCoolers,
+    accessories: app.defaultAccessories,
+    otherAccessories: app.defaultOtherAccessories
+};
+
+/**
+ * 页面上选择德国、KH-1390 80W 机器 3 台和配套水冷机后的报价状态
+ */
+const browserQuote = quoteStore.createState({
+    machineLines: [{
+        id: 'line-1',
+        machineId: 'kh-1390-80w',
+        quantity: 3,
+        waterCoolerId: 'water-cooler-80w',
+        accessoryIds: [],
+        otherAccessoryIds: [],
+        accessoryQuantities: {}
+    }],
+    country: 'DE',
+    currency: 'EUR'
+});
+
+test('部分产品目录和最少字段的报价与页面的计算结果相同', () => {
+    const browser = pricing.calculate(browserQuote, fullCatalog);
+    const partialCatalog = {
+        machines: fullCatalog.machines.filter(item => item.id === 'kh-1390-80w'),
+        waterCoolers: fullCatalog.waterCoolers.filter(item => item.id === 'water-cooler-80w')
+    };
+    const result = pricing.calculate({
+        machineLines: [{ machineId: 'kh-1390-80w', quantity: 3, waterCoolerId: 'water-cooler-80w' }],
+        country: 'DE'
+    }, partialCatalog);
+    
+    // 页面显示 ¥41,664.00
+    assert.strictEqual(browser.total, 41664);
+    assert.strictEqual(result.total, browser.total);
+    assert.strictEqual(result.currency, 'EUR');
+    assert.strictEqual(result.customerTotal, browser.customerTotal);
+    assert.deepStrictEqual(result.lineItems.map(item => item.amount), browser.lineItems.map(item => item.amount));
+});
+
+test('缺少分类的产品目录不会报错，目录中没有的产品不计价', () => {
+    const result = pricing.calculate({
+        machineLines: [{ machineId: 'kh-1390-80w', quantity: 1, accessoryIds: ['accessory-mirror'], otherAccessoryIds: ['missing'] }]
+    }, { machines: fullCatalog.machines });
+    
+    assert.deepStrictEqual(result.lineItems.filter(item => item.category !== 'fee').map(item => item.sku), ['kh-1390-80w']);
+    assert.strictEqual(result.margin.missing, 1);
+});
+
+test('没有客户货币时使用国家默认的客户货币', () => {
+    const catalog = { machines: fullCatalog.machines };
+    const machineLines = [{ machineId: 'kh-1390-80w', quantity: 1 }];
+    
+    assert.strictEqual(pricing.calculate({ machineLines, country: 'JP' }, catalog).currency, 'JPY');
+    assert.strictEqual(pricing.calculate({ machineLines, country: 'BR' }, catalog).currency, 'USD');
+    assert.strictEqual(pricing.calculate({ machineLines, country: 'JP', currency: 'USD' }, catalog).currency, 'USD');
+});
@@ -0,0 +1,54 @@
+/**
+ * search.test.js - 配件搜索模块测试
+ * 
+ * 运行：node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const search = require('../assets/js/search.js');
+
+/**
+ * 生成测试用的产品，名称不在默认产品目录中
+ * @param {string} name - 产品名称
+ * @param {Array} tags - 标签
+ * @returns {Object} 产品数据
+ */
+const createItem = (name, tags = []) => ({ id: 'custom-item', name, tags });
+
+test('全拼和首字母可以找到默认产品目录以外的名称', () => {
+    const item = createItem('螺丝刀');
+    assert.ok(search.matches(item, 'luosidao'));
+    assert.ok(search.matches(item, 'lsd'));
+    assert.ok(search.matches(item, 'sida'));
+    assert.ok(!search.matches(item, 'lsdx'));
+});
+
+test('多音字的每个读音都能匹配', () => {
+    const chongqing = createItem('重庆专线');
+    assert.ok(search.matches(chongqing, 'cq'));
+    assert.ok(search.matches(chongqing, 'zq'));
+    assert.ok(search.matches(chongqing, 'chongqing'));
+    
+    const greatWall = createItem('长城');
+    assert.ok(search.matches(greatWall, 'cc'));
+    assert.ok(search.matches(greatWall, 'changcheng'));
+});
+
+test('汉字和字母数字混合的名称、标签和多个关键词', () => {
+    const item = createItem('CO2激光管', ['耗材']);
+    assert.ok(search.matches(item, 'co2jg'));
+    assert.ok(search.matches(item, 'haocai'));
+    assert.ok(search.matches(item, 'jiguang co2'));
+    assert.ok(!search.matches(item, 'jiguang fiber'));
+});
+
+test('getPinyin 多音字取常用读音', () => {
+    assert.deepStrictEqual(search.getPinyin('重庆 绿色'), { full: 'zhongqinglvse', initials: 'zqls' });
+});
+
+test('汉字关键词和汉字拼音混合的关键词', () => {
+    const item = createItem('聚焦镜');
+    assert.ok(search.matches(item, '镜'));
+    assert.ok(search.matches(item, '聚jiao'));
+});